@@ -3,7 +3,7 @@ class SyncChannel < ApplicationCable::Channel
   ALLOWED_MODELS = {
     "Account" => {
       model: Account,
-      collections: %w[agents chats whiteboards],
+      collections: %w[agents chats memberships whiteboards],
       allow_all: true
     },
     "Agent" => {
@@ -38,22 +38,87 @@ class SyncChannel < ApplicationCable::Channel
       return reject_for_reason("current_user.site_admin is false") unless current_user.site_admin
 
       stream_from "#{model_name}:all"
+      transmit_sync_state
       return
     end
 
     return reject_for_reason("model does not support direct subscriptions") unless model_config[:model]
 
-    record_id, collection_name = params[:id].split(":", 2)
+    # "abc:chats" streams each chat's own channel; "abc/chats" streams the
+    # account's chats channel, which also hears about chats created later
+    record_id, separator, collection_name = params[:id].partition(%r{[:/]})
     @model = model_config[:model].find_by_obfuscated_id(record_id)
     return reject_for_reason("model is not present") unless @model
 
     return reject_for_reason("model is not accessible by current_user") unless @model.accessible_by?(current_user)
 
-    if collection_name
+    if separator == "/"
+      setup_scoped_collection_subscription(model_name, model_config, collection_name)
+    elsif collection_name.present?
       setup_collection_subscription(model_name, model_config, collection_name)
     else
+      @synced_records = [ @model ]
       stream_from "#{model_name}:#{@model.obfuscated_id}"
     end
+
+    transmit_sync_state unless subscription_rejected?
+  end
+
+  # Called by the client after a reconnect with the server time of the last
+  # broadcast it saw. Replies whether anything it streams changed since then,
+  # so only subscriptions that actually missed updates reload their props.
+  def catch_up(data)
+    since = Time.zone.at(data["since"].to_f) if data["since"].present?
+
+    transmit action: "catch_up", stale: since.nil? || changed_since?(since), at: Time.current.to_f
+  end
+
+  # Live whiteboard editing rides the whiteboard's own subscription. Editors
+  # join to get the text at a known revision, then send operations against
+  # the revision they last saw; every applied operation and every cursor
+  # move goes back out on the whiteboard's stream tagged with its client_id.
+  def join(data)
+    return unless (whiteboard = collaborative_whiteboard)
+
+    transmit_whiteboard_state whiteboard, "whiteboard_state", data
+  end
+
+  def edit(data)
+    return unless (whiteboard = collaborative_whiteboard)
+
+    whiteboard.apply_operation!(data["operation"], base_revision: data["revision"].to_i,
+                                                   author: current_user, client_id: data["client_id"])
+  rescue Whiteboard::Collaborative::StaleRevision
+    transmit_whiteboard_state whiteboard, "whiteboard_resync", data
+  rescue Whiteboard::TextOperation::Invalid, ActiveRecord::RecordInvalid => e
+    transmit_whiteboard_state whiteboard, "whiteboard_rejected", data, error: e.message
+  end
+
+  def presence(data)
+    return unless (whiteboard = collaborative_whiteboard)
+
+    (@whiteboard_clients ||= Set.new) << data["client_id"]
+    ActionCable.server.broadcast "Whiteboard:#{whiteboard.obfuscated_id}", {
+      action: "whiteboard_presence",
+      transient: true,
+      client_id: data["client_id"],
+      user: {
+        id: current_user.to_param,
+        name: Whiteboard.name_for(current_user),
+        initials: current_user.initials,
+        avatar_url: current_user.avatar_url
+      },
+      editing: data["editing"] == true,
+      cursor: presence_cursor(data["cursor"]),
+      revision: data["revision"].to_i
+    }
+  end
+
+  def leave(data)
+    return unless (whiteboard = collaborative_whiteboard)
+
+    @whiteboard_clients&.delete(data["client_id"])
+    broadcast_whiteboard_leave whiteboard, data["client_id"]
   end
 
   def setup_collection_subscription(model_name, model_config, collection_name)
@@ -65,26 +130,93 @@ class SyncChannel < ApplicationCable::Channel
 
     debug "📡 Streaming #{model_name}:#{@model.obfuscated_id}:#{collection_name}"
 
+    @synced_records = []
     Array(collection).each do |record|
       next unless record.respond_to?(:obfuscated_id)
       next unless record.accessible_by?(current_user)
 
+      @synced_records << record
       stream_from "#{record.class.name}:#{record.obfuscated_id}"
     end
   end
 
+  def setup_scoped_collection_subscription(model_name, model_config, collection_name)
+    allowed_collections = model_config.fetch(:collections, [])
+    return reject_for_reason("collection is not allowed") unless allowed_collections.include?(collection_name)
+
+    @synced_collection = collection_name
+    stream_from "#{model_name}:#{@model.obfuscated_id}/#{collection_name}", coder: ActiveSupport::JSON do |marker|
+      relay_collection_marker(collection_name, marker)
+    end
+  end
+
+  # Markers on a collection-scoped stream name the record they concern. Each
+  # record is checked like the ones setup_collection_subscription streams, once
+  # per subscription; markers for records that no longer exist pass through.
+  def relay_collection_marker(collection_name, marker)
+    record_id = marker["id"]
+    transmit marker if record_id.blank? || collection_record_accessible?(collection_name, record_id)
+  end
+
+  def collection_record_accessible?(collection_name, record_id)
+    @accessible_collection_records ||= {}
+    @accessible_collection_records.fetch(record_id) do
+      record = @model.association(collection_name).klass.find_by_obfuscated_id(record_id)
+      @accessible_collection_records[record_id] = record.nil? || record.accessible_by?(current_user)
+    end
+  end
+
   def reject_for_reason(reason)
     debug "📡 ❌ Rejecting subscription for #{params[:model]}:#{params[:id]} because #{reason}"
     reject
   end
 
-  def stream_from(identifier)
+  def stream_from(identifier, callback = nil, coder: nil, &block)
     debug "📡 ✅ Streaming #{identifier}"
-    super(identifier)
+    super(identifier, callback, coder: coder, &block)
+  end
+
+  def transmit_sync_state
+    transmit action: "sync_state", at: Time.current.to_f
+  end
+
+  # The record set is rebuilt on resubscribe, so removals show up through the
+  # parent's updated_at (touch: true). Collection-scoped subscriptions check the
+  # collection as it is now, which covers records created while disconnected.
+  # Subscriptions without a fixed record set (the "all" streams) always report changes.
+  def changed_since?(since)
+    return @model.public_send(@synced_collection).where("updated_at > ?", since).exists? if @synced_collection
+    return true if @synced_records.nil?
+
+    @synced_records.group_by(&:class).any? do |klass, records|
+      klass.where(id: records.map(&:id)).where("updated_at > ?", since).exists?
+    end
+  end
+
+  def collaborative_whiteboard
+    @model if @model.is_a?(Whiteboard) && @synced_records == [ @model ] && !@model.deleted?
+  end
+
+  def transmit_whiteboard_state(whiteboard, action, data, **extra)
+    whiteboard.reload
+    transmit action: action, client_id: data["client_id"],
+             content: whiteboard.content.to_s, revision: whiteboard.revision, **extra
+  end
+
+  def presence_cursor(cursor)
+    return unless cursor.is_a?(Hash)
+
+    anchor, head = cursor.values_at("anchor", "head")
+    { anchor: anchor, head: head } if anchor.is_a?(Integer) && head.is_a?(Integer)
+  end
+
+  def broadcast_whiteboard_leave(whiteboard, client_id)
+    ActionCable.server.broadcast "Whiteboard:#{whiteboard.obfuscated_id}", { action: "whiteboard_presence", transient: true, client_id: client_id, left: true }
   end
 
   def unsubscribed
     debug "📡 ❌ Unsubscribed from all"
+    @whiteboard_clients&.each { |client_id| broadcast_whiteboard_leave(@model, client_id) }
     stop_all_streams
   end
 
@@ -36,9 +36,7 @@ class Admin::AuditLogsController < ApplicationController
   def audit_logs_props
     {
       audit_logs: @audit_logs.map(&:as_json),
-      selected_log: @selected_log&.as_json(
-        include: [ :user, :account, :auditable ]
-      ),
+      selected_log: selected_log_json,
       pagination: pagy_to_hash(@pagy),
       filters: filter_options,
       current_filters: filter_params.to_h.transform_keys { |key|
@@ -48,6 +46,14 @@ class Admin::AuditLogsController < ApplicationController
     }
   end
 
+  def selected_log_json
+    return unless @selected_log
+
+    @selected_log.as_json(include: [ :user, :account, :auditable ]).tap do |json|
+      json["auditable_path"] = @selected_log.auditable.permalink_path if @selected_log.auditable.is_a?(Message)
+    end
+  end
+
   def filter_options
     {
       users: User.all.order(:email_address).map(&:as_json),
@@ -0,0 +1,31 @@
+module Api
+  module V1
+    class ReactionsController < BaseController
+
+      def create
+        chat = conversations_scope.find(params[:conversation_id])
+        message = chat.messages.find(params[:message_id])
+
+        unless chat.respondable?
+          return render json: { error: "Conversation is archived or deleted" }, status: :unprocessable_entity
+        end
+
+        reactor = current_api_agent ? { agent: current_api_agent } : { user: current_api_user }
+        reacted = message.toggle_reaction!(params[:emoji].to_s, **reactor)
+
+        render json: { message_id: message.to_param, reacted: reacted, reactions: message.reactions_json }
+      rescue ActiveRecord::RecordInvalid => e
+        render json: { errors: e.record.errors.full_messages }, status: :unprocessable_entity
+      end
+
+      private
+
+      def conversations_scope
+        return current_api_agent.chats if current_api_agent
+
+        current_api_account.chats
+      end
+
+    end
+  end
+end
@@ -0,0 +1,14 @@
+class Chats::ExportsController < ApplicationController
+
+  include ChatScoped
+
+  # GET /accounts/:account_id/chats/:chat_id/export
+  # The JSON transcript; the browser renders the Markdown and HTML versions from it.
+  def show
+    audit("export_chat", @chat)
+    send_data JSON.pretty_generate(@chat.transcript_json(include_telemetry: Current.user&.site_admin)),
+      filename: "#{@chat.title_or_default.parameterize.presence || "conversation"}.json",
+      type: "application/json"
+  end
+
+end
@@ -3,11 +3,17 @@ class Chats::ForksController < ApplicationController
   include ChatScoped
 
   # POST /accounts/:account_id/chats/:chat_id/fork
+  # With a message_id, the fork keeps history only up to that message.
   def create
     new_title = params[:title].presence || "#{@chat.title_or_default} (Fork)"
-    forked_chat = @chat.fork_with_title!(new_title)
-    audit("fork_chat", forked_chat, source_chat_id: @chat.id)
+    message = @chat.messages.find(params[:message_id]) if params[:message_id].present?
+    agent = current_account.agents.find(params[:agent_id]) if params[:agent_id].present?
+
+    forked_chat = @chat.fork_with_title!(new_title, up_to: message, agent: agent, model_id: params[:model_id])
+    audit("fork_chat", forked_chat, source_chat_id: @chat.id, source_message_id: message&.id, agent_id: agent&.id)
     redirect_to account_chat_path(current_account, forked_chat)
+  rescue ArgumentError => e
+    redirect_back_or_to account_chat_path(current_account, @chat), alert: e.message
   end
 
 end
@@ -0,0 +1,46 @@
+class Chats::ImportsController < ApplicationController
+
+  require_feature_enabled :chats
+
+  # GET /accounts/:account_id/chats/import
+  # The file is parsed and previewed in the browser; nothing is uploaded until it's confirmed.
+  def new
+    render inertia: "chats/import", props: {
+      account: current_account.as_json,
+      agents: import_agents_scope.as_json(as: :list)
+    }
+  end
+
+  # POST /accounts/:account_id/chats/import
+  def create
+    messages = import_messages_params
+    chat, imported = Chat.import_transcript!(
+      account: current_account,
+      user: Current.user,
+      title: params[:title],
+      messages: messages
+    )
+    audit("import_chat", chat, source: params[:source], message_count: imported)
+    redirect_to account_chat_path(current_account, chat), notice: import_notice(messages, imported)
+  rescue ArgumentError => e
+    redirect_to import_account_chats_path(current_account), alert: e.message
+  end
+
+  private
+
+  def import_agents_scope
+    current_account.agents.active.where.not(runtime: %w[provisioning migrating]).order(:paused, :name)
+  end
+
+  def import_messages_params
+    params.fetch(:messages, []).map { |message| message.permit(:content, :thinking, :created_at, :agent_id) }
+  end
+
+  def import_notice(messages, imported)
+    skipped = messages.count { |message| message[:content].to_s.strip.present? } - imported
+    return "Conversation imported" unless skipped.positive?
+
+    "Conversation imported, skipping #{skipped} repeated #{"message".pluralize(skipped)}"
+  end
+
+end
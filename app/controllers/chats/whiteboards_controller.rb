@@ -0,0 +1,28 @@
+class Chats::WhiteboardsController < ApplicationController
+
+  include ChatScoped
+
+  require_feature_enabled :agents
+  before_action :set_whiteboard
+
+  # POST /accounts/:account_id/chats/:chat_id/whiteboards
+  def create
+    @chat.attach_whiteboard!(@whiteboard)
+    audit("attach_whiteboard", @chat, whiteboard_id: @whiteboard.id)
+    redirect_back_or_to account_chat_path(current_account, @chat), notice: "#{@whiteboard.name} attached"
+  end
+
+  # DELETE /accounts/:account_id/chats/:chat_id/whiteboards/:id
+  def destroy
+    @chat.detach_whiteboard!(@whiteboard)
+    audit("detach_whiteboard", @chat, whiteboard_id: @whiteboard.id)
+    redirect_back_or_to account_chat_path(current_account, @chat), notice: "#{@whiteboard.name} detached"
+  end
+
+  private
+
+  def set_whiteboard
+    @whiteboard = current_account.whiteboards.active.find(params[:whiteboard_id] || params[:id])
+  end
+
+end
@@ -36,7 +36,7 @@ class ChatsController < ApplicationController
 
     if inertia_prop_requested?(:messages)
       messages = @chat.messages_page
-      has_more = messages.any? && @chat.messages.where("id < ?", messages.first.id).exists?
+      has_more = messages.any? && @chat.messages.displayed.where("id < ?", messages.first.id).exists?
       interaction_costs = InteractionCostsByMessage.new(chat: @chat, messages: messages).call
       props[:messages] = messages.map { |message| message_json(message, interaction_costs[message.id]) }
       props[:has_more_messages] = has_more
@@ -46,7 +46,7 @@ class ChatsController < ApplicationController
     props[:runtime_interactions] = runtime_interactions_for_timeline if inertia_prop_requested?(:runtime_interactions)
     props[:cost_breakdown] = ChatUsageReport.new(chat: @chat).call if inertia_prop_requested?(:cost_breakdown)
 
-    props[:chat] = chat_json_with_whiteboard if inertia_prop_requested?(:chat)
+    props[:chat] = chat_json_with_whiteboards if inertia_prop_requested?(:chat)
     props[:models] = available_models if inertia_prop_requested?(:models)
     props[:agents] = @chat.group_chat? ? @chat.agents.as_json(as: :list) : [] if inertia_prop_requested?(:agents)
     props[:available_agents] = available_agents(as: :list) if inertia_prop_requested?(:available_agents)
@@ -214,18 +214,11 @@ class ChatsController < ApplicationController
     end
   end
 
-  def chat_json_with_whiteboard
+  def chat_json_with_whiteboards
     json = @chat.as_json
-    if @chat.active_whiteboard && !@chat.active_whiteboard.deleted?
-      json[:active_whiteboard] = {
-        id: @chat.active_whiteboard.id,
-        name: @chat.active_whiteboard.name,
-        content: @chat.active_whiteboard.content,
-        revision: @chat.active_whiteboard.revision,
-        last_edited_at: @chat.active_whiteboard.last_edited_at&.strftime("%b %d at %l:%M %p"),
-        editor_name: @chat.active_whiteboard.editor_name
-      }
-    end
+    json[:forked_from] = @chat.forked_from_json
+    json[:forks] = @chat.forks_json
+    json[:whiteboards] = @chat.attached_whiteboards_json
     json
   end
 
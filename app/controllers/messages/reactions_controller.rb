@@ -0,0 +1,22 @@
+class Messages::ReactionsController < Messages::BaseController
+
+  before_action :require_respondable_chat
+
+  # Toggles the current user's reaction; the updated message arrives over the sync patch
+  def create
+    reacted = @message.toggle_reaction!(params.require(:emoji), user: Current.user)
+
+    render json: { reacted: reacted, reactions: @message.reactions_json }
+  rescue ActiveRecord::RecordInvalid => e
+    render json: { errors: e.record.errors.full_messages }, status: :unprocessable_entity
+  end
+
+  private
+
+  def require_respondable_chat
+    return if @chat.respondable?
+
+    render json: { error: "This conversation is archived or deleted" }, status: :unprocessable_entity
+  end
+
+end
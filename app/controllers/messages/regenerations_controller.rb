@@ -0,0 +1,14 @@
+class Messages::RegenerationsController < Messages::BaseController
+
+  # Queues another answer in place of this one, optionally from another
+  # resident or model; it arrives over the sync patches like any answer
+  def create
+    agent = @chat.agents.find(params[:agent_id]) if params[:agent_id].present?
+    @message.regenerate!(agent: agent, model_id: params[:model_id])
+
+    head :accepted
+  rescue ArgumentError => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+end
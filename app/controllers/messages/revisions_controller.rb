@@ -0,0 +1,7 @@
+class Messages::RevisionsController < Messages::BaseController
+
+  def index
+    render json: { message_id: @message.to_param, revisions: @message.history_json }
+  end
+
+end
@@ -0,0 +1,20 @@
+class Messages::SelectionsController < Messages::BaseController
+
+  before_action :require_respondable_chat
+
+  # Displays this version of an answer in place of its other versions
+  def create
+    @message.select_alternate!
+
+    head :ok
+  end
+
+  private
+
+  def require_respondable_chat
+    return if @chat.respondable?
+
+    render json: { error: "This conversation is archived or deleted" }, status: :unprocessable_entity
+  end
+
+end
@@ -2,25 +2,39 @@ class MessagesController < ApplicationController
 
   require_feature_enabled :chats
   before_action :set_chat, only: [ :index, :create ]
-  before_action :set_message, only: [ :update, :destroy ]
+  before_action :set_message, only: [ :show, :update, :destroy ]
   before_action :require_respondable_chat, only: :create
   before_action :authorize_message_modification, only: [ :update, :destroy ]
 
   def index
-    @messages = @chat.messages_page(before_id: params[:before_id])
-    @has_more = @messages.any? && @chat.messages.where("id < ?", @messages.first.id).exists?
+    @messages = if params[:around_id].present?
+      @chat.messages_around(params[:around_id])
+    else
+      @chat.messages_page(before_id: params[:before_id], after_id: params[:after_id])
+    end
+    @has_more = @messages.any? && @chat.messages.displayed.where("id < ?", @messages.first.id).exists?
+    @has_newer = @messages.any? && @chat.messages.displayed.where("id > ?", @messages.last.id).exists?
     interaction_costs = InteractionCostsByMessage.new(chat: @chat, messages: @messages).call
 
     render json: {
       messages: @messages.map { |message| message_json(message, interaction_costs[message.id]) },
       has_more: @has_more,
-      oldest_id: @messages.first&.to_param
+      oldest_id: @messages.first&.to_param,
+      has_newer: @has_newer,
+      newest_id: @messages.last&.to_param
     }
   end
 
+  # Single-message refetch, used when a streamed message's chunks arrive with a gap
+  def show
+    interaction_cost = InteractionCostsByMessage.new(chat: @chat, messages: [ @message ]).call[@message.id]
+
+    render json: message_json(@message, interaction_cost)
+  end
+
   def create
     @message = @chat.messages.build(
-      message_params.merge(user: Current.user, role: "user")
+      message_params.merge(user: Current.user, role: "user", reply_to_id: reply_to_id_param)
     )
     @message.attachments.attach(params[:files]) if params[:files].present?
 
@@ -68,9 +82,9 @@ class MessagesController < ApplicationController
 
   def update
     old_content = @message.content
-    if @message.update(message_params)
+    if @message.revise(message_params[:content], editor: Current.user)
       audit(:update_message, @message, old_content: old_content, new_content: @message.content)
-      head :ok
+      render json: message_json(@message)
     else
       render json: { errors: @message.errors.full_messages }, status: :unprocessable_entity
     end
@@ -101,6 +115,11 @@ class MessagesController < ApplicationController
     params.require(:message).permit(:content)
   end
 
+  def reply_to_id_param
+    id = params.dig(:message, :reply_to_id)
+    Message.decode_id(id) if id.present?
+  end
+
   def message_json(message, interaction_cost = nil)
     message.as_json(include_ruby_llm_telemetry: Current.user&.site_admin).tap do |json|
       json["interaction_cost"] = interaction_cost if interaction_cost
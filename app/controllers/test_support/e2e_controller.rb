@@ -122,6 +122,23 @@ module TestSupport
       }
     end
 
+    # Stream chunks into an assistant message the way a live response does,
+    # creating the message on the first call. Tests can drop the browser's
+    # socket between calls to prove missed chunks are recovered on reconnect.
+    def stream_message
+      chat = Chat.find(params.fetch(:chat_id))
+      message = if params[:message_id].present?
+        chat.messages.find(params[:message_id])
+      else
+        chat.messages.create!(role: "assistant", agent: chat.agents.first, content: "", streaming: true)
+      end
+
+      Array(params[:chunks]).each { |chunk| message.stream_content(chunk) }
+      message.stop_streaming if ActiveModel::Type::Boolean.new.cast(params[:finish])
+
+      render json: { message_id: message.to_param, content: message.content }
+    end
+
     def invitation_url
       membership = Membership.joins(:user)
         .where(users: { email_address: params.fetch(:email) })
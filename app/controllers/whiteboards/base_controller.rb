@@ -0,0 +1,13 @@
+class Whiteboards::BaseController < ApplicationController
+
+  require_feature_enabled :agents
+
+  before_action :set_whiteboard
+
+  private
+
+  def set_whiteboard
+    @whiteboard = current_account.whiteboards.active.find(params[:whiteboard_id])
+  end
+
+end
@@ -0,0 +1,15 @@
+class Whiteboards::RestorationsController < Whiteboards::BaseController
+
+  # POST /accounts/:account_id/whiteboards/:whiteboard_id/revisions/:revision_id/restoration
+  def create
+    entry = @whiteboard.revisions.find(params[:revision_id])
+
+    @whiteboard.restore_revision!(entry, editor: Current.user)
+    audit("restore_whiteboard_revision", @whiteboard, revision: entry.revision)
+
+    render json: { revision: @whiteboard.revision }
+  rescue ActiveRecord::RecordInvalid => e
+    render json: { errors: e.record.errors.full_messages }, status: :unprocessable_entity
+  end
+
+end
@@ -0,0 +1,8 @@
+class Whiteboards::RevisionsController < Whiteboards::BaseController
+
+  # GET /accounts/:account_id/whiteboards/:whiteboard_id/revisions
+  def index
+    render json: { whiteboard_id: @whiteboard.to_param, revision: @whiteboard.revision, revisions: @whiteboard.history_json }
+  end
+
+end
@@ -5,12 +5,11 @@ class WhiteboardsController < ApplicationController
 
   def index
     @whiteboards = current_account.whiteboards.active.by_name
-    chat_counts = Chat.where(active_whiteboard_id: @whiteboards.pluck(:id))
-                      .group(:active_whiteboard_id)
-                      .count
+    attached_chats = attached_chats_by_whiteboard(@whiteboards)
 
     render inertia: "whiteboards/index", props: {
-      whiteboards: @whiteboards.map { |w| whiteboard_json(w, chat_counts[w.id] || 0) },
+      whiteboards: @whiteboards.map { |w| whiteboard_json(w, attached_chats[w.id] || []) },
+      chats: attachable_chats.map { |chat| chat_json(chat) },
       account: current_account.as_json
     }
   end
@@ -42,7 +41,7 @@ class WhiteboardsController < ApplicationController
     params.require(:whiteboard).permit(:content)
   end
 
-  def whiteboard_json(whiteboard, active_chat_count = 0)
+  def whiteboard_json(whiteboard, attached_chats = [])
     {
       id: whiteboard.id,
       name: whiteboard.name,
@@ -52,8 +51,26 @@ class WhiteboardsController < ApplicationController
       revision: whiteboard.revision,
       last_edited_at: whiteboard.last_edited_at&.strftime("%b %d at %l:%M %p"),
       editor_name: whiteboard.editor_name,
-      active_chat_count: active_chat_count
+      chats: attached_chats.map { |chat| chat_json(chat) }
     }
   end
 
+  def attached_chats_by_whiteboard(whiteboards)
+    ChatWhiteboard.includes(:chat)
+                  .where(whiteboard_id: whiteboards.map(&:id))
+                  .merge(Chat.kept).joins(:chat)
+                  .order(:id)
+                  .group_by(&:whiteboard_id)
+                  .transform_values { |attachments| attachments.map(&:chat) }
+  end
+
+  # Recent conversations offered when attaching a board
+  def attachable_chats
+    current_account.chats.kept.active.latest.limit(50)
+  end
+
+  def chat_json(chat)
+    { id: chat.to_param, title: chat.title_or_default }
+  end
+
 end
@@ -1,6 +1,10 @@
 import { createConsumer } from '@rails/actioncable';
-import { router } from '@inertiajs/svelte';
+import { router, page } from '@inertiajs/svelte';
+import { get, writable } from 'svelte/store';
 import * as logging from '$lib/logging';
+import { applySyncPatch, applyWhiteboardOperation, isSyncPatch } from '$lib/sync-patches';
+import { nextConnectionStatus } from '$lib/connection-status';
+import { streamingChatId, streamingStore } from '$lib/streaming-store';
 
 // Check if we're in browser environment
 const browser = typeof window !== 'undefined';
@@ -8,6 +12,21 @@ const browser = typeof window !== 'undefined';
 // Create consumer once
 const consumer = browser ? createConsumer() : null;
 
+// Shared consumer state: connecting, connected, reconnecting or offline.
+// Every subscription rides the same socket, so their callbacks all feed this store.
+const connectionStatusStore = writable(browser && navigator.onLine === false ? 'offline' : 'connecting');
+
+export const connectionStatus = { subscribe: connectionStatusStore.subscribe };
+
+export function reportConnectionEvent(event) {
+  connectionStatusStore.update((status) => nextConnectionStatus(status, event));
+}
+
+if (browser) {
+  window.addEventListener('offline', () => reportConnectionEvent({ type: 'browser-offline' }));
+  window.addEventListener('online', () => reportConnectionEvent({ type: 'browser-online' }));
+}
+
 // Pure debounce function
 export function debounce(fn, delay) {
   let timeoutId;
@@ -37,13 +56,220 @@ const reloadProps = debounce((props) => {
   });
 }, 300);
 
-/**
- * Internal function to subscribe to model updates
- * @private
- */
-export function subscribeToModel(model, id, props) {
-  if (!browser || !consumer) return () => {};
+// Components that keep their own copy of a prop (e.g. paginated or streamed
+// messages) register here so patches land in that copy instead of page props.
+const patchHandlers = new Map();
+
+export function onSyncPatch(prop, handler) {
+  if (!patchHandlers.has(prop)) patchHandlers.set(prop, new Set());
+  patchHandlers.get(prop).add(handler);
+
+  return () => {
+    patchHandlers.get(prop)?.delete(handler);
+    if (patchHandlers.get(prop)?.size === 0) patchHandlers.delete(prop);
+  };
+}
+
+// A refresh marker naming one of this subscription's props only needs that prop
+export function propsToReload(data, props) {
+  if (data?.prop && props.includes(data.prop)) return [data.prop];
+  return props;
+}
+
+export function handleSyncPatch(data, props) {
+  if (!isSyncPatch(data)) return false;
+
+  // Patches are precise statements about one prop; subscriptions that don't map it ignore them
+  if (!props.includes(data.prop)) return true;
+
+  const handlers = [...(patchHandlers.get(data.prop) || [])];
+  if (handlers.length > 0) {
+    const handled = handlers.map((handler) => handler(data)).some(Boolean);
+    if (!handled) reloadProps([data.prop]);
+    return true;
+  }
+
+  if (!applyPatchToPageProps(data)) {
+    logging.debug(`Sync patch could not be applied, reloading ${data.prop}`);
+    reloadProps([data.prop]);
+  }
+  return true;
+}
+
+// Live whiteboard edits arrive several times a second while someone types.
+// Editors consume them first; everything else showing the whiteboard patches
+// its text in place, and only a copy that missed a revision is reloaded.
+export function handleWhiteboardOperation(data, whiteboardId, props) {
+  if (data?.action !== 'whiteboard_op') return false;
+  if (!browser) return true;
+
+  const pageProps = get(page)?.props || {};
+  const patched = {};
+  const stale = [];
+
+  props.forEach((prop) => {
+    const result = applyWhiteboardOperation(pageProps[prop], whiteboardId, data);
+    if (!result.handled) stale.push(prop);
+    else if (result.value !== pageProps[prop]) patched[prop] = result.value;
+  });
+
+  if (Object.keys(patched).length > 0) {
+    router.replace({
+      props: (current) => ({ ...current, ...patched }),
+      preserveScroll: true,
+      preserveState: true,
+    });
+  }
+  if (stale.length > 0) reloadProps(stale);
+  return true;
+}
+
+function applyPatchToPageProps(data) {
+  if (!browser) return false;
+
+  const result = applySyncPatch(get(page)?.props?.[data.prop], data);
+  if (!result.handled) return false;
+
+  router.replace({
+    props: (props) => ({ ...props, [data.prop]: result.records }),
+    preserveScroll: true,
+    preserveState: true,
+  });
+  return true;
+}
+
+// Tracks the server time of the newest message a subscription has seen. After
+// the socket drops, ActionCable resubscribes and calls connected() again; the
+// cursor then yields the time to hand to SyncChannel#catch_up so only
+// subscriptions that missed something reload.
+export function createSyncCursor() {
+  let lastSeenAt = null;
+  let dropped = false;
+
+  return {
+    get lastSeenAt() {
+      return lastSeenAt;
+    },
+
+    seen(at) {
+      if (typeof at !== 'number') return;
+      if (lastSeenAt === null || at > lastSeenAt) lastSeenAt = at;
+    },
+
+    disconnected() {
+      dropped = true;
+    },
 
+    // Returns the catch-up request to send, or null on the first connect
+    reconnected() {
+      if (!dropped) return null;
+
+      dropped = false;
+      return { since: lastSeenAt };
+    },
+  };
+}
+
+// Handles the channel's own bookkeeping messages. Returns true when consumed.
+export function handleSyncCursorMessage(data, cursor, props) {
+  if (data?.action === 'sync_state') {
+    // Only the first subscribe sets the cursor; a resubscribe must not skip past missed updates
+    if (cursor.lastSeenAt === null) cursor.seen(data.at);
+    return true;
+  }
+
+  if (data?.action === 'catch_up') {
+    if (data.stale) reloadProps(props);
+    cursor.seen(data.at);
+    return true;
+  }
+
+  cursor.seen(data?.at);
+  return false;
+}
+
+// One ActionCable subscription per channel, shared by every component that
+// asks for it. Each listener brings its own props; a message on the channel is
+// handled once, against the union of the props of the listeners it concerns.
+// Listeners doing more than reloading props (live whiteboard editing) also
+// pass onMessage, which sees every message first and returns true to consume
+// it, and onConnected, called now if the channel is already up and again
+// after every reconnect.
+export function createSubscriptionRegistry(createSubscription) {
+  const channels = new Map();
+
+  function propsFor(entry, data) {
+    const props = new Set();
+    entry.listeners.forEach((listener) => {
+      // A sibling collection-scoped subscription owns these changes
+      if (data?.collection && listener.ignoreCollections.includes(data.collection)) return;
+      listener.props.forEach((prop) => props.add(prop));
+    });
+    return [...props];
+  }
+
+  function notifier(entry) {
+    return {
+      connected() {
+        entry.connected = true;
+        entry.listeners.forEach((listener) => listener.onConnected?.());
+      },
+
+      disconnected() {
+        entry.connected = false;
+      },
+
+      message(data) {
+        return [...entry.listeners].map((listener) => listener.onMessage?.(data)).some(Boolean);
+      },
+    };
+  }
+
+  return {
+    subscribe(model, id, props, { ignoreCollections = [], onMessage, onConnected } = {}) {
+      const key = `${model}:${id}`;
+      let entry = channels.get(key);
+
+      if (!entry) {
+        entry = { listeners: new Set(), subscription: null, connected: false };
+        channels.set(key, entry);
+        const current = entry;
+        entry.subscription = createSubscription(model, id, (data) => propsFor(current, data), notifier(current));
+      }
+
+      const listener = { props, ignoreCollections, onMessage, onConnected };
+      entry.listeners.add(listener);
+      if (entry.connected) onConnected?.();
+
+      return () => {
+        if (!entry.listeners.delete(listener) || entry.listeners.size > 0) return;
+
+        channels.delete(key);
+        entry.subscription.unsubscribe();
+      };
+    },
+
+    // Calls a channel action on an open subscription; false when there is none
+    perform(model, id, action, data) {
+      const entry = channels.get(`${model}:${id}`);
+      if (!entry) return false;
+
+      entry.subscription.perform(action, data);
+      return true;
+    },
+
+    listenerCount(model, id) {
+      return channels.get(`${model}:${id}`)?.listeners.size ?? 0;
+    },
+
+    get channelCount() {
+      return channels.size;
+    },
+  };
+}
+
+function createChannelSubscription(model, id, propsFor, notify) {
+  const cursor = createSyncCursor();
   const subscription = consumer.subscriptions.create(
     {
       channel: 'SyncChannel',
@@ -53,54 +279,83 @@ export function subscribeToModel(model, id, props) {
     {
       connected() {
         logging.debug(`Sync connected: ${model}:${id}`);
+        reportConnectionEvent({ type: 'connected' });
+
+        const catchUp = cursor.reconnected();
+        if (catchUp) subscription.perform('catch_up', catchUp);
+        notify.connected();
       },
 
       received(data) {
         logging.debug(`Sync received: ${model}:${id}`, data);
 
-        // Handle streaming updates specially - don't reload, just update in place
-        if (handleStreamingUpdate(data)) {
+        if (handleSyncCursorMessage(data, cursor, propsFor(null))) {
+          return;
+        }
+
+        if (notify.message(data)) {
+          return;
+        }
+
+        // Presence and other chatter that changes no record never reloads
+        if (data?.transient) {
+          return;
+        }
+
+        if (handleWhiteboardOperation(data, id, propsFor(data))) {
+          return;
+        }
+
+        // Streaming chunks go to the components rendering that chat or message - don't reload
+        if (streamingStore.publish(data, { chatId: streamingChatId(model, id) })) {
+          return;
+        }
+
+        const props = propsFor(data);
+        if (props.length === 0) {
+          return;
+        }
+
+        // Apply typed patches in place; full reloads remain the fallback
+        if (handleSyncPatch(data, props)) {
           return;
         }
 
         // Use explicit prop from server or fallback to provided props
-        // const propsToReload = data.prop ? [data.prop] : props;
-        reloadProps(props);
+        reloadProps(propsToReload(data, props));
       },
 
-      disconnected() {
+      disconnected({ willAttemptReconnect } = {}) {
         logging.debug(`Sync disconnected: ${model}:${id}`);
+        cursor.disconnected();
+        notify.disconnected();
+        reportConnectionEvent({ type: 'disconnected', willAttemptReconnect });
       },
     }
   );
 
-  return () => subscription.unsubscribe();
+  return subscription;
 }
 
-export function streamingEventName(data) {
-  if (data.action === 'streaming_update' || data.action === 'thinking_update' || data.action === 'error') {
-    return 'streaming-update';
-  }
-
-  if (data.action === 'streaming_end') {
-    return 'streaming-end';
-  }
+const registry = createSubscriptionRegistry(createChannelSubscription);
 
-  if (data.action === 'debug_log') {
-    return 'debug-log';
-  }
+/**
+ * Internal function to subscribe to model updates. Identical model/id pairs
+ * share one ActionCable subscription until the last subscriber leaves.
+ * @private
+ */
+export function subscribeToModel(model, id, props, options = {}) {
+  if (!browser || !consumer) return () => {};
 
-  return null;
+  return registry.subscribe(model, id, props, options);
 }
 
-function handleStreamingUpdate(data) {
-  const eventName = streamingEventName(data);
+/**
+ * Performs an action on the shared channel for a model, e.g. a live
+ * whiteboard edit. Only works while something is subscribed to it.
+ */
+export function performOnModel(model, id, action, data = {}) {
+  if (!browser || !consumer) return false;
 
-  if (eventName) {
-    // Dispatch a custom event that the chat component can listen to
-    if (browser) {
-      window.dispatchEvent(new CustomEvent(eventName, { detail: data }));
-    }
-    return true;
-  }
+  return registry.perform(model, id, action, data);
 }
@@ -1,16 +1,17 @@
 import { describe, expect, test, vi } from 'vitest';
-import { debounce, streamingEventName } from './cable';
+import { router } from '@inertiajs/svelte';
+import {
+  createSubscriptionRegistry,
+  createSyncCursor,
+  debounce,
+  handleSyncCursorMessage,
+  handleSyncPatch,
+  handleWhiteboardOperation,
+  onSyncPatch,
+  propsToReload,
+} from './cable';
 
 describe('cable helpers', () => {
-  test('classifies streaming events without coupling tests to ActionCable', () => {
-    expect(streamingEventName({ action: 'streaming_update' })).toBe('streaming-update');
-    expect(streamingEventName({ action: 'thinking_update' })).toBe('streaming-update');
-    expect(streamingEventName({ action: 'error' })).toBe('streaming-update');
-    expect(streamingEventName({ action: 'streaming_end' })).toBe('streaming-end');
-    expect(streamingEventName({ action: 'debug_log' })).toBe('debug-log');
-    expect(streamingEventName({ action: 'chat_updated' })).toBeNull();
-  });
-
   test('debounces reload props while preserving the union of requested props', () => {
     vi.useFakeTimers();
     const callback = vi.fn();
@@ -25,4 +26,153 @@ describe('cable helpers', () => {
     expect(callback).toHaveBeenCalledWith(['chat', 'messages']);
     vi.useRealTimers();
   });
+
+  test('narrows reloads to the prop named by the server when the subscription maps it', () => {
+    expect(propsToReload({ action: 'refresh', prop: 'chat' }, ['chat', 'messages'])).toEqual(['chat']);
+    expect(propsToReload({ action: 'refresh', prop: 'whiteboard' }, ['chat', 'messages'])).toEqual([
+      'chat',
+      'messages',
+    ]);
+    expect(propsToReload({ action: 'refresh' }, ['chats'])).toEqual(['chats']);
+  });
+
+  test('routes patches to registered handlers and ignores props the subscription does not map', () => {
+    const handler = vi.fn(() => true);
+    const unsubscribe = onSyncPatch('messages', handler);
+    const patch = { action: 'patch', prop: 'messages', op: 'remove', id: 1 };
+
+    expect(handleSyncPatch(patch, ['chats'])).toBe(true);
+    expect(handler).not.toHaveBeenCalled();
+
+    expect(handleSyncPatch(patch, ['chat', 'messages'])).toBe(true);
+    expect(handler).toHaveBeenCalledWith(patch);
+
+    unsubscribe();
+    expect(handleSyncPatch({ action: 'refresh', prop: 'messages' }, ['messages'])).toBe(false);
+  });
+
+  test('falls back to reloading the patched prop when no handler can apply it', () => {
+    vi.useFakeTimers();
+    router.reload.mockClear();
+    const unsubscribe = onSyncPatch('messages', () => false);
+
+    handleSyncPatch({ action: 'patch', prop: 'messages', op: 'upsert', id: 1, record: {} }, ['chat', 'messages']);
+    vi.advanceTimersByTime(300);
+
+    expect(router.reload).toHaveBeenCalledWith(expect.objectContaining({ only: ['messages'] }));
+    unsubscribe();
+    vi.useRealTimers();
+  });
+
+  test('handles live whiteboard edits without reloading messages', () => {
+    vi.useFakeTimers();
+    router.reload.mockClear();
+
+    const operation = { action: 'whiteboard_op', revision: 4, operation: [4, ' B'], client_id: 'tab-1' };
+    expect(handleWhiteboardOperation(operation, '56', ['chat', 'messages'])).toBe(true);
+    vi.advanceTimersByTime(300);
+
+    expect(router.reload).not.toHaveBeenCalled();
+    expect(handleWhiteboardOperation({ action: 'refresh' }, '56', ['chat', 'messages'])).toBe(false);
+    vi.useRealTimers();
+  });
+
+  test('asks for a catch-up only after the socket dropped, from the last server time seen', () => {
+    const cursor = createSyncCursor();
+
+    handleSyncCursorMessage({ action: 'sync_state', at: 100 }, cursor, ['messages']);
+    expect(cursor.reconnected()).toBeNull();
+
+    handleSyncCursorMessage({ action: 'refresh', at: 105 }, cursor, ['messages']);
+    cursor.disconnected();
+    handleSyncCursorMessage({ action: 'sync_state', at: 200 }, cursor, ['messages']);
+
+    expect(cursor.reconnected()).toEqual({ since: 105 });
+    expect(cursor.reconnected()).toBeNull();
+  });
+
+  test('reloads the subscription props only when the catch-up reports missed changes', () => {
+    vi.useFakeTimers();
+    router.reload.mockClear();
+    const cursor = createSyncCursor();
+
+    expect(handleSyncCursorMessage({ action: 'catch_up', stale: false, at: 300 }, cursor, ['chat'])).toBe(true);
+    vi.advanceTimersByTime(300);
+    expect(router.reload).not.toHaveBeenCalled();
+    expect(cursor.lastSeenAt).toBe(300);
+
+    handleSyncCursorMessage({ action: 'catch_up', stale: true, at: 400 }, cursor, ['chat', 'messages']);
+    vi.advanceTimersByTime(300);
+    expect(router.reload).toHaveBeenCalledWith(expect.objectContaining({ only: ['chat', 'messages'] }));
+    vi.useRealTimers();
+  });
+
+  test('shares one channel subscription between identical model/id pairs until the last one leaves', () => {
+    const created = [];
+    const registry = createSubscriptionRegistry((model, id, propsFor) => {
+      const subscription = { model, id, propsFor, unsubscribe: vi.fn() };
+      created.push(subscription);
+      return subscription;
+    });
+
+    const first = registry.subscribe('Chat', 'abc', ['chat']);
+    const second = registry.subscribe('Chat', 'abc', ['messages']);
+    registry.subscribe('Chat', 'xyz', ['chat']);
+
+    expect(created).toHaveLength(2);
+    expect(registry.listenerCount('Chat', 'abc')).toBe(2);
+    expect(created[0].propsFor({ action: 'refresh' })).toEqual(['chat', 'messages']);
+
+    first();
+    first();
+    expect(created[0].unsubscribe).not.toHaveBeenCalled();
+    second();
+    expect(created[0].unsubscribe).toHaveBeenCalledTimes(1);
+    expect(registry.channelCount).toBe(1);
+
+    registry.subscribe('Chat', 'abc', ['chat']);
+    expect(created).toHaveLength(3);
+  });
+
+  test('leaves collection-tagged changes out for listeners that hand them to a sibling', () => {
+    let propsFor;
+    const registry = createSubscriptionRegistry((model, id, fn) => {
+      propsFor = fn;
+      return { unsubscribe() {} };
+    });
+
+    registry.subscribe('Account', 'abc', ['account'], { ignoreCollections: ['memberships'] });
+    expect(propsFor({ action: 'refresh', collection: 'memberships' })).toEqual([]);
+
+    registry.subscribe('Account', 'abc', ['agents']);
+    expect(propsFor({ action: 'refresh', collection: 'memberships' })).toEqual(['agents']);
+    expect(propsFor({ action: 'refresh' })).toEqual(['account', 'agents']);
+  });
+
+  test('lets live listeners consume messages, hear about connections and perform actions', () => {
+    let notify;
+    const subscription = { perform: vi.fn(), unsubscribe() {} };
+    const registry = createSubscriptionRegistry((model, id, propsFor, notifier) => {
+      notify = notifier;
+      return subscription;
+    });
+
+    const onMessage = vi.fn((data) => data.action === 'whiteboard_op');
+    const onConnected = vi.fn();
+    registry.subscribe('Whiteboard', 'abc', ['chat']);
+    registry.subscribe('Whiteboard', 'abc', [], { onMessage, onConnected });
+
+    expect(notify.message({ action: 'whiteboard_op' })).toBe(true);
+    expect(notify.message({ action: 'refresh' })).toBe(false);
+
+    notify.connected();
+    expect(onConnected).toHaveBeenCalledTimes(1);
+    const late = vi.fn();
+    registry.subscribe('Whiteboard', 'abc', [], { onConnected: late });
+    expect(late).toHaveBeenCalledTimes(1);
+
+    expect(registry.perform('Whiteboard', 'abc', 'join', { client_id: 'tab-1' })).toBe(true);
+    expect(subscription.perform).toHaveBeenCalledWith('join', { client_id: 'tab-1' });
+    expect(registry.perform('Whiteboard', 'xyz', 'join', {})).toBe(false);
+  });
 });
@@ -0,0 +1,45 @@
+import { findModel, groupModelsByProvider } from '$lib/agent-models';
+
+// Regenerated answers are kept as alternates of the original. Only one is
+// displayed at a time, and it carries every version's id and label so the
+// bubble can page between them.
+export function alternatePosition(message) {
+  const versions = message?.alternates_json || [];
+  const index = versions.findIndex((version) => version.id === message.id);
+  if (versions.length < 2 || index === -1) return null;
+
+  return {
+    index,
+    count: versions.length,
+    label: versions[index].label,
+    previousId: versions[index - 1]?.id ?? null,
+    nextId: versions[index + 1]?.id ?? null,
+  };
+}
+
+// Answers since the last human message; the server applies the same rule
+export function regeneratableMessageIds(messages = []) {
+  const lastUserIndex = messages.findLastIndex((message) => message.role === 'user');
+
+  return new Set(
+    messages
+      .slice(lastUserIndex + 1)
+      .filter((message) => message.role === 'assistant' && !message.streaming && message.status !== 'pending')
+      .map((message) => message.id)
+  );
+}
+
+// Residents hosted elsewhere answer on their own schedule, so they can't be asked to regenerate
+export function regenerationResidents(agents = []) {
+  return agents.filter((agent) => agent.runtime !== 'external' && agent.runtime !== 'offline');
+}
+
+export function regenerationModels(models = [], currentModelId = null) {
+  const { groups, groupOrder } = groupModelsByProvider(models);
+
+  return {
+    groups,
+    groupOrder,
+    currentLabel: findModel(groups, currentModelId)?.label || null,
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, test } from 'vitest';
+import {
+  alternatePosition,
+  regeneratableMessageIds,
+  regenerationModels,
+  regenerationResidents,
+} from './chat-alternates';
+
+const versions = [
+  { id: 'a', label: 'GPT-5.6 Sol' },
+  { id: 'b', label: 'Claude Fable 5' },
+  { id: 'c', label: 'Research Assistant' },
+];
+
+describe('chat alternates', () => {
+  test('locates the displayed version among its alternates', () => {
+    expect(alternatePosition({ id: 'b', alternates_json: versions })).toEqual({
+      index: 1,
+      count: 3,
+      label: 'Claude Fable 5',
+      previousId: 'a',
+      nextId: 'c',
+    });
+    expect(alternatePosition({ id: 'a', alternates_json: versions }).previousId).toBeNull();
+    expect(alternatePosition({ id: 'a', alternates_json: null })).toBeNull();
+    expect(alternatePosition({ id: 'z', alternates_json: versions })).toBeNull();
+  });
+
+  test('only answers since the last human message can be regenerated', () => {
+    const messages = [
+      { id: '1', role: 'user' },
+      { id: '2', role: 'assistant' },
+      { id: '3', role: 'user' },
+      { id: '4', role: 'assistant' },
+      { id: '5', role: 'assistant', streaming: true },
+    ];
+
+    expect([...regeneratableMessageIds(messages)]).toEqual(['4']);
+    expect([...regeneratableMessageIds([{ id: '9', role: 'assistant' }])]).toEqual(['9']);
+  });
+
+  test('leaves out residents hosted elsewhere', () => {
+    const agents = [
+      { id: 'r1', runtime: 'inline' },
+      { id: 'r2', runtime: 'external' },
+      { id: 'r3', runtime: 'offline' },
+    ];
+
+    expect(regenerationResidents(agents).map((agent) => agent.id)).toEqual(['r1']);
+  });
+
+  test('groups models by provider and names the current one', () => {
+    const models = [
+      { model_id: 'openai/gpt-5.6-sol', label: 'GPT-5.6 Sol', group: 'Top Models' },
+      { model_id: 'openai/gpt-5-mini', label: 'GPT-5 Mini', group: 'OpenAI' },
+    ];
+
+    const result = regenerationModels(models, 'openai/gpt-5-mini');
+
+    expect(result.groupOrder).toEqual(['Top Models', 'OpenAI']);
+    expect(result.currentLabel).toBe('GPT-5 Mini');
+    expect(regenerationModels(models, 'unknown/model').currentLabel).toBeNull();
+  });
+});
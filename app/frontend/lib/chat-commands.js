@@ -0,0 +1,97 @@
+import { writable } from 'svelte/store';
+
+// Slash commands for the message composer. Whoever owns an action registers
+// it (the header registers the actions behind its menu, the chat page the
+// rest); the composer only reads the registry.
+//
+// A command is { name, description, args?, options?, available?, run }:
+// `args` is the hint shown after the name, `options()` lists completions for
+// the argument, `available()` hides it when it doesn't apply right now, and
+// `run(argument)` performs it.
+export function createCommandRegistry() {
+  const store = writable([]);
+
+  function register(commands) {
+    const added = Array.isArray(commands) ? commands : [commands];
+    store.update((current) => [
+      ...current.filter((command) => !added.some((candidate) => candidate.name === command.name)),
+      ...added,
+    ]);
+
+    return () => store.update((current) => current.filter((command) => !added.includes(command)));
+  }
+
+  return { subscribe: store.subscribe, register };
+}
+
+export function isAvailable(command) {
+  return command.available ? Boolean(command.available()) : true;
+}
+
+// `/name argument` on a single line, or null for ordinary messages
+export function parseSlashCommand(text = '') {
+  const match = text.match(/^\/([\w-]*)(?:[ \t]+(.*))?$/);
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), argument: (match[2] || '').trim(), hasArgument: match[2] !== undefined };
+}
+
+export function findCommand(commands = [], name) {
+  return commands.find((command) => command.name === name && isAvailable(command)) || null;
+}
+
+// Completions for the text typed so far: command names until a space is
+// typed, then the command's argument options.
+export function commandSuggestions(commands = [], text = '') {
+  const parsed = parseSlashCommand(text);
+  if (!parsed) return [];
+
+  if (!parsed.hasArgument) {
+    return commands
+      .filter((command) => isAvailable(command) && command.name.startsWith(parsed.name))
+      .map((command) => ({
+        key: command.name,
+        label: `/${command.name}`,
+        hint: command.args || '',
+        description: command.description || '',
+        text: command.args ? `/${command.name} ` : `/${command.name}`,
+      }));
+  }
+
+  const command = findCommand(commands, parsed.name);
+  if (!command?.options) return [];
+
+  const needle = parsed.argument.toLowerCase();
+  return command
+    .options()
+    .filter((option) => option.label.toLowerCase().includes(needle))
+    .map((option) => ({
+      key: `${command.name}:${option.value}`,
+      label: option.label,
+      hint: '',
+      description: option.description || '',
+      text: `/${command.name} ${option.label}`,
+    }));
+}
+
+// Resolves the argument against the command's options when it has them, so
+// `/assign research` runs with the matching resident's value.
+export function resolveCommand(commands = [], text = '') {
+  const parsed = parseSlashCommand(text);
+  if (!parsed) return null;
+
+  const command = findCommand(commands, parsed.name);
+  if (!command) return null;
+  if (!command.options || !parsed.argument) return { command, argument: parsed.argument };
+
+  const needle = parsed.argument.toLowerCase();
+  const options = command.options();
+  const option =
+    options.find((candidate) => candidate.label.toLowerCase() === needle) ||
+    options.find((candidate) => String(candidate.value).toLowerCase() === needle) ||
+    options.find((candidate) => candidate.label.toLowerCase().includes(needle));
+
+  return option
+    ? { command, argument: option.value }
+    : { command, argument: null, error: `No match for "${parsed.argument}"` };
+}
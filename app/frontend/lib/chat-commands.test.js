@@ -0,0 +1,91 @@
+import { describe, expect, test, vi } from 'vitest';
+import { get } from 'svelte/store';
+import {
+  commandSuggestions,
+  createCommandRegistry,
+  findCommand,
+  parseSlashCommand,
+  resolveCommand,
+} from './chat-commands';
+
+const residents = [
+  { value: 'r1', label: 'Research Assistant' },
+  { value: 'r2', label: 'Writer' },
+];
+
+function commands() {
+  return [
+    { name: 'fork', description: 'Fork this conversation', run: vi.fn() },
+    { name: 'archive', description: 'Archive', run: vi.fn(), available: () => false },
+    { name: 'assign', args: '<resident>', options: () => residents, run: vi.fn() },
+    { name: 'web', args: 'on|off', run: vi.fn() },
+  ];
+}
+
+describe('chat commands', () => {
+  test('registers commands and removes them again', () => {
+    const registry = createCommandRegistry();
+    const unregister = registry.register(commands());
+    const extra = registry.register({ name: 'cost', run: () => {} });
+
+    expect(get(registry).map((command) => command.name)).toEqual(['fork', 'archive', 'assign', 'web', 'cost']);
+
+    unregister();
+    expect(get(registry).map((command) => command.name)).toEqual(['cost']);
+
+    extra();
+    expect(get(registry)).toEqual([]);
+  });
+
+  test('re-registering a name replaces the earlier command', () => {
+    const registry = createCommandRegistry();
+    const first = { name: 'fork', run: () => {} };
+    const second = { name: 'fork', run: () => {} };
+    registry.register(first);
+    registry.register(second);
+
+    expect(get(registry)).toEqual([second]);
+  });
+
+  test('parses single-line slash commands', () => {
+    expect(parseSlashCommand('/web on')).toEqual({ name: 'web', argument: 'on', hasArgument: true });
+    expect(parseSlashCommand('/fork')).toEqual({ name: 'fork', argument: '', hasArgument: false });
+    expect(parseSlashCommand('/assign ')).toEqual({ name: 'assign', argument: '', hasArgument: true });
+    expect(parseSlashCommand('hello /fork')).toBeNull();
+    expect(parseSlashCommand('/fork\nmore')).toBeNull();
+  });
+
+  test('suggests available commands by prefix', () => {
+    expect(commandSuggestions(commands(), '/').map((suggestion) => suggestion.label)).toEqual([
+      '/fork',
+      '/assign',
+      '/web',
+    ]);
+    expect(commandSuggestions(commands(), '/a')).toEqual([
+      { key: 'assign', label: '/assign', hint: '<resident>', description: '', text: '/assign ' },
+    ]);
+    expect(commandSuggestions(commands(), 'not a command')).toEqual([]);
+  });
+
+  test('suggests argument options once the command is typed', () => {
+    expect(commandSuggestions(commands(), '/assign wri').map((suggestion) => suggestion.text)).toEqual([
+      '/assign Writer',
+    ]);
+    expect(commandSuggestions(commands(), '/fork now')).toEqual([]);
+  });
+
+  test('resolves commands and their arguments', () => {
+    const list = commands();
+
+    expect(resolveCommand(list, '/fork')).toEqual({ command: list[0], argument: '' });
+    expect(resolveCommand(list, '/assign research')).toEqual({ command: list[2], argument: 'r1' });
+    expect(resolveCommand(list, '/assign nobody')).toEqual({
+      command: list[2],
+      argument: null,
+      error: 'No match for "nobody"',
+    });
+    expect(resolveCommand(list, '/archive')).toBeNull();
+    expect(resolveCommand(list, '/shrug')).toBeNull();
+    expect(findCommand(list, 'web')).toBe(list[3]);
+  });
+});
@@ -0,0 +1,85 @@
+import { writable } from 'svelte/store';
+
+const KEY_PREFIX = 'helixkit:chat-draft:';
+
+const browser = typeof window !== 'undefined' && typeof localStorage !== 'undefined';
+
+// File objects can't go into localStorage, so pending attachments are kept
+// here for the life of the page and only their names survive a reload.
+const attachedFiles = new Map();
+
+const draftKeysStore = writable(browser ? storedDraftKeys() : new Set());
+
+// Keys of every chat with a saved draft, for the sidebar marker
+export const chatDraftKeys = { subscribe: draftKeysStore.subscribe };
+
+export function chatDraftKey(accountId, chatId) {
+  return `${KEY_PREFIX}${accountId}:${chatId}`;
+}
+
+function storedDraftKeys() {
+  const keys = new Set();
+  for (let index = 0; index < localStorage.length; index++) {
+    const key = localStorage.key(index);
+    if (key?.startsWith(KEY_PREFIX)) keys.add(key);
+  }
+  return keys;
+}
+
+function refreshDraftKeys() {
+  if (browser) draftKeysStore.set(storedDraftKeys());
+}
+
+export function fileSummary(file) {
+  return { name: file.name, size: file.size, type: file.type };
+}
+
+export function saveChatDraft(accountId, chatId, { content = '', files = [] } = {}) {
+  if (!content.trim() && files.length === 0) return clearChatDraft(accountId, chatId);
+
+  const key = chatDraftKey(accountId, chatId);
+  attachedFiles.set(key, [...files]);
+
+  try {
+    localStorage.setItem(key, JSON.stringify({ content, files: files.map(fileSummary), saved_at: Date.now() }));
+  } catch {
+    // Storage full or disabled; the in-memory copy still covers chat switches
+  }
+  refreshDraftKeys();
+}
+
+// Returns the draft with whichever attachments are still in memory as files;
+// those lost to a reload come back as summaries in missingFiles.
+export function loadChatDraft(accountId, chatId) {
+  const key = chatDraftKey(accountId, chatId);
+  const saved = localStorage.getItem(key);
+  if (!saved) return null;
+
+  try {
+    const draft = JSON.parse(saved);
+    const files = attachedFiles.get(key) || [];
+    const kept = new Set(files.map((file) => file.name));
+
+    return {
+      content: typeof draft.content === 'string' ? draft.content : '',
+      files,
+      missingFiles: (draft.files || []).filter((file) => !kept.has(file.name)),
+    };
+  } catch {
+    clearChatDraft(accountId, chatId);
+    return null;
+  }
+}
+
+export function clearChatDraft(accountId, chatId) {
+  const key = chatDraftKey(accountId, chatId);
+  attachedFiles.delete(key);
+  localStorage.removeItem(key);
+  refreshDraftKeys();
+}
+
+if (browser) {
+  window.addEventListener('storage', (event) => {
+    if (event.key === null || event.key.startsWith(KEY_PREFIX)) refreshDraftKeys();
+  });
+}
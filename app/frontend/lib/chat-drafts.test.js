@@ -0,0 +1,59 @@
+import { beforeEach, describe, expect, test } from 'vitest';
+import { get } from 'svelte/store';
+import { chatDraftKey, chatDraftKeys, clearChatDraft, loadChatDraft, saveChatDraft } from './chat-drafts';
+
+describe('chat drafts', () => {
+  beforeEach(() => {
+    clearChatDraft('acc', 'chat-1');
+    clearChatDraft('acc', 'chat-2');
+    localStorage.clear();
+  });
+
+  test('saves and restores drafts per chat', () => {
+    saveChatDraft('acc', 'chat-1', { content: 'Half a thought' });
+    saveChatDraft('acc', 'chat-2', { content: 'Something else' });
+
+    expect(loadChatDraft('acc', 'chat-1')).toEqual({ content: 'Half a thought', files: [], missingFiles: [] });
+    expect(loadChatDraft('acc', 'chat-2').content).toBe('Something else');
+    expect(loadChatDraft('acc', 'chat-3')).toBeNull();
+  });
+
+  test('clears the draft once the composer is empty', () => {
+    saveChatDraft('acc', 'chat-1', { content: 'Draft' });
+    saveChatDraft('acc', 'chat-1', { content: '   ', files: [] });
+
+    expect(loadChatDraft('acc', 'chat-1')).toBeNull();
+    expect(localStorage.getItem(chatDraftKey('acc', 'chat-1'))).toBeNull();
+  });
+
+  test('keeps attachments in memory and remembers their names across reloads', () => {
+    const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+    saveChatDraft('acc', 'chat-1', { content: '', files: [file] });
+
+    expect(loadChatDraft('acc', 'chat-1').files).toEqual([file]);
+
+    const stored = JSON.parse(localStorage.getItem(chatDraftKey('acc', 'chat-1')));
+    localStorage.setItem(chatDraftKey('acc', 'chat-2'), JSON.stringify(stored));
+
+    expect(loadChatDraft('acc', 'chat-2')).toEqual({
+      content: '',
+      files: [],
+      missingFiles: [{ name: 'notes.txt', size: 5, type: 'text/plain' }],
+    });
+  });
+
+  test('drops drafts that cannot be parsed', () => {
+    localStorage.setItem(chatDraftKey('acc', 'chat-1'), '{not json');
+
+    expect(loadChatDraft('acc', 'chat-1')).toBeNull();
+    expect(localStorage.getItem(chatDraftKey('acc', 'chat-1'))).toBeNull();
+  });
+
+  test('tracks which chats have drafts', () => {
+    saveChatDraft('acc', 'chat-1', { content: 'Draft' });
+    expect(get(chatDraftKeys).has(chatDraftKey('acc', 'chat-1'))).toBe(true);
+
+    clearChatDraft('acc', 'chat-1');
+    expect(get(chatDraftKeys).has(chatDraftKey('acc', 'chat-1'))).toBe(false);
+  });
+});
@@ -0,0 +1,231 @@
+import { formatToolsUsed } from '$lib/chat-message-formatting';
+import { MESSAGE_TELEMETRY_FIELDS, formatTelemetryTokens } from '$lib/message-telemetry';
+
+// Renders the server's transcript (Chat::Exportable#transcript_json) for
+// download. JSON is the transcript as-is, so it can be imported again.
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', type: 'text/html' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+};
+
+export function exportFilename(transcript, format) {
+  const slug = (transcript?.chat?.title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return `${slug || 'conversation'}.${EXPORT_FORMATS[format].extension}`;
+}
+
+export function renderTranscript(transcript, format, { origin = '' } = {}) {
+  if (format === 'markdown') return transcriptToMarkdown(transcript, { origin });
+  if (format === 'html') return transcriptToHtml(transcript);
+  return JSON.stringify(transcript, null, 2);
+}
+
+export function formatExportTime(value) {
+  if (!value) return '';
+  return `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+export function telemetrySummary(telemetry) {
+  if (!telemetry) return null;
+
+  const parts = MESSAGE_TELEMETRY_FIELDS.filter(([key]) => key in telemetry).map(
+    ([key, label]) => `${label} ${formatTelemetryTokens(telemetry[key])}`
+  );
+  if (telemetry.model) parts.unshift(telemetry.model);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+function attachmentUrl(attachment, origin) {
+  if (!attachment.url) return null;
+
+  try {
+    return new URL(attachment.url, origin || undefined).href;
+  } catch {
+    return attachment.url;
+  }
+}
+
+function formatBytes(bytes) {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function headerLine(transcript) {
+  const chat = transcript.chat || {};
+  return [chat.model_label || chat.model_id, `Exported ${formatExportTime(transcript.exported_at)}`]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+export function transcriptToMarkdown(transcript, { origin = '' } = {}) {
+  const lines = [`# ${transcript.chat?.title || 'Conversation'}`, '', `_${headerLine(transcript)}_`];
+
+  for (const message of transcript.messages || []) {
+    lines.push('', '---', '', `### ${message.author_name} · ${formatExportTime(message.created_at)}`, '');
+
+    if (message.thinking) {
+      lines.push('<details>', '<summary>Thinking</summary>', '', message.thinking, '', '</details>', '');
+    }
+    if (message.content) lines.push(message.content, '');
+
+    const tools = formatToolsUsed(message.tools_used);
+    if (tools.length > 0) lines.push(`**Tools used:** ${tools.join(', ')}`, '');
+
+    for (const attachment of message.attachments || []) {
+      const url = attachmentUrl(attachment, origin);
+      const name = url ? `[${attachment.filename}](${url})` : attachment.filename;
+      lines.push(`- 📎 ${name} (${formatBytes(attachment.byte_size)})`);
+    }
+    if (message.attachments?.length > 0) lines.push('');
+
+    const telemetry = telemetrySummary(message.telemetry);
+    if (telemetry) lines.push(`<sub>${telemetry}</sub>`, '');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLES = `
+  body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  header p, .meta, .telemetry { color: #6b7280; font-size: 0.8rem; }
+  article { border-top: 1px solid #e5e7eb; padding: 1rem 0; }
+  article.user .content { background: #f3f4f6; border-radius: 0.5rem; padding: 0.75rem; }
+  .content { line-height: 1.5; overflow-wrap: anywhere; }
+  .content.plain { white-space: pre-wrap; }
+  .content pre { background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 0.375rem; padding: 0.75rem; overflow-x: auto; }
+  .content code { font-size: 0.9em; }
+  .content table { border-collapse: collapse; }
+  .content th, .content td { border: 1px solid #e5e7eb; padding: 0.25rem 0.5rem; }
+  details { margin-bottom: 0.5rem; color: #4b5563; }
+  details div { white-space: pre-wrap; font-size: 0.9rem; }
+  .tools { font-size: 0.8rem; }
+  figure { margin: 0.5rem 0; }
+  figure img { max-width: 100%; border-radius: 0.375rem; }
+  figcaption, ul.attachments { font-size: 0.8rem; color: #6b7280; }
+  ul.attachments { padding-left: 1.25rem; }
+`;
+
+// The transcript's attachment URLs are signed and expire, so the HTML page
+// carries images inline as data URIs and names every other file.
+export const MAX_EMBEDDED_IMAGE_BYTES = 10 * 1024 * 1024;
+
+export async function embedExportImages(transcript, { fetch = globalThis.fetch } = {}) {
+  const messages = [];
+
+  // One image at a time keeps a long conversation from downloading everything at once
+  for (const message of transcript.messages || []) {
+    if (!message.attachments?.length) {
+      messages.push(message);
+      continue;
+    }
+
+    const attachments = [];
+    for (const attachment of message.attachments) attachments.push(await embedImage(attachment, fetch));
+    messages.push({ ...message, attachments });
+  }
+
+  return { ...transcript, messages };
+}
+
+async function embedImage(attachment, fetch) {
+  const image = attachment.content_type?.startsWith('image/');
+  if (!image || !attachment.url || attachment.byte_size > MAX_EMBEDDED_IMAGE_BYTES) return attachment;
+
+  try {
+    const response = await fetch(attachment.url);
+    if (!response.ok) return attachment;
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return { ...attachment, data_uri: `data:${attachment.content_type};base64,${toBase64(bytes)}` };
+  } catch {
+    return attachment;
+  }
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function attachmentLabel(attachment) {
+  return `${escapeHtml(attachment.filename)} (${escapeHtml(formatBytes(attachment.byte_size))})`;
+}
+
+function messageToHtml(message) {
+  const parts = [
+    `<div class="meta"><strong>${escapeHtml(message.author_name)}</strong> · ${escapeHtml(formatExportTime(message.created_at))}</div>`,
+  ];
+
+  if (message.thinking) {
+    parts.push(`<details><summary>Thinking</summary><div>${escapeHtml(message.thinking)}</div></details>`);
+  }
+  // content_html is the server's sanitised rendering, the same markup the chat shows
+  if (message.content_html) {
+    parts.push(`<div class="content">${message.content_html}</div>`);
+  } else if (message.content) {
+    parts.push(`<div class="content plain">${escapeHtml(message.content)}</div>`);
+  }
+
+  const tools = formatToolsUsed(message.tools_used);
+  if (tools.length > 0) parts.push(`<p class="tools">Tools used: ${escapeHtml(tools.join(', '))}</p>`);
+
+  const attachments = message.attachments || [];
+  attachments
+    .filter((attachment) => attachment.data_uri)
+    .forEach((attachment) => {
+      parts.push(
+        `<figure><img src="${escapeHtml(attachment.data_uri)}" alt="${escapeHtml(attachment.filename)}"><figcaption>${attachmentLabel(attachment)}</figcaption></figure>`
+      );
+    });
+
+  const files = attachments.filter((attachment) => !attachment.data_uri);
+  if (files.length > 0) {
+    parts.push(`<ul class="attachments">${files.map((file) => `<li>${attachmentLabel(file)}</li>`).join('')}</ul>`);
+  }
+
+  const telemetry = telemetrySummary(message.telemetry);
+  if (telemetry) parts.push(`<p class="telemetry">${escapeHtml(telemetry)}</p>`);
+
+  return `<article class="${escapeHtml(message.role)}">\n${parts.join('\n')}\n</article>`;
+}
+
+// Pass the transcript through embedExportImages first for images to show
+export function transcriptToHtml(transcript) {
+  const title = escapeHtml(transcript.chat?.title || 'Conversation');
+  const messages = (transcript.messages || []).map((message) => messageToHtml(message));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+<p>${escapeHtml(headerLine(transcript))}</p>
+</header>
+${messages.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,124 @@
+import { describe, expect, test, vi } from 'vitest';
+import {
+  embedExportImages,
+  escapeHtml,
+  exportFilename,
+  formatExportTime,
+  renderTranscript,
+  telemetrySummary,
+  transcriptToHtml,
+  transcriptToMarkdown,
+} from './chat-export';
+
+function transcript() {
+  return {
+    format: 'helix_kit.transcript',
+    version: 1,
+    exported_at: '2026-10-19T12:00:00Z',
+    chat: { id: 'abc', title: 'Launch <plans>', model_label: 'GPT-5' },
+    messages: [
+      {
+        id: 'm1',
+        role: 'user',
+        author_name: 'Ada',
+        created_at: '2026-10-19T09:30:00Z',
+        content: 'What should we ship?',
+        tools_used: [],
+        attachments: [{ filename: 'plan.pdf', content_type: 'application/pdf', byte_size: 2048, url: '/files/1' }],
+      },
+      {
+        id: 'm2',
+        role: 'assistant',
+        author_name: 'Research Assistant',
+        created_at: '2026-10-19T09:31:00Z',
+        content: 'Ship the <beta>.',
+        content_html: '<p>Ship the &lt;beta&gt;.</p>\n',
+        thinking: 'Weighing options',
+        tools_used: ['https://example.com/page', '#<RubyLLM/tool call:0x1>'],
+        attachments: [{ filename: 'chart.png', content_type: 'image/png', byte_size: 3, url: '/files/2' }],
+        telemetry: { model: 'openai/gpt-5', input_tokens: 1200, output_tokens: 34 },
+      },
+    ],
+  };
+}
+
+describe('chat export', () => {
+  test('names files after the chat title', () => {
+    expect(exportFilename(transcript(), 'markdown')).toBe('launch-plans.md');
+    expect(exportFilename({ chat: { title: '!!!' } }, 'json')).toBe('conversation.json');
+  });
+
+  test('formats times in UTC regardless of the offset sent', () => {
+    expect(formatExportTime('2026-10-19T10:30:00+01:00')).toBe('2026-10-19 09:30 UTC');
+    expect(formatExportTime(null)).toBe('');
+  });
+
+  test('summarises telemetry with the shared token labels', () => {
+    expect(telemetrySummary({ model: 'openai/gpt-5', input_tokens: 1200, output_tokens: null })).toBe(
+      'openai/gpt-5 · Input 1,200 · Output —'
+    );
+    expect(telemetrySummary(null)).toBeNull();
+  });
+
+  test('renders thinking, tools, attachments and telemetry as Markdown', () => {
+    const markdown = transcriptToMarkdown(transcript(), { origin: 'https://helix.example' });
+
+    expect(markdown).toContain('# Launch <plans>');
+    expect(markdown).toContain('### Ada · 2026-10-19 09:30 UTC');
+    expect(markdown).toContain('- 📎 [plan.pdf](https://helix.example/files/1) (2.0 KB)');
+    expect(markdown).toContain('<summary>Thinking</summary>\n\nWeighing options');
+    expect(markdown).toContain('**Tools used:** example.com, Web access');
+    expect(markdown).toContain('<sub>openai/gpt-5 · Input 1,200 · Output 34</sub>');
+  });
+
+  test('renders an escaped HTML page from the rendered message bodies', () => {
+    const html = transcriptToHtml(transcript());
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<style>');
+    expect(html).toContain('<title>Launch &lt;plans&gt;</title>');
+    expect(html).toContain('<div class="content"><p>Ship the &lt;beta&gt;.</p>\n</div>');
+    expect(html).toContain('<div class="content plain">What should we ship?</div>');
+    expect(html).toContain('<details><summary>Thinking</summary><div>Weighing options</div></details>');
+    expect(html).not.toContain('<beta>');
+  });
+
+  test('names attachments instead of linking to URLs that expire', () => {
+    const html = transcriptToHtml(transcript());
+
+    expect(html).toContain('<li>plan.pdf (2.0 KB)</li>');
+    expect(html).toContain('<li>chart.png (3 B)</li>');
+    expect(html).not.toContain('/files/');
+  });
+
+  test('embeds image attachments as data URIs and leaves other files alone', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer }));
+
+    const embedded = await embedExportImages(transcript(), { fetch });
+    const html = transcriptToHtml(embedded);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('/files/2');
+    expect(html).toContain(
+      '<figure><img src="data:image/png;base64,AQID" alt="chart.png"><figcaption>chart.png (3 B)</figcaption></figure>'
+    );
+    expect(html).toContain('<li>plan.pdf (2.0 KB)</li>');
+  });
+
+  test('falls back to naming images it could not download', async () => {
+    const fetch = vi.fn(async () => ({ ok: false }));
+
+    const html = transcriptToHtml(await embedExportImages(transcript(), { fetch }));
+
+    expect(html).toContain('<li>chart.png (3 B)</li>');
+    expect(html).not.toContain('<img');
+  });
+
+  test('keeps the JSON transcript as sent so it can be imported again', () => {
+    expect(JSON.parse(renderTranscript(transcript(), 'json'))).toEqual(transcript());
+  });
+
+  test('escapes HTML special characters', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
@@ -0,0 +1,236 @@
+import { validateUploadFile } from '$lib/file-upload-rules';
+
+// Transcripts are parsed and previewed here; only the confirmed messages
+// are sent to Chat.import_transcript!, which applies the same limit.
+export const MAX_IMPORTED_MESSAGES = 5000;
+
+export const IMPORT_UPLOAD_RULES = {
+  maxSize: 50 * 1024 * 1024,
+  allowedTypes: ['application/json'],
+  allowedExtensions: ['.json'],
+  typeError: 'Choose a .json transcript or chat export.',
+};
+
+export const ME = 'me';
+
+export function validateImportFile(file) {
+  return validateUploadFile(file, IMPORT_UPLOAD_RULES);
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function timestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function entry(role, speaker, content, createdAt, thinking = null) {
+  return { role, speaker, content, thinking: text(thinking) || null, created_at: timestamp(createdAt) };
+}
+
+function withContent(messages) {
+  return messages.filter((message) => message.content);
+}
+
+// Our own export: Chat::Exportable#transcript_json
+function fromHelixTranscript(data) {
+  return [
+    {
+      title: data.chat?.title || '',
+      source: 'Helix Kit',
+      messages: withContent(
+        (data.messages || [])
+          .filter((message) => message.role === 'user' || message.role === 'assistant')
+          .map((message) =>
+            entry(
+              message.role,
+              message.author_name || (message.role === 'user' ? 'User' : 'Assistant'),
+              text(message.content),
+              message.created_at,
+              message.thinking
+            )
+          )
+      ),
+    },
+  ];
+}
+
+// ChatGPT's conversations.json keeps each conversation as a tree; the
+// displayed branch is the path from current_node back to the root.
+function fromChatGptConversation(conversation) {
+  const mapping = conversation.mapping || {};
+  const path = [];
+  let nodeId = conversation.current_node;
+
+  while (nodeId && mapping[nodeId] && path.length <= Object.keys(mapping).length) {
+    path.unshift(mapping[nodeId]);
+    nodeId = mapping[nodeId].parent;
+  }
+
+  const messages = path
+    .map((node) => node.message)
+    .filter((message) => ['user', 'assistant'].includes(message?.author?.role))
+    .filter((message) => !message.content?.content_type || message.content.content_type === 'text')
+    .map((message) =>
+      entry(
+        message.author.role,
+        message.author.role === 'user' ? 'User' : 'ChatGPT',
+        (message.content?.parts || [])
+          .filter((part) => typeof part === 'string')
+          .join('\n\n')
+          .trim(),
+        message.create_time
+      )
+    );
+
+  return { title: conversation.title || '', source: 'ChatGPT', messages: withContent(messages) };
+}
+
+function claudeText(message) {
+  if (text(message.text)) return text(message.text);
+
+  return (message.content || [])
+    .filter((block) => block.type === 'text')
+    .map((block) => text(block.text))
+    .join('\n\n')
+    .trim();
+}
+
+function claudeThinking(message) {
+  return (message.content || [])
+    .filter((block) => block.type === 'thinking')
+    .map((block) => text(block.thinking))
+    .join('\n\n');
+}
+
+// Claude's conversations.json: a flat chat_messages list per conversation
+function fromClaudeConversation(conversation) {
+  const messages = (conversation.chat_messages || []).map((message) =>
+    entry(
+      message.sender === 'human' ? 'user' : 'assistant',
+      message.sender === 'human' ? 'User' : 'Claude',
+      claudeText(message),
+      message.created_at,
+      claudeThinking(message)
+    )
+  );
+
+  return { title: conversation.name || '', source: 'Claude', messages: withContent(messages) };
+}
+
+// A bare [{ role, content }] list, as most chat APIs take it
+function fromMessageList(list) {
+  const messages = list
+    .filter((message) => message.role === 'user' || message.role === 'assistant')
+    .map((message) =>
+      entry(
+        message.role,
+        message.name || (message.role === 'user' ? 'User' : 'Assistant'),
+        typeof message.content === 'string'
+          ? message.content.trim()
+          : (message.content || [])
+              .map((part) => text(part?.text))
+              .filter(Boolean)
+              .join('\n\n'),
+        message.created_at || message.timestamp
+      )
+    );
+
+  return [{ title: '', source: 'Messages', messages: withContent(messages) }];
+}
+
+function isChatGptConversation(item) {
+  return item && typeof item === 'object' && item.mapping && typeof item.mapping === 'object';
+}
+
+function isClaudeConversation(item) {
+  return item && typeof item === 'object' && Array.isArray(item.chat_messages);
+}
+
+// Returns every conversation found in the file, or throws with a message
+// suitable for showing to the person importing.
+export function parseTranscript(source) {
+  let data;
+  try {
+    data = typeof source === 'string' ? JSON.parse(source) : source;
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+
+  let conversations;
+  if (data?.format === 'helix_kit.transcript') {
+    conversations = fromHelixTranscript(data);
+  } else if (isChatGptConversation(data)) {
+    conversations = [fromChatGptConversation(data)];
+  } else if (isClaudeConversation(data)) {
+    conversations = [fromClaudeConversation(data)];
+  } else if (Array.isArray(data) && data.some(isChatGptConversation)) {
+    conversations = data.filter(isChatGptConversation).map(fromChatGptConversation);
+  } else if (Array.isArray(data) && data.some(isClaudeConversation)) {
+    conversations = data.filter(isClaudeConversation).map(fromClaudeConversation);
+  } else if (Array.isArray(data) && data.some((item) => item?.role && 'content' in item)) {
+    conversations = fromMessageList(data);
+  } else {
+    throw new Error("We don't recognise this format. Try a Helix Kit, ChatGPT or Claude export.");
+  }
+
+  conversations = conversations.filter((conversation) => conversation.messages.length > 0);
+  if (conversations.length === 0) throw new Error('There are no messages in this file.');
+  return conversations;
+}
+
+export function importSpeakers(conversation) {
+  const speakers = new Map();
+  for (const message of conversation?.messages || []) {
+    if (!speakers.has(message.speaker)) {
+      speakers.set(message.speaker, { name: message.speaker, role: message.role, count: 0 });
+    }
+    speakers.get(message.speaker).count += 1;
+  }
+  return [...speakers.values()];
+}
+
+// People default to the importer; each assistant to the resident of the
+// same name, else the first resident, so the conversation becomes theirs.
+export function defaultSpeakerAssignments(speakers, agents = []) {
+  const fallback = agents.find((agent) => agent.paused !== true) || agents[0];
+
+  return Object.fromEntries(
+    speakers.map((speaker) => {
+      if (speaker.role === 'user') return [speaker.name, ME];
+
+      const named = agents.find((agent) => agent.name.toLowerCase() === speaker.name.toLowerCase());
+      return [speaker.name, (named || fallback)?.id ?? ME];
+    })
+  );
+}
+
+export function importPayload(conversation, assignments, title = conversation.title) {
+  return {
+    title: title?.trim() || '',
+    source: conversation.source,
+    messages: conversation.messages.map((message) => {
+      const assignee = assignments[message.speaker] ?? ME;
+      return {
+        content: message.content,
+        thinking: message.thinking,
+        created_at: message.created_at,
+        agent_id: assignee === ME ? null : assignee,
+      };
+    }),
+  };
+}
+
+export function importProblem(conversation, assignments) {
+  if (!conversation) return 'Choose a file to import.';
+  if (conversation.messages.length > MAX_IMPORTED_MESSAGES) {
+    return `Transcripts can have at most ${MAX_IMPORTED_MESSAGES} messages.`;
+  }
+  if (!Object.values(assignments).some((assignee) => assignee && assignee !== ME)) {
+    return 'Choose a resident for at least one speaker.';
+  }
+  return null;
+}
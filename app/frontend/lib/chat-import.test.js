@@ -0,0 +1,165 @@
+import { describe, expect, test } from 'vitest';
+import {
+  ME,
+  defaultSpeakerAssignments,
+  importPayload,
+  importProblem,
+  importSpeakers,
+  parseTranscript,
+  validateImportFile,
+} from './chat-import';
+
+const chatGptExport = [
+  {
+    title: 'Trip ideas',
+    current_node: 'c',
+    mapping: {
+      root: { message: null, parent: null },
+      a: {
+        parent: 'root',
+        message: {
+          author: { role: 'user' },
+          content: { content_type: 'text', parts: ['Where to?'] },
+          create_time: 1760000000,
+        },
+      },
+      old: {
+        parent: 'a',
+        message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Discarded branch'] } },
+      },
+      b: {
+        parent: 'a',
+        message: { author: { role: 'tool' }, content: { content_type: 'text', parts: ['search results'] } },
+      },
+      c: {
+        parent: 'b',
+        message: {
+          author: { role: 'assistant' },
+          content: { content_type: 'text', parts: ['Lisbon.'] },
+          create_time: 1760000060,
+        },
+      },
+    },
+  },
+];
+
+const claudeExport = [
+  {
+    name: 'Refactor',
+    chat_messages: [
+      { sender: 'human', text: 'Can you help?', created_at: '2026-01-02T10:00:00Z' },
+      {
+        sender: 'assistant',
+        text: '',
+        content: [
+          { type: 'thinking', thinking: 'Consider the module' },
+          { type: 'text', text: 'Sure.' },
+        ],
+        created_at: '2026-01-02T10:00:05Z',
+      },
+    ],
+  },
+  { name: 'Empty', chat_messages: [] },
+];
+
+describe('chat import', () => {
+  test('reads our own JSON transcripts with their authors and thinking', () => {
+    const [conversation] = parseTranscript({
+      format: 'helix_kit.transcript',
+      chat: { title: 'Launch' },
+      messages: [
+        { role: 'user', author_name: 'Ada', content: 'Ship it?', created_at: '2026-10-19T09:30:00Z' },
+        { role: 'assistant', author_name: 'Archie', content: 'Yes.', thinking: 'Checked' },
+        { role: 'system', author_name: 'System', content: 'Ignored' },
+      ],
+    });
+
+    expect(conversation.title).toBe('Launch');
+    expect(conversation.source).toBe('Helix Kit');
+    expect(conversation.messages).toEqual([
+      { role: 'user', speaker: 'Ada', content: 'Ship it?', thinking: null, created_at: '2026-10-19T09:30:00.000Z' },
+      { role: 'assistant', speaker: 'Archie', content: 'Yes.', thinking: 'Checked', created_at: null },
+    ]);
+  });
+
+  test('follows the displayed branch of ChatGPT exports', () => {
+    const [conversation] = parseTranscript(JSON.stringify(chatGptExport));
+
+    expect(conversation.source).toBe('ChatGPT');
+    expect(conversation.messages.map((message) => [message.speaker, message.content])).toEqual([
+      ['User', 'Where to?'],
+      ['ChatGPT', 'Lisbon.'],
+    ]);
+    expect(conversation.messages[0].created_at).toBe(new Date(1760000000 * 1000).toISOString());
+  });
+
+  test('reads Claude exports and drops empty conversations', () => {
+    const conversations = parseTranscript(claudeExport);
+
+    expect(conversations).toHaveLength(1);
+    expect(conversations[0].messages[1]).toMatchObject({
+      speaker: 'Claude',
+      content: 'Sure.',
+      thinking: 'Consider the module',
+    });
+  });
+
+  test('reads bare role and content lists', () => {
+    const [conversation] = parseTranscript([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: [{ type: 'text', text: 'Hello' }] },
+    ]);
+
+    expect(conversation.messages.map((message) => message.content)).toEqual(['Hi', 'Hello']);
+  });
+
+  test('explains files it cannot read', () => {
+    expect(() => parseTranscript('{nope')).toThrow("That file isn't valid JSON.");
+    expect(() => parseTranscript({ hello: 'world' })).toThrow(/recognise this format/);
+    expect(() => parseTranscript([{ name: 'Empty', chat_messages: [] }])).toThrow(
+      'There are no messages in this file.'
+    );
+  });
+
+  test('only accepts JSON files within the upload limit', () => {
+    expect(validateImportFile({ name: 'chat.json', type: 'application/json', size: 100 })).toBeNull();
+    expect(validateImportFile({ name: 'chat.pdf', type: 'application/pdf', size: 100 })).toBe(
+      'Choose a .json transcript or chat export.'
+    );
+    expect(validateImportFile({ name: 'chat.json', type: '', size: 60 * 1024 * 1024 })).toMatch(/File too large/);
+  });
+
+  test('assigns people to the importer and assistants to matching residents', () => {
+    const [conversation] = parseTranscript(claudeExport);
+    const speakers = importSpeakers(conversation);
+    const agents = [
+      { id: 'r1', name: 'Archie', paused: true },
+      { id: 'r2', name: 'Claude' },
+    ];
+
+    expect(speakers).toEqual([
+      { name: 'User', role: 'user', count: 1 },
+      { name: 'Claude', role: 'assistant', count: 1 },
+    ]);
+    expect(defaultSpeakerAssignments(speakers, agents)).toEqual({ User: ME, Claude: 'r2' });
+    expect(defaultSpeakerAssignments(speakers, [agents[0]])).toEqual({ User: ME, Claude: 'r1' });
+  });
+
+  test('builds the payload the server imports', () => {
+    const [conversation] = parseTranscript(claudeExport);
+    const payload = importPayload(conversation, { User: ME, Claude: 'r2' }, '  Renamed  ');
+
+    expect(payload.title).toBe('Renamed');
+    expect(payload.source).toBe('Claude');
+    expect(payload.messages.map((message) => message.agent_id)).toEqual([null, 'r2']);
+  });
+
+  test('needs at least one resident before importing', () => {
+    const [conversation] = parseTranscript(claudeExport);
+
+    expect(importProblem(null, {})).toBe('Choose a file to import.');
+    expect(importProblem(conversation, { User: ME, Claude: ME })).toBe('Choose a resident for at least one speaker.');
+    expect(importProblem(conversation, { User: ME, Claude: 'r2' })).toBeNull();
+  });
+});
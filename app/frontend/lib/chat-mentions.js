@@ -0,0 +1,75 @@
+// Mentions are plain `@Name` text in the message. The server matches them the
+// same way (Chat#trigger_mentioned_agents!), so whatever the composer inserts
+// is what triggers the resident.
+
+const MAX_QUERY_LENGTH = 40;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The `@query` being typed at the caret, if any. An @ only opens a mention at
+// the start of the text or after whitespace, so emails don't trigger it.
+export function mentionQueryAt(text = '', caret = text.length) {
+  const before = text.slice(0, caret);
+  const start = before.lastIndexOf('@');
+  if (start === -1) return null;
+  if (start > 0 && !/\s/.test(before[start - 1])) return null;
+
+  const query = before.slice(start + 1);
+  if (query.includes('\n') || query.length > MAX_QUERY_LENGTH) return null;
+
+  return { start, end: caret, query };
+}
+
+// Names can have spaces, so the query matches the start of the name or of any word in it
+export function mentionCandidates(agents = [], query = '') {
+  const needle = query.toLowerCase();
+
+  return agents.filter((agent) => {
+    const name = (agent.name || '').toLowerCase();
+    return name.startsWith(needle) || name.split(/\s+/).some((word) => word.startsWith(needle));
+  });
+}
+
+export function insertMention(text, { start, end }, agent) {
+  const mention = `@${agent.name} `;
+  return {
+    text: `${text.slice(0, start)}${mention}${text.slice(end).replace(/^ /, '')}`,
+    caret: start + mention.length,
+  };
+}
+
+// Residents mentioned in the content, in the order they're first mentioned
+export function mentionedAgents(content = '', agents = []) {
+  return agents
+    .map((agent) => ({ agent, index: content.search(new RegExp(`@${escapeRegExp(agent.name)}\\b`, 'i')) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(({ agent }) => agent);
+}
+
+// Wraps mentions of known names in brackets so Streamdown hands them to the
+// inline citation snippet, which renders them as chips. Code is left alone.
+export function markMentions(content = '', names = []) {
+  if (!content || names.length === 0) return content;
+
+  const alternatives = [...names]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  if (!alternatives) return content;
+
+  const pattern = new RegExp(`(^|[^\\w\\[])(@(?:${alternatives}))\\b`, 'gi');
+
+  return content
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(pattern, '$1[$2]')))
+    .join('');
+}
+
+export function mentionFromCitation(text = '') {
+  const match = text.match(/^\[@([^\]]+)\]$/);
+  return match ? match[1] : null;
+}
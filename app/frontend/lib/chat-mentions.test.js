@@ -0,0 +1,59 @@
+import { describe, expect, test } from 'vitest';
+import {
+  insertMention,
+  markMentions,
+  mentionCandidates,
+  mentionedAgents,
+  mentionFromCitation,
+  mentionQueryAt,
+} from './chat-mentions';
+
+const agents = [
+  { id: 'a1', name: 'Research Assistant' },
+  { id: 'a2', name: 'Ada' },
+  { id: 'a3', name: 'Bob' },
+];
+
+describe('chat mentions', () => {
+  test('finds the mention being typed at the caret', () => {
+    expect(mentionQueryAt('Hey @Re', 7)).toEqual({ start: 4, end: 7, query: 'Re' });
+    expect(mentionQueryAt('@', 1)).toEqual({ start: 0, end: 1, query: '' });
+    expect(mentionQueryAt('mail me@example.com', 19)).toBeNull();
+    expect(mentionQueryAt('@Ada\nnext line', 14)).toBeNull();
+    expect(mentionQueryAt('no mention here', 15)).toBeNull();
+  });
+
+  test('matches candidates by name or by any word in it', () => {
+    expect(mentionCandidates(agents, 'a').map((agent) => agent.id)).toEqual(['a1', 'a2']);
+    expect(mentionCandidates(agents, 'res').map((agent) => agent.id)).toEqual(['a1']);
+    expect(mentionCandidates(agents, 'research as').map((agent) => agent.id)).toEqual(['a1']);
+    expect(mentionCandidates(agents, 'Ada thanks')).toEqual([]);
+  });
+
+  test('inserts the full name and moves the caret past it', () => {
+    expect(insertMention('Hey @Re what', { start: 4, end: 7 }, agents[0])).toEqual({
+      text: 'Hey @Research Assistant what',
+      caret: 24,
+    });
+  });
+
+  test('lists mentioned residents in mention order', () => {
+    const mentioned = mentionedAgents('@bob then @Research Assistant, not ada', agents);
+
+    expect(mentioned.map((agent) => agent.id)).toEqual(['a3', 'a1']);
+  });
+
+  test('marks mentions for chip rendering outside code', () => {
+    expect(markMentions('Hi @Ada and @Research Assistant!', ['Ada', 'Research Assistant'])).toBe(
+      'Hi [@Ada] and [@Research Assistant]!'
+    );
+    expect(markMentions('Run `@Ada` or\n```\n@Ada\n```', ['Ada'])).toBe('Run `@Ada` or\n```\n@Ada\n```');
+    expect(markMentions('mail ada@Ada.com and @Adam', ['Ada'])).toBe('mail ada@Ada.com and @Adam');
+    expect(markMentions('Hi @Ada', [])).toBe('Hi @Ada');
+  });
+
+  test('reads mentions back out of citation tokens', () => {
+    expect(mentionFromCitation('[@Research Assistant]')).toBe('Research Assistant');
+    expect(mentionFromCitation('[whispers]')).toBeNull();
+  });
+});
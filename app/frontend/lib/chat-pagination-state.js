@@ -20,6 +20,15 @@ export function shouldLoadMoreMessages(
   return scrollTop < threshold && Boolean(hasMore) && !loadingMore && Boolean(oldestId);
 }
 
+// Paging forward only happens in a window opened away from the live end of
+// the conversation (see hasNewer in show.svelte)
+export function shouldLoadNewerMessages(
+  { scrollTop, scrollHeight, clientHeight, hasNewer, loadingNewer, newestId },
+  threshold = DEFAULT_SCROLL_THRESHOLD
+) {
+  return scrollHeight - scrollTop - clientHeight < threshold && Boolean(hasNewer) && !loadingNewer && Boolean(newestId);
+}
+
 export function prependOlderMessages({ olderMessages = [], newMessages = [], hasMore, oldestId }) {
   return {
     olderMessages: combinePaginatedMessages(newMessages, olderMessages),
@@ -41,3 +50,35 @@ export function preserveDisplacedRecentMessages({
 
   return combinePaginatedMessages(olderMessages, displacedMessages);
 }
+
+export function appendNewerMessages({ olderMessages = [], newMessages = [], hasNewer, newestId }) {
+  return {
+    olderMessages: combinePaginatedMessages(olderMessages, newMessages),
+    hasNewer,
+    newestId,
+  };
+}
+
+// Drops any history window and goes back to the server's latest page
+export function resetToLatestMessages({ hasMore, oldestId }) {
+  return { olderMessages: [], hasMore, oldestId, hasNewer: false, newestId: null };
+}
+
+export function latestMessageTime(messages = []) {
+  return messages[messages.length - 1]?.created_at ?? null;
+}
+
+// Messages that arrived after the reader last saw the end of the conversation
+export function countUnreadMessages(messages = [], lastSeenAt) {
+  if (!lastSeenAt) return 0;
+
+  const seen = new Date(lastSeenAt).getTime();
+  return messages.filter(
+    (message) => ['user', 'assistant'].includes(message.role) && new Date(message.created_at).getTime() > seen
+  ).length;
+}
+
+export function jumpToLatestLabel(unreadCount = 0) {
+  if (unreadCount === 0) return 'Jump to latest';
+  return `${unreadCount} new ${unreadCount === 1 ? 'message' : 'messages'}`;
+}
@@ -1,9 +1,15 @@
 import { describe, expect, test } from 'vitest';
 import {
+  appendNewerMessages,
   combinePaginatedMessages,
+  countUnreadMessages,
+  jumpToLatestLabel,
+  latestMessageTime,
   prependOlderMessages,
   preserveDisplacedRecentMessages,
+  resetToLatestMessages,
   shouldLoadMoreMessages,
+  shouldLoadNewerMessages,
 } from './chat-pagination-state';
 
 describe('chat pagination state', () => {
@@ -60,4 +66,62 @@ describe('chat pagination state', () => {
       })
     ).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]);
   });
+
+  test('loads newer messages only near the bottom of a window behind the live end', () => {
+    const position = { scrollTop: 700, scrollHeight: 1000, clientHeight: 200 };
+
+    expect(shouldLoadNewerMessages({ ...position, hasNewer: true, loadingNewer: false, newestId: 9 })).toBe(true);
+    expect(
+      shouldLoadNewerMessages({ ...position, scrollTop: 600, hasNewer: true, loadingNewer: false, newestId: 9 })
+    ).toBe(false);
+    expect(shouldLoadNewerMessages({ ...position, hasNewer: false, loadingNewer: false, newestId: 9 })).toBe(false);
+    expect(shouldLoadNewerMessages({ ...position, hasNewer: true, loadingNewer: true, newestId: 9 })).toBe(false);
+    expect(shouldLoadNewerMessages({ ...position, hasNewer: true, loadingNewer: false, newestId: null })).toBe(false);
+  });
+
+  test('appends fetched newer messages and carries forward pagination metadata', () => {
+    expect(
+      appendNewerMessages({
+        olderMessages: [{ id: 1 }, { id: 2, content: 'stale' }],
+        newMessages: [{ id: 2, content: 'fresh' }, { id: 3 }],
+        hasNewer: false,
+        newestId: 3,
+      })
+    ).toEqual({
+      olderMessages: [{ id: 1 }, { id: 2, content: 'fresh' }, { id: 3 }],
+      hasNewer: false,
+      newestId: 3,
+    });
+  });
+
+  test('resets to the latest page', () => {
+    expect(resetToLatestMessages({ hasMore: true, oldestId: 40 })).toEqual({
+      olderMessages: [],
+      hasMore: true,
+      oldestId: 40,
+      hasNewer: false,
+      newestId: null,
+    });
+  });
+
+  test('counts conversational messages newer than the last one seen', () => {
+    const messages = [
+      { id: 1, role: 'user', created_at: '2026-01-01T10:00:00Z' },
+      { id: 2, role: 'assistant', created_at: '2026-01-01T10:01:00Z' },
+      { id: 3, role: 'tool', created_at: '2026-01-01T10:02:00Z' },
+      { id: 4, role: 'assistant', created_at: '2026-01-01T10:03:00Z' },
+    ];
+
+    expect(latestMessageTime(messages)).toBe('2026-01-01T10:03:00Z');
+    expect(latestMessageTime([])).toBeNull();
+    expect(countUnreadMessages(messages, '2026-01-01T10:00:00Z')).toBe(2);
+    expect(countUnreadMessages(messages, '2026-01-01T10:03:00Z')).toBe(0);
+    expect(countUnreadMessages(messages, null)).toBe(0);
+  });
+
+  test('labels the jump to latest pill with the unread count', () => {
+    expect(jumpToLatestLabel(0)).toBe('Jump to latest');
+    expect(jumpToLatestLabel(1)).toBe('1 new message');
+    expect(jumpToLatestLabel(5)).toBe('5 new messages');
+  });
 });
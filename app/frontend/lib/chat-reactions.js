@@ -0,0 +1,47 @@
+// Reactions arrive grouped by emoji (Message::Reactable#reactions_json), with
+// reactor ids so each viewer can pick out their own.
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '👀', '🙏', '✅', '🤔'];
+
+export function reactedByUser(group, userId) {
+  return Boolean(userId) && (group?.user_ids || []).includes(String(userId));
+}
+
+export function reactionTitle(group) {
+  const names = (group?.names || []).filter(Boolean);
+  return names.length > 0 ? `${names.join(', ')} reacted with ${group.emoji}` : group?.emoji || '';
+}
+
+// Optimistic toggle for the current user, matching what the server will send back
+export function toggleReactionLocally(reactions = [], emoji, user) {
+  const userId = String(user.id);
+  const group = reactions.find((candidate) => candidate.emoji === emoji);
+
+  if (!group) {
+    return [...reactions, { emoji, count: 1, names: [user.name], user_ids: [userId], agent_ids: [] }];
+  }
+
+  if (!reactedByUser(group, userId)) {
+    return reactions.map((candidate) =>
+      candidate === group
+        ? {
+            ...group,
+            count: group.count + 1,
+            names: [...group.names, user.name],
+            user_ids: [...group.user_ids, userId],
+          }
+        : candidate
+    );
+  }
+
+  const nameIndex = group.names.indexOf(user.name);
+  const remaining = {
+    ...group,
+    count: group.count - 1,
+    names: group.names.filter((_, position) => position !== nameIndex),
+    user_ids: group.user_ids.filter((id) => id !== userId),
+  };
+
+  return remaining.count > 0
+    ? reactions.map((candidate) => (candidate === group ? remaining : candidate))
+    : reactions.filter((candidate) => candidate !== group);
+}
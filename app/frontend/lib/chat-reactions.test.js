@@ -0,0 +1,33 @@
+import { describe, expect, test } from 'vitest';
+import { reactedByUser, reactionTitle, toggleReactionLocally } from './chat-reactions';
+
+const user = { id: 7, name: 'Daniel' };
+const thumbs = { emoji: '👍', count: 1, names: ['Ada'], user_ids: [], agent_ids: ['a1'] };
+
+describe('chat reactions', () => {
+  test('adds a new emoji group', () => {
+    expect(toggleReactionLocally([thumbs], '🎉', user)).toEqual([
+      thumbs,
+      { emoji: '🎉', count: 1, names: ['Daniel'], user_ids: ['7'], agent_ids: [] },
+    ]);
+  });
+
+  test('joins an existing group and leaves it again', () => {
+    const joined = toggleReactionLocally([thumbs], '👍', user);
+
+    expect(joined[0]).toEqual({ ...thumbs, count: 2, names: ['Ada', 'Daniel'], user_ids: ['7'] });
+    expect(reactedByUser(joined[0], 7)).toBe(true);
+    expect(toggleReactionLocally(joined, '👍', user)).toEqual([thumbs]);
+  });
+
+  test('drops a group once its last reactor leaves', () => {
+    const reactions = toggleReactionLocally([], '👀', user);
+
+    expect(toggleReactionLocally(reactions, '👀', user)).toEqual([]);
+  });
+
+  test('describes who reacted', () => {
+    expect(reactionTitle({ ...thumbs, names: ['Ada', 'Daniel'] })).toBe('Ada, Daniel reacted with 👍');
+    expect(reactedByUser(thumbs, null)).toBe(false);
+  });
+});
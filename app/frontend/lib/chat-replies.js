@@ -0,0 +1,22 @@
+// Mirrors Message::Quotable#quote_excerpt so the composer's "Replying to" bar
+// shows the same quote the reply will carry once it's sent.
+export const QUOTE_EXCERPT_LENGTH = 140;
+
+export function quoteExcerpt(content = '', length = QUOTE_EXCERPT_LENGTH) {
+  const text = (content || '')
+    .replace(/[`*_>#]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+export function replyQuote(message) {
+  if (!message) return null;
+
+  return {
+    id: message.id,
+    author_name: message.author_name,
+    author_colour: message.author_colour,
+    excerpt: quoteExcerpt(message.content),
+  };
+}
@@ -0,0 +1,29 @@
+import { describe, expect, test } from 'vitest';
+import { quoteExcerpt, replyQuote } from './chat-replies';
+
+describe('chat replies', () => {
+  test('flattens markdown and whitespace into a one-line excerpt', () => {
+    expect(quoteExcerpt('Should we ship\n\n**on Friday**?')).toBe('Should we ship on Friday?');
+    expect(quoteExcerpt('> quoted `code`')).toBe('quoted code');
+    expect(quoteExcerpt(null)).toBe('');
+  });
+
+  test('truncates long excerpts with an ellipsis', () => {
+    const excerpt = quoteExcerpt('word '.repeat(100), 20);
+
+    expect(excerpt).toHaveLength(20);
+    expect(excerpt.endsWith('...')).toBe(true);
+  });
+
+  test('builds the same quote shape the server sends with replies', () => {
+    const message = { id: 'abc', author_name: 'Ada', author_colour: 'blue', content: 'Hello *there*' };
+
+    expect(replyQuote(message)).toEqual({
+      id: 'abc',
+      author_name: 'Ada',
+      author_colour: 'blue',
+      excerpt: 'Hello there',
+    });
+    expect(replyQuote(null)).toBeNull();
+  });
+});
@@ -1,48 +1,114 @@
-export function applyStreamingUpdate({ messages, streamingThinking }, data) {
-  if (!data.id) return { messages, streamingThinking, handled: false };
+// Chunks that arrive ahead of a missing one wait here; past this many the
+// missing chunk is presumed lost and the message is refetched instead.
+export const MAX_PENDING_CHUNKS = 20;
+
+// Merges a chunk into the text streamed so far. Chunks carry the offset they
+// start at, so redelivered chunks are dropped, overlapping ones trimmed and
+// early ones held back until the text catches up. Chunks without an offset
+// are appended as they come.
+export function mergeStreamChunk(text, pending, data) {
+  const chunk = data.chunk || '';
+  if (!Number.isInteger(data.offset)) return { text: `${text}${chunk}`, pending, gap: false };
+
+  let merged = text;
+  const waiting = [];
+  for (const part of [...pending, { offset: data.offset, chunk }].sort((a, b) => a.offset - b.offset)) {
+    if (part.offset > merged.length) waiting.push(part);
+    else merged += part.chunk.slice(merged.length - part.offset);
+  }
+
+  if (waiting.length > MAX_PENDING_CHUNKS) return { text: merged, pending: [], gap: true };
+  return { text: merged, pending: waiting, gap: false };
+}
+
+function withPending(pendingChunks, key, pending) {
+  const next = { ...pendingChunks };
+  if (pending.length > 0) next[key] = pending;
+  else delete next[key];
+  return next;
+}
+
+export function applyStreamingUpdate(state, data) {
+  const { messages, streamingThinking, pendingChunks = {} } = state;
+  if (!data.id) return { ...state, handled: false };
 
   const index = messages.findIndex((message) => message.id === data.id);
-  if (index === -1) return { messages, streamingThinking, handled: false };
+  if (index === -1) return { ...state, handled: false };
 
   if (data.action === 'thinking_update') {
+    const key = `${data.id}:thinking`;
+    const base = streamingThinking[data.id] ?? messages[index].thinking ?? '';
+    const result = mergeStreamChunk(base, pendingChunks[key] || [], data);
+
     return {
+      ...state,
       messages,
       streamingThinking: {
         ...streamingThinking,
-        [data.id]: `${streamingThinking[data.id] || ''}${data.chunk || ''}`,
+        [data.id]: result.text,
       },
+      pendingChunks: withPending(pendingChunks, key, result.pending),
       handled: true,
+      gap: result.gap,
     };
   }
 
   if (data.action === 'streaming_update') {
+    const key = `${data.id}:content`;
+    const result = mergeStreamChunk(messages[index].content || '', pendingChunks[key] || [], data);
+
     return {
+      ...state,
       messages: messages.map((message, messageIndex) =>
         messageIndex === index
           ? {
               ...message,
-              content: `${message.content || ''}${data.chunk || ''}`,
+              content: result.text,
               streaming: true,
             }
           : message
       ),
       streamingThinking,
+      pendingChunks: withPending(pendingChunks, key, result.pending),
       handled: true,
+      gap: result.gap,
     };
   }
 
-  return { messages, streamingThinking, handled: false };
+  return { ...state, handled: false };
 }
 
-export function applyStreamingEnd({ messages, streamingThinking }, data) {
-  if (!data.id) return { messages, streamingThinking, handled: false };
+export function applyStreamingEnd(state, data) {
+  const { messages, streamingThinking, pendingChunks = {} } = state;
+  if (!data.id) return { ...state, handled: false };
 
   const nextThinking = { ...streamingThinking };
   delete nextThinking[data.id];
 
+  const message = messages.find((candidate) => candidate.id === data.id);
+  const contentKey = `${data.id}:content`;
+  const nextPending = withPending(withPending(pendingChunks, contentKey, []), `${data.id}:thinking`, []);
+
+  // Chunks still waiting at the end, or a length that doesn't match the
+  // server's, mean something was lost on the way
+  const gap =
+    Boolean(message) &&
+    ((pendingChunks[contentKey]?.length || 0) > 0 ||
+      (Number.isInteger(data.content_length) && (message.content || '').length !== data.content_length));
+
   return {
+    ...state,
     messages: messages.map((message) => (message.id === data.id ? { ...message, streaming: false } : message)),
     streamingThinking: nextThinking,
-    handled: messages.some((message) => message.id === data.id) || streamingThinking[data.id] !== undefined,
+    pendingChunks: nextPending,
+    handled: Boolean(message) || streamingThinking[data.id] !== undefined,
+    gap,
   };
 }
+
+// Reducer for events from the streaming store (see streaming-store.js)
+export function applyStreamingEvent(state, data, kind) {
+  if (kind === 'update') return applyStreamingUpdate(state, data);
+  if (kind === 'end') return applyStreamingEnd(state, data);
+  return { ...state, handled: false };
+}
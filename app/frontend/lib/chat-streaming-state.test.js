@@ -1,5 +1,11 @@
 import { describe, expect, test } from 'vitest';
-import { applyStreamingEnd, applyStreamingUpdate } from './chat-streaming-state';
+import {
+  MAX_PENDING_CHUNKS,
+  applyStreamingEnd,
+  applyStreamingEvent,
+  applyStreamingUpdate,
+  mergeStreamChunk,
+} from './chat-streaming-state';
 
 describe('chat streaming state', () => {
   test('appends thinking chunks by message id without changing message content', () => {
@@ -42,4 +48,78 @@ describe('chat streaming state', () => {
     expect(result.streamingThinking).toEqual({});
     expect(result.handled).toBe(true);
   });
+
+  test('reduces streaming store events by kind', () => {
+    const state = { messages: [{ id: 1, content: 'Hi', streaming: true }], streamingThinking: {} };
+
+    const updated = applyStreamingEvent(state, { id: 1, action: 'streaming_update', chunk: '!' }, 'update');
+    expect(updated.messages[0].content).toBe('Hi!');
+
+    const ended = applyStreamingEvent(updated, { id: 1, action: 'streaming_end' }, 'end');
+    expect(ended.messages[0].streaming).toBe(false);
+
+    expect(applyStreamingEvent(state, { action: 'debug_log' }, 'debug')).toEqual({ ...state, handled: false });
+  });
+
+  test('drops redelivered chunks and trims overlapping ones', () => {
+    expect(mergeStreamChunk('Hello world', [], { offset: 5, chunk: ' world' })).toEqual({
+      text: 'Hello world',
+      pending: [],
+      gap: false,
+    });
+    expect(mergeStreamChunk('Hello wo', [], { offset: 5, chunk: ' world' }).text).toBe('Hello world');
+  });
+
+  test('holds early chunks until the missing one arrives', () => {
+    let result = mergeStreamChunk('One', [], { offset: 7, chunk: ' three' });
+    expect(result).toEqual({ text: 'One', pending: [{ offset: 7, chunk: ' three' }], gap: false });
+
+    result = mergeStreamChunk(result.text, result.pending, { offset: 3, chunk: ' two' });
+    expect(result).toEqual({ text: 'One two three', pending: [], gap: false });
+  });
+
+  test('reports a gap once too many chunks are waiting', () => {
+    let result = { text: '', pending: [] };
+    for (let index = 1; index <= MAX_PENDING_CHUNKS + 1; index += 1) {
+      result = mergeStreamChunk(result.text, result.pending, { offset: index, chunk: 'x' });
+    }
+
+    expect(result).toEqual({ text: '', pending: [], gap: true });
+  });
+
+  test('appends chunks without offsets as before', () => {
+    expect(mergeStreamChunk('Hi', [], { chunk: ' there' }).text).toBe('Hi there');
+  });
+
+  test('reorders out-of-order content chunks through the reducer', () => {
+    let state = { messages: [{ id: 1, content: '', streaming: true }], streamingThinking: {} };
+
+    state = applyStreamingUpdate(state, { id: 1, action: 'streaming_update', chunk: 'world', offset: 6 });
+    expect(state.messages[0].content).toBe('');
+    state = applyStreamingUpdate(state, { id: 1, action: 'streaming_update', chunk: 'Hello ', offset: 0 });
+    state = applyStreamingUpdate(state, { id: 1, action: 'streaming_update', chunk: 'Hello ', offset: 0 });
+
+    expect(state.messages[0].content).toBe('Hello world');
+    expect(state.pendingChunks).toEqual({});
+    expect(state.gap).toBe(false);
+  });
+
+  test('continues thinking from the text already loaded with the message', () => {
+    const result = applyStreamingUpdate(
+      { messages: [{ id: 1, content: '', thinking: 'First, ' }], streamingThinking: {} },
+      { id: 1, action: 'thinking_update', chunk: 'First, then', offset: 0 }
+    );
+
+    expect(result.streamingThinking[1]).toBe('First, then');
+  });
+
+  test('flags a gap at stream end when the length does not match the server', () => {
+    const state = { messages: [{ id: 1, content: 'Hello', streaming: true }], streamingThinking: {} };
+
+    expect(applyStreamingEnd(state, { id: 1, content_length: 5 }).gap).toBe(false);
+    expect(applyStreamingEnd(state, { id: 1, content_length: 11 }).gap).toBe(true);
+    expect(
+      applyStreamingEnd({ ...state, pendingChunks: { '1:content': [{ offset: 9, chunk: 'x' }] } }, { id: 1 })
+    ).toMatchObject({ gap: true, pendingChunks: {} });
+  });
 });
@@ -1,20 +1,17 @@
+// Collection-scoped keys hear chats and messages created after subscribing,
+// so the set only changes with the selected chat or its attached whiteboards.
 export function buildChatSubscriptions({ account, chat }) {
   const subscriptions = {};
-  subscriptions[`Account:${account.id}:chats`] = 'chats';
+  subscriptions[`Account:${account.id}/chats`] = 'chats';
 
   if (chat) {
     subscriptions[`Chat:${chat.id}`] = ['chat', 'messages', 'runtime_interactions', 'cost_breakdown'];
-    subscriptions[`Chat:${chat.id}:messages`] = 'messages';
+    subscriptions[`Chat:${chat.id}/messages`] = 'messages';
 
-    if (chat.active_whiteboard) {
-      subscriptions[`Whiteboard:${chat.active_whiteboard.id}`] = ['chat', 'messages'];
+    for (const whiteboard of chat.whiteboards || []) {
+      subscriptions[`Whiteboard:${whiteboard.id}`] = ['chat', 'messages'];
     }
   }
 
   return subscriptions;
 }
-
-export function chatSyncSignature({ account, chat, recentMessages }) {
-  const messageSignature = Array.isArray(recentMessages) ? recentMessages.map((message) => message.id).join(':') : '';
-  return `${account.id}|${chat?.id ?? 'none'}|${messageSignature}`;
-}
@@ -0,0 +1,85 @@
+// Below this many timeline items every row is mounted; virtualising short
+// chats buys nothing and costs measurement churn.
+export const VIRTUALIZE_AFTER = 120;
+export const DEFAULT_ITEM_HEIGHT = 120;
+export const DEFAULT_OVERSCAN = 800;
+
+export function estimateItemHeight(heights, fallback = DEFAULT_ITEM_HEIGHT) {
+  if (!heights || heights.size === 0) return fallback;
+
+  let total = 0;
+  for (const height of heights.values()) total += height;
+  return Math.round(total / heights.size);
+}
+
+// Works out which rows of a variable-height list need mounting for the current
+// scroll position. Rows that have never been rendered are sized by the average
+// of those that have, and the space taken by unmounted rows is returned as
+// top/bottom padding so the scrollbar keeps its size.
+export function computeVirtualWindow({
+  ids = [],
+  heights = new Map(),
+  scrollTop = 0,
+  viewportHeight = 0,
+  listTop = 0,
+  overscan = DEFAULT_OVERSCAN,
+  threshold = VIRTUALIZE_AFTER,
+}) {
+  const count = ids.length;
+  if (count <= threshold) return { start: 0, end: count, paddingTop: 0, paddingBottom: 0, virtualized: false };
+
+  const estimate = estimateItemHeight(heights);
+  const windowTop = scrollTop - listTop - overscan;
+  const windowBottom = scrollTop - listTop + viewportHeight + overscan;
+
+  let offset = 0;
+  let start = -1;
+  let end = count;
+  let paddingTop = 0;
+
+  for (let index = 0; index < count; index++) {
+    const height = heights.get(ids[index]) ?? estimate;
+
+    if (start === -1 && offset + height > windowTop) {
+      start = index;
+      paddingTop = offset;
+    }
+
+    if (start !== -1 && offset >= windowBottom) {
+      end = index;
+      break;
+    }
+
+    offset += height;
+  }
+
+  if (start === -1) {
+    start = Math.max(count - 1, 0);
+    paddingTop = offset - (heights.get(ids[start]) ?? estimate);
+    end = count;
+  }
+
+  let paddingBottom = 0;
+  for (let index = end; index < count; index++) paddingBottom += heights.get(ids[index]) ?? estimate;
+
+  return { start, end, paddingTop, paddingBottom, virtualized: true };
+}
+
+// Distance from the top of the list to a row, using the same estimates as
+// computeVirtualWindow so unmounted rows can be scrolled to
+export function offsetOfItem({ ids = [], heights = new Map(), index }) {
+  const estimate = estimateItemHeight(heights);
+  let offset = 0;
+  for (let current = 0; current < Math.min(index, ids.length); current++)
+    offset += heights.get(ids[current]) ?? estimate;
+  return offset;
+}
+
+// How far to move scrollTop when a row changes height, so whatever the reader
+// is looking at stays put. Rows growing above the viewport would otherwise push
+// the content down; readers pinned to the bottom stay pinned instead.
+export function scrollCorrectionForResize({ rowTop, previousHeight, height, scrollTop, pinnedToBottom = false }) {
+  if (pinnedToBottom) return 0;
+  if (rowTop + previousHeight > scrollTop) return 0;
+  return height - previousHeight;
+}
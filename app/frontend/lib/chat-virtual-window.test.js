@@ -0,0 +1,92 @@
+import { describe, expect, test } from 'vitest';
+import {
+  computeVirtualWindow,
+  DEFAULT_ITEM_HEIGHT,
+  estimateItemHeight,
+  offsetOfItem,
+  scrollCorrectionForResize,
+} from './chat-virtual-window';
+
+const ids = (count) => Array.from({ length: count }, (_, index) => `message-${index}`);
+
+describe('chat virtual window', () => {
+  test('mounts every row for short timelines', () => {
+    expect(computeVirtualWindow({ ids: ids(5), scrollTop: 0, viewportHeight: 100, threshold: 10 })).toEqual({
+      start: 0,
+      end: 5,
+      paddingTop: 0,
+      paddingBottom: 0,
+      virtualized: false,
+    });
+  });
+
+  test('estimates unmeasured rows from the average measured height', () => {
+    expect(estimateItemHeight(new Map())).toBe(DEFAULT_ITEM_HEIGHT);
+    expect(
+      estimateItemHeight(
+        new Map([
+          ['a', 100],
+          ['b', 300],
+        ])
+      )
+    ).toBe(200);
+  });
+
+  test('mounts only the rows around the viewport and pads the rest', () => {
+    const heights = new Map(ids(1000).map((id) => [id, 100]));
+
+    const range = computeVirtualWindow({
+      ids: ids(1000),
+      heights,
+      scrollTop: 50_000,
+      viewportHeight: 600,
+      overscan: 200,
+    });
+
+    expect(range).toEqual({ start: 498, end: 508, paddingTop: 49_800, paddingBottom: 49_200, virtualized: true });
+    expect(range.paddingTop + (range.end - range.start) * 100 + range.paddingBottom).toBe(100_000);
+  });
+
+  test('accounts for content above the list inside the scroll container', () => {
+    const heights = new Map(ids(200).map((id) => [id, 100]));
+
+    const range = computeVirtualWindow({
+      ids: ids(200),
+      heights,
+      scrollTop: 1040,
+      viewportHeight: 100,
+      listTop: 40,
+      overscan: 0,
+    });
+
+    expect(range.start).toBe(10);
+    expect(range.end).toBe(11);
+  });
+
+  test('keeps the last rows mounted when scrolled to the bottom', () => {
+    const range = computeVirtualWindow({ ids: ids(300), scrollTop: 300 * 120, viewportHeight: 500, overscan: 0 });
+
+    expect(range.end).toBe(300);
+    expect(range.paddingBottom).toBe(0);
+    expect(range.start).toBe(299);
+  });
+
+  test('corrects scroll only for rows resizing above the viewport', () => {
+    expect(scrollCorrectionForResize({ rowTop: 0, previousHeight: 100, height: 160, scrollTop: 500 })).toBe(60);
+    expect(scrollCorrectionForResize({ rowTop: 450, previousHeight: 100, height: 160, scrollTop: 500 })).toBe(0);
+    expect(
+      scrollCorrectionForResize({ rowTop: 0, previousHeight: 100, height: 160, scrollTop: 500, pinnedToBottom: true })
+    ).toBe(0);
+  });
+
+  test('offsets rows by the measured or estimated heights above them', () => {
+    const heights = new Map([
+      ['message-0', 50],
+      ['message-1', 150],
+    ]);
+
+    expect(offsetOfItem({ ids: ids(4), heights, index: 0 })).toBe(0);
+    expect(offsetOfItem({ ids: ids(4), heights, index: 2 })).toBe(200);
+    expect(offsetOfItem({ ids: ids(4), heights, index: 3 })).toBe(300);
+  });
+});
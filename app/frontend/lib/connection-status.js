@@ -0,0 +1,40 @@
+export const CONNECTION_STATUSES = ['connecting', 'connected', 'reconnecting', 'offline'];
+
+export const CONNECTION_STATUS_LABELS = {
+  connecting: 'Connecting…',
+  connected: 'Live',
+  reconnecting: 'Reconnecting…',
+  offline: 'Offline',
+};
+
+// Folds ActionCable subscription callbacks and browser online/offline events
+// into one status for the shared consumer.
+export function nextConnectionStatus(status, event) {
+  switch (event?.type) {
+    case 'connected':
+      return 'connected';
+    case 'disconnected':
+      if (status === 'offline' || event.willAttemptReconnect === false) return 'offline';
+      return status === 'connecting' ? 'connecting' : 'reconnecting';
+    case 'browser-offline':
+      return 'offline';
+    case 'browser-online':
+      return status === 'offline' ? 'reconnecting' : status;
+    default:
+      return status;
+  }
+}
+
+// Sends go over HTTP, but while the socket is down the sender would not see
+// replies, and when the browser is offline the request would just fail.
+export function shouldQueueSend(status) {
+  return status === 'offline' || status === 'reconnecting';
+}
+
+export function enqueueSend(queue, entry) {
+  return [...queue, { ...entry, queuedAt: entry.queuedAt ?? Date.now() }];
+}
+
+export function dequeueSend(queue, entry) {
+  return queue.filter((queued) => queued !== entry);
+}
@@ -0,0 +1,41 @@
+import { describe, expect, test } from 'vitest';
+import { dequeueSend, enqueueSend, nextConnectionStatus, shouldQueueSend } from './connection-status';
+
+describe('connection status', () => {
+  test('stays connecting until the first connection and reconnects after a drop', () => {
+    let status = nextConnectionStatus('connecting', { type: 'disconnected', willAttemptReconnect: true });
+    expect(status).toBe('connecting');
+
+    status = nextConnectionStatus(status, { type: 'connected' });
+    expect(status).toBe('connected');
+
+    status = nextConnectionStatus(status, { type: 'disconnected', willAttemptReconnect: true });
+    expect(status).toBe('reconnecting');
+    expect(nextConnectionStatus(status, { type: 'connected' })).toBe('connected');
+  });
+
+  test('goes offline with the browser or when the consumer gives up, and waits for a connection after', () => {
+    expect(nextConnectionStatus('connected', { type: 'browser-offline' })).toBe('offline');
+    expect(nextConnectionStatus('connected', { type: 'disconnected', willAttemptReconnect: false })).toBe('offline');
+    expect(nextConnectionStatus('offline', { type: 'disconnected', willAttemptReconnect: true })).toBe('offline');
+    expect(nextConnectionStatus('offline', { type: 'browser-online' })).toBe('reconnecting');
+    expect(nextConnectionStatus('connected', { type: 'browser-online' })).toBe('connected');
+  });
+
+  test('queues sends only while the socket is down', () => {
+    expect(shouldQueueSend('offline')).toBe(true);
+    expect(shouldQueueSend('reconnecting')).toBe(true);
+    expect(shouldQueueSend('connecting')).toBe(false);
+    expect(shouldQueueSend('connected')).toBe(false);
+  });
+
+  test('keeps queued sends in order and removes them by identity', () => {
+    const first = { content: 'first' };
+    let queue = enqueueSend([], first);
+    queue = enqueueSend(queue, { content: 'second', queuedAt: 5 });
+
+    expect(queue.map((entry) => entry.content)).toEqual(['first', 'second']);
+    expect(queue[1].queuedAt).toBe(5);
+    expect(dequeueSend(queue, queue[0]).map((entry) => entry.content)).toEqual(['second']);
+  });
+});
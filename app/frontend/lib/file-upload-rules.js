@@ -32,13 +32,18 @@ export function getFileExtension(filename) {
   return lastDot !== -1 ? filename.slice(lastDot).toLowerCase() : '';
 }
 
-export function validateUploadFile(file, { maxSize, allowedTypes = [], allowedExtensions = [] }) {
+const UNSUPPORTED_TYPE_ERROR = 'File type not supported. Please upload images, audio, video, or documents.';
+
+export function validateUploadFile(
+  file,
+  { maxSize, allowedTypes = [], allowedExtensions = [], typeError = UNSUPPORTED_TYPE_ERROR }
+) {
   const extension = getFileExtension(file.name);
   const typeAllowed = allowedTypes.includes(file.type);
   const extensionAllowed = allowedExtensions.includes(extension);
 
   if (!typeAllowed && !extensionAllowed) {
-    return 'File type not supported. Please upload images, audio, video, or documents.';
+    return typeError;
   }
 
   if (file.size > maxSize) {
@@ -25,6 +25,9 @@ describe('file upload rules', () => {
     expect(validateUploadFile(file('photo.bin', 'image/png'), options)).toBeNull();
     expect(validateUploadFile(file('notes.MD', 'text/plain'), options)).toBeNull();
     expect(validateUploadFile(file('script.exe', 'application/x-msdownload'), options)).toMatch(/not supported/);
+    expect(validateUploadFile(file('script.exe', ''), { ...options, typeError: 'Markdown only.' })).toBe(
+      'Markdown only.'
+    );
   });
 
   test('returns the original file list when a batch exceeds limits or contains invalid files', () => {
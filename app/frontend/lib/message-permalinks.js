@@ -0,0 +1,23 @@
+import { accountChatPath } from '@/routes';
+
+const ANCHOR_PREFIX = 'message-';
+
+export function messageAnchor(messageId) {
+  return `${ANCHOR_PREFIX}${messageId}`;
+}
+
+// Reads the message id back out of a `#message-<id>` location hash
+export function messageIdFromHash(hash) {
+  const anchor = (hash || '').replace(/^#/, '');
+  if (!anchor.startsWith(ANCHOR_PREFIX)) return null;
+
+  return anchor.slice(ANCHOR_PREFIX.length) || null;
+}
+
+export function messagePermalink(accountId, chatId, messageId) {
+  return accountChatPath(accountId, chatId, { anchor: messageAnchor(messageId) });
+}
+
+export function messagePermalinkUrl(accountId, chatId, messageId, origin = window.location.origin) {
+  return new URL(messagePermalink(accountId, chatId, messageId), origin).toString();
+}
@@ -0,0 +1,24 @@
+import { describe, expect, test } from 'vitest';
+import { messageAnchor, messageIdFromHash, messagePermalink, messagePermalinkUrl } from './message-permalinks';
+
+describe('message permalinks', () => {
+  test('anchors chat links to a message', () => {
+    expect(messageAnchor('abc')).toBe('message-abc');
+    expect(messagePermalink('acc', 'chat', 'abc')).toBe('/accounts/acc/chats/chat#message-abc');
+  });
+
+  test('builds absolute urls for copying', () => {
+    expect(messagePermalinkUrl('acc', 'chat', 'abc', 'https://helix.example')).toBe(
+      'https://helix.example/accounts/acc/chats/chat#message-abc'
+    );
+  });
+
+  test('reads message ids from location hashes', () => {
+    expect(messageIdFromHash('#message-abc')).toBe('abc');
+    expect(messageIdFromHash('message-abc')).toBe('abc');
+    expect(messageIdFromHash('#message-')).toBeNull();
+    expect(messageIdFromHash('#section')).toBeNull();
+    expect(messageIdFromHash('')).toBeNull();
+    expect(messageIdFromHash(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+// Streaming chunks, stream ends and debug logs arrive on the chat's sync
+// subscriptions. Rather than broadcasting them to the whole window, they are
+// published here keyed by chat and by message id, so a component only hears
+// the streams it renders.
+
+export function streamingEventKind(data) {
+  if (data?.action === 'streaming_update' || data?.action === 'thinking_update' || data?.action === 'error') {
+    return 'update';
+  }
+
+  if (data?.action === 'streaming_end') {
+    return 'end';
+  }
+
+  if (data?.action === 'debug_log') {
+    return 'debug';
+  }
+
+  return null;
+}
+
+// Chat subscriptions are keyed `Chat:<id>`, `Chat:<id>:<collection>` or `Chat:<id>/<collection>`
+export function streamingChatId(model, id) {
+  if (model !== 'Chat' || id == null) return null;
+  return String(id).split(/[:/]/)[0];
+}
+
+function chatKey(chatId) {
+  return `chat:${chatId}`;
+}
+
+function messageKey(messageId) {
+  return `message:${messageId}`;
+}
+
+export function createStreamingStore() {
+  const handlers = new Map();
+
+  function handlersFor(key) {
+    return handlers.get(key) || [];
+  }
+
+  return {
+    // Returns true when the data was a streaming event, whether or not anyone listened
+    publish(data, { chatId = null } = {}) {
+      const kind = streamingEventKind(data);
+      if (!kind) return false;
+
+      // A handler subscribed to both the chat and the message still hears an event once
+      const recipients = new Set();
+      if (chatId != null) handlersFor(chatKey(chatId)).forEach((handler) => recipients.add(handler));
+      if (data.id != null) handlersFor(messageKey(data.id)).forEach((handler) => recipients.add(handler));
+
+      recipients.forEach((handler) => handler(data, kind));
+      return true;
+    },
+
+    // Subscribe to every stream in a chat ({ chatId }) or to one message ({ messageId })
+    subscribe({ chatId = null, messageId = null }, handler) {
+      const key = messageId != null ? messageKey(messageId) : chatId != null ? chatKey(chatId) : null;
+      if (!key) return () => {};
+
+      if (!handlers.has(key)) handlers.set(key, new Set());
+      handlers.get(key).add(handler);
+
+      return () => {
+        handlers.get(key)?.delete(handler);
+        if (handlers.get(key)?.size === 0) handlers.delete(key);
+      };
+    },
+
+    listenerCount() {
+      return [...handlers.values()].reduce((count, set) => count + set.size, 0);
+    },
+  };
+}
+
+export const streamingStore = createStreamingStore();
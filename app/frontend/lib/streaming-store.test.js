@@ -0,0 +1,62 @@
+import { describe, expect, test, vi } from 'vitest';
+import { createStreamingStore, streamingChatId, streamingEventKind } from './streaming-store';
+
+describe('streaming store', () => {
+  test('classifies streaming events', () => {
+    expect(streamingEventKind({ action: 'streaming_update' })).toBe('update');
+    expect(streamingEventKind({ action: 'thinking_update' })).toBe('update');
+    expect(streamingEventKind({ action: 'error' })).toBe('update');
+    expect(streamingEventKind({ action: 'streaming_end' })).toBe('end');
+    expect(streamingEventKind({ action: 'debug_log' })).toBe('debug');
+    expect(streamingEventKind({ action: 'refresh' })).toBeNull();
+  });
+
+  test('derives the chat id from chat subscriptions only', () => {
+    expect(streamingChatId('Chat', 'abc')).toBe('abc');
+    expect(streamingChatId('Chat', 'abc:messages')).toBe('abc');
+    expect(streamingChatId('Chat', 'abc/messages')).toBe('abc');
+    expect(streamingChatId('Account', 'abc:chats')).toBeNull();
+  });
+
+  test('delivers events only to the chat and message they belong to', () => {
+    const store = createStreamingStore();
+    const chatA = vi.fn();
+    const chatB = vi.fn();
+    const message = vi.fn();
+    store.subscribe({ chatId: 'a' }, chatA);
+    store.subscribe({ chatId: 'b' }, chatB);
+    store.subscribe({ messageId: 'm1' }, message);
+
+    const chunk = { action: 'streaming_update', id: 'm1', chunk: 'Hi' };
+    expect(store.publish(chunk, { chatId: 'a' })).toBe(true);
+    store.publish({ action: 'debug_log', message: 'b only' }, { chatId: 'b' });
+
+    expect(chatA).toHaveBeenCalledExactlyOnceWith(chunk, 'update');
+    expect(message).toHaveBeenCalledExactlyOnceWith(chunk, 'update');
+    expect(chatB).toHaveBeenCalledExactlyOnceWith({ action: 'debug_log', message: 'b only' }, 'debug');
+  });
+
+  test('delivers once to a handler subscribed by chat and message', () => {
+    const store = createStreamingStore();
+    const handler = vi.fn();
+    store.subscribe({ chatId: 'a' }, handler);
+    store.subscribe({ messageId: 'm1' }, handler);
+
+    store.publish({ action: 'streaming_end', id: 'm1' }, { chatId: 'a' });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores non-streaming data and drops handlers on unsubscribe', () => {
+    const store = createStreamingStore();
+    const handler = vi.fn();
+    const unsubscribe = store.subscribe({ chatId: 'a' }, handler);
+
+    expect(store.publish({ action: 'refresh' }, { chatId: 'a' })).toBe(false);
+    unsubscribe();
+    store.publish({ action: 'streaming_end', id: 'm1' }, { chatId: 'a' });
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(store.listenerCount()).toBe(0);
+  });
+});
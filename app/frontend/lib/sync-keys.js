@@ -0,0 +1,77 @@
+// Subscription keys name what a component syncs:
+//   'Account:all'            every account (site admins)
+//   'Account:abc'            one record's own channel
+//   'Account:abc:chats'      each record currently in a collection, on its own channel
+//   'Account:abc/members'    the collection-scoped channel, including records created later
+const KEY_PATTERN = /^([A-Z]\w+):([^:/]+)(?:([:/])(\w+))?$/;
+
+export function parseSyncKey(key) {
+  const match = typeof key === 'string' ? key.match(KEY_PATTERN) : null;
+  if (!match) return null;
+
+  const [, model, id, separator, collection = null] = match;
+
+  if (id === 'all') {
+    return collection ? null : { key, model, id, collection: null, type: 'all', channelId: 'all' };
+  }
+
+  if (separator === '/') {
+    return { key, model, id, collection, type: 'collection', channelId: `${id}/${collection}` };
+  }
+
+  if (separator === ':') {
+    return { key, model, id, collection, type: 'records', channelId: `${id}:${collection}` };
+  }
+
+  return { key, model, id, collection: null, type: 'record', channelId: id };
+}
+
+// Turns a { key: prop | props } map into subscription specs. A record key
+// next to collection keys for the same record leaves those collections to
+// them, so a membership change reloads `members` without also reloading `account`.
+export function buildSyncSpecs(subscriptions) {
+  const parsed = [];
+  const invalid = [];
+
+  Object.entries(subscriptions || {}).forEach(([key, prop]) => {
+    const spec = parseSyncKey(key);
+    if (!spec) {
+      invalid.push(key);
+      return;
+    }
+
+    parsed.push({ ...spec, props: Array.isArray(prop) ? prop : [prop] });
+  });
+
+  const specs = parsed.map((spec) => {
+    if (spec.type !== 'record') return { ...spec, ignoreCollections: [] };
+
+    const ignoreCollections = parsed
+      .filter((other) => other.type === 'collection' && other.model === spec.model && other.id === spec.id)
+      .map((other) => other.collection);
+
+    return { ...spec, ignoreCollections };
+  });
+
+  return { specs, invalid };
+}
+
+// Specs with the same identity are the same subscription: same channel, props
+// and ignored collections.
+export function syncSpecIdentity(spec) {
+  return [spec.model, spec.channelId, spec.props.join(','), (spec.ignoreCollections || []).join(',')].join('|');
+}
+
+// Compares the identities currently subscribed with the next specs, so only
+// the subscriptions that actually changed are torn down or created.
+export function diffSyncSpecs(currentIdentities, specs) {
+  const next = new Map(specs.map((spec) => [syncSpecIdentity(spec), spec]));
+  const current = new Set(currentIdentities);
+
+  return {
+    added: [...next.entries()]
+      .filter(([identity]) => !current.has(identity))
+      .map(([identity, spec]) => ({ identity, spec })),
+    removed: [...current].filter((identity) => !next.has(identity)),
+  };
+}
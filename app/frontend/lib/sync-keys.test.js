@@ -0,0 +1,70 @@
+import { describe, expect, test } from 'vitest';
+import { buildSyncSpecs, diffSyncSpecs, parseSyncKey, syncSpecIdentity } from './sync-keys';
+
+describe('sync keys', () => {
+  test('parses each key type with the channel id sent to SyncChannel', () => {
+    expect(parseSyncKey('Account:all')).toMatchObject({ model: 'Account', type: 'all', channelId: 'all' });
+    expect(parseSyncKey('Chat:abc')).toMatchObject({ model: 'Chat', id: 'abc', type: 'record', channelId: 'abc' });
+    expect(parseSyncKey('Account:abc:chats')).toMatchObject({
+      id: 'abc',
+      collection: 'chats',
+      type: 'records',
+      channelId: 'abc:chats',
+    });
+    expect(parseSyncKey('Account:abc/memberships')).toMatchObject({
+      id: 'abc',
+      collection: 'memberships',
+      type: 'collection',
+      channelId: 'abc/memberships',
+    });
+  });
+
+  test('rejects malformed keys', () => {
+    expect(parseSyncKey('account:abc')).toBeNull();
+    expect(parseSyncKey('Account')).toBeNull();
+    expect(parseSyncKey('Account:abc/')).toBeNull();
+    expect(parseSyncKey('Account:abc/members/extra')).toBeNull();
+    expect(parseSyncKey('Account:all/memberships')).toBeNull();
+    expect(parseSyncKey(undefined)).toBeNull();
+  });
+
+  test('normalizes props and reports invalid keys', () => {
+    const { specs, invalid } = buildSyncSpecs({ 'Agent:a1': 'agent', 'Chat:c1': ['chat', 'messages'], bad: 'x' });
+
+    expect(specs.map((spec) => spec.props)).toEqual([['agent'], ['chat', 'messages']]);
+    expect(invalid).toEqual(['bad']);
+  });
+
+  test('leaves collections with their own subscription out of the record subscription', () => {
+    const { specs } = buildSyncSpecs({
+      'Account:abc': 'account',
+      'Account:abc/memberships': 'members',
+      'Account:xyz': 'other',
+    });
+
+    expect(specs.find((spec) => spec.key === 'Account:abc').ignoreCollections).toEqual(['memberships']);
+    expect(specs.find((spec) => spec.key === 'Account:abc/memberships').ignoreCollections).toEqual([]);
+    expect(specs.find((spec) => spec.key === 'Account:xyz').ignoreCollections).toEqual([]);
+  });
+
+  test('diffs subscription sets so unchanged channels are kept', () => {
+    const before = buildSyncSpecs({ 'Account:12/chats': 'chats', 'Chat:34': ['chat', 'messages'] }).specs;
+    const after = buildSyncSpecs({ 'Account:12/chats': 'chats', 'Chat:56': ['chat', 'messages'] }).specs;
+
+    const { added, removed } = diffSyncSpecs(before.map(syncSpecIdentity), after);
+
+    expect(added.map(({ spec }) => spec.key)).toEqual(['Chat:56']);
+    expect(removed).toEqual([syncSpecIdentity(before[1])]);
+    expect(diffSyncSpecs(after.map(syncSpecIdentity), after)).toEqual({ added: [], removed: [] });
+  });
+
+  test('treats a change of props as a new subscription', () => {
+    const before = buildSyncSpecs({ 'Chat:34': 'chat' }).specs;
+    const after = buildSyncSpecs({ 'Chat:34': ['chat', 'messages'] }).specs;
+
+    const { added, removed } = diffSyncSpecs(before.map(syncSpecIdentity), after);
+
+    expect(added).toHaveLength(1);
+    expect(removed).toHaveLength(1);
+  });
+});
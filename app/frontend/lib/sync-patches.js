@@ -0,0 +1,90 @@
+import { applyOperation } from '$lib/whiteboard-ot';
+
+export const SYNC_PATCH_OPS = ['upsert', 'remove'];
+
+export function isSyncPatch(data) {
+  return (
+    data?.action === 'patch' && typeof data.prop === 'string' && data.id != null && SYNC_PATCH_OPS.includes(data.op)
+  );
+}
+
+// Applies an upsert/remove patch to a prop holding an array of records keyed by id.
+// Upserts merge onto the existing record so viewer-specific fields the server
+// leaves out of broadcasts (editable, deletable, costs) survive the patch.
+export function applySyncPatch(records, patch, { orderBy = 'created_at' } = {}) {
+  if (!Array.isArray(records) || !isSyncPatch(patch)) return { records, handled: false };
+
+  const index = records.findIndex((record) => record?.id === patch.id);
+
+  if (patch.op === 'remove') {
+    if (index === -1) return { records, handled: true };
+    return { records: records.filter((_, recordIndex) => recordIndex !== index), handled: true };
+  }
+
+  if (!patch.record) return { records, handled: false };
+
+  if (index !== -1) {
+    return {
+      records: records.map((record, recordIndex) => (recordIndex === index ? { ...record, ...patch.record } : record)),
+      handled: true,
+    };
+  }
+
+  return insertInOrder(records, { ...patch.record, id: patch.id }, orderBy);
+}
+
+// Applies a live whiteboard edit (a `whiteboard_op` broadcast) to a prop that
+// shows whiteboards: a list of them, or a record carrying a `whiteboards` list.
+// Unhandled when the copy has missed a revision, so the caller reloads it.
+export function applyWhiteboardOperation(value, whiteboardId, message) {
+  const nested = Array.isArray(value?.whiteboards);
+  const whiteboards = nested ? value.whiteboards : value;
+  const index = Array.isArray(whiteboards)
+    ? whiteboards.findIndex((whiteboard) => String(whiteboard?.id) === String(whiteboardId))
+    : -1;
+  const whiteboard = whiteboards?.[index];
+  // Not shown by this prop, or already part of the text
+  if (!whiteboard || whiteboard.revision >= message.revision) return { value, handled: true };
+  if (whiteboard.revision !== message.revision - 1) return { value, handled: false };
+
+  let content;
+  try {
+    content = applyOperation(whiteboard.content || '', message.operation);
+  } catch {
+    return { value, handled: false };
+  }
+  const updated = whiteboards.map((record, recordIndex) =>
+    recordIndex === index
+      ? {
+          ...record,
+          content,
+          revision: message.revision,
+          ...('content_length' in record && { content_length: content.length }),
+        }
+      : record
+  );
+
+  return { value: nested ? { ...value, whiteboards: updated } : updated, handled: true };
+}
+
+function insertInOrder(records, record, orderBy) {
+  const key = timeValue(record[orderBy]);
+  if (key === null || records.length === 0) return { records: [...records, record], handled: true };
+
+  // The prop only holds a window of the collection; a record older than the
+  // window belongs to history the page has not loaded, so there is nothing to show.
+  const firstKey = timeValue(records[0]?.[orderBy]);
+  if (firstKey !== null && key < firstKey) return { records, handled: true };
+
+  let insertAt = records.length;
+  while (insertAt > 0 && timeValue(records[insertAt - 1]?.[orderBy]) > key) insertAt -= 1;
+
+  return { records: [...records.slice(0, insertAt), record, ...records.slice(insertAt)], handled: true };
+}
+
+function timeValue(value) {
+  if (value === null || value === undefined) return null;
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
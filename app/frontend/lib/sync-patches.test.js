@@ -0,0 +1,100 @@
+import { describe, expect, test } from 'vitest';
+import { applySyncPatch, applyWhiteboardOperation, isSyncPatch } from './sync-patches';
+
+const upsert = (id, record) => ({ action: 'patch', prop: 'messages', op: 'upsert', id, record });
+
+describe('sync patches', () => {
+  test('recognises only well-formed patch payloads', () => {
+    expect(isSyncPatch(upsert(1, {}))).toBe(true);
+    expect(isSyncPatch({ action: 'patch', prop: 'messages', op: 'remove', id: 1 })).toBe(true);
+    expect(isSyncPatch({ action: 'refresh', prop: 'messages' })).toBe(false);
+    expect(isSyncPatch({ action: 'patch', prop: 'messages', op: 'truncate', id: 1 })).toBe(false);
+    expect(isSyncPatch({ action: 'patch', op: 'remove', id: 1 })).toBe(false);
+  });
+
+  test('merges upserts onto the existing record so viewer-specific fields survive', () => {
+    const records = [
+      { id: 1, content: 'old', editable: true },
+      { id: 2, content: 'other' },
+    ];
+    const result = applySyncPatch(records, upsert(1, { id: 1, content: 'new' }));
+
+    expect(result.handled).toBe(true);
+    expect(result.records).toEqual([
+      { id: 1, content: 'new', editable: true },
+      { id: 2, content: 'other' },
+    ]);
+  });
+
+  test('inserts new records in created_at order', () => {
+    const records = [
+      { id: 1, created_at: '2026-01-01T10:00:00Z' },
+      { id: 3, created_at: '2026-01-01T10:02:00Z' },
+    ];
+
+    expect(applySyncPatch(records, upsert(2, { created_at: '2026-01-01T10:01:00Z' })).records.map((r) => r.id)).toEqual(
+      [1, 2, 3]
+    );
+    expect(applySyncPatch(records, upsert(4, { created_at: '2026-01-01T10:03:00Z' })).records.map((r) => r.id)).toEqual(
+      [1, 3, 4]
+    );
+  });
+
+  test('ignores records older than the loaded window', () => {
+    const records = [{ id: 5, created_at: '2026-01-01T10:00:00Z' }];
+    const result = applySyncPatch(records, upsert(1, { created_at: '2025-12-31T10:00:00Z' }));
+
+    expect(result).toEqual({ records, handled: true });
+  });
+
+  test('removes records by id and treats missing ids as already removed', () => {
+    const records = [{ id: 1 }, { id: 2 }];
+
+    expect(applySyncPatch(records, { action: 'patch', prop: 'messages', op: 'remove', id: 1 }).records).toEqual([
+      { id: 2 },
+    ]);
+    expect(applySyncPatch(records, { action: 'patch', prop: 'messages', op: 'remove', id: 9 })).toEqual({
+      records,
+      handled: true,
+    });
+  });
+
+  test('reports props that cannot be patched so callers fall back to a reload', () => {
+    expect(applySyncPatch(undefined, upsert(1, {})).handled).toBe(false);
+    expect(applySyncPatch({ id: 1 }, upsert(1, {})).handled).toBe(false);
+    expect(applySyncPatch([], { action: 'patch', prop: 'messages', op: 'upsert', id: 1 }).handled).toBe(false);
+  });
+});
+
+describe('whiteboard operations', () => {
+  const op = (revision, operation) => ({ action: 'whiteboard_op', revision, operation });
+
+  test('patches the text of a whiteboard listed directly or on a chat', () => {
+    const whiteboards = [{ id: 5, content: 'Plan', revision: 3, content_length: 4 }];
+
+    expect(applyWhiteboardOperation(whiteboards, '5', op(4, [4, ' B'])).value).toEqual([
+      { id: 5, content: 'Plan B', revision: 4, content_length: 6 },
+    ]);
+
+    const chat = { id: 'abc', whiteboards: [{ id: 5, content: 'Plan', revision: 3 }] };
+    expect(applyWhiteboardOperation(chat, '5', op(4, [-4, 'Done'])).value).toEqual({
+      id: 'abc',
+      whiteboards: [{ id: 5, content: 'Done', revision: 4 }],
+    });
+  });
+
+  test('leaves props that do not show the whiteboard alone', () => {
+    const messages = [{ id: 'msg1', content: 'Hello' }];
+
+    expect(applyWhiteboardOperation(messages, '5', op(4, [5, '!']))).toEqual({ value: messages, handled: true });
+    expect(applyWhiteboardOperation(null, '5', op(4, [5, '!'])).handled).toBe(true);
+  });
+
+  test('skips edits already applied and reports missed revisions', () => {
+    const whiteboards = [{ id: 5, content: 'Plan', revision: 3 }];
+
+    expect(applyWhiteboardOperation(whiteboards, 5, op(3, [4, '!']))).toEqual({ value: whiteboards, handled: true });
+    expect(applyWhiteboardOperation(whiteboards, 5, op(6, [4, '!'])).handled).toBe(false);
+    expect(applyWhiteboardOperation(whiteboards, 5, op(4, [9, '!'])).handled).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+// Word-level diff for showing what an edit changed. Whitespace runs are kept
+// as their own tokens so joining the parts reproduces either side exactly.
+
+// Past this many token comparisons the changed middle is shown as one
+// replacement instead of being diffed, to keep huge edits from stalling the page.
+export const MAX_DIFF_CELLS = 2_000_000;
+
+export function tokenizeWords(text = '') {
+  return (text || '').split(/(\s+)/).filter((token) => token !== '');
+}
+
+function pushPart(parts, type, text) {
+  if (!text) return;
+
+  const last = parts[parts.length - 1];
+  if (last?.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+// Longest common subsequence over the tokens, walked back into parts
+function diffTokens(before, after) {
+  const rows = before.length + 1;
+  const columns = after.length + 1;
+  const lengths = new Uint32Array(rows * columns);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] =
+        before[i] === after[j]
+          ? lengths[(i + 1) * columns + j + 1] + 1
+          : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      pushPart(parts, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      pushPart(parts, 'delete', before[i++]);
+    } else {
+      pushPart(parts, 'insert', after[j++]);
+    }
+  }
+  while (i < before.length) pushPart(parts, 'delete', before[i++]);
+  while (j < after.length) pushPart(parts, 'insert', after[j++]);
+
+  return parts;
+}
+
+// [{ type: 'equal' | 'delete' | 'insert', text }]
+export function diffWords(beforeText = '', afterText = '') {
+  const before = tokenizeWords(beforeText);
+  const after = tokenizeWords(afterText);
+
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const beforeMiddle = before.slice(prefix, before.length - suffix);
+  const afterMiddle = after.slice(prefix, after.length - suffix);
+
+  const parts = [];
+  pushPart(parts, 'equal', before.slice(0, prefix).join(''));
+
+  if (beforeMiddle.length * afterMiddle.length > MAX_DIFF_CELLS) {
+    pushPart(parts, 'delete', beforeMiddle.join(''));
+    pushPart(parts, 'insert', afterMiddle.join(''));
+  } else {
+    diffTokens(beforeMiddle, afterMiddle).forEach((part) => pushPart(parts, part.type, part.text));
+  }
+
+  pushPart(parts, 'equal', before.slice(before.length - suffix).join(''));
+  return parts;
+}
+
+export function diffStats(parts = []) {
+  const words = (type) =>
+    parts
+      .filter((part) => part.type === type)
+      .reduce((total, part) => total + part.text.split(/\s+/).filter(Boolean).length, 0);
+
+  return { added: words('insert'), removed: words('delete') };
+}
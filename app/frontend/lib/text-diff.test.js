@@ -0,0 +1,50 @@
+import { describe, expect, test } from 'vitest';
+import { diffStats, diffWords, tokenizeWords } from './text-diff';
+
+const side = (parts, type) =>
+  parts
+    .filter((part) => part.type === 'equal' || part.type === type)
+    .map((part) => part.text)
+    .join('');
+
+describe('text diff', () => {
+  test('keeps whitespace as tokens', () => {
+    expect(tokenizeWords('a  b\nc')).toEqual(['a', '  ', 'b', '\n', 'c']);
+    expect(tokenizeWords('')).toEqual([]);
+  });
+
+  test('marks changed words', () => {
+    expect(diffWords('ship it on Friday', 'ship it on Monday')).toEqual([
+      { type: 'equal', text: 'ship it on ' },
+      { type: 'delete', text: 'Friday' },
+      { type: 'insert', text: 'Monday' },
+    ]);
+  });
+
+  test('handles insertions in the middle', () => {
+    expect(diffWords('please review', 'please carefully review')).toEqual([
+      { type: 'equal', text: 'please ' },
+      { type: 'insert', text: 'carefully ' },
+      { type: 'equal', text: 'review' },
+    ]);
+  });
+
+  test('reproduces both sides exactly', () => {
+    const before = 'The quick brown fox\njumps over the lazy dog.';
+    const after = 'The quick red fox\nleaps over the dog!';
+    const parts = diffWords(before, after);
+
+    expect(side(parts, 'delete')).toBe(before);
+    expect(side(parts, 'insert')).toBe(after);
+  });
+
+  test('treats identical and empty text sensibly', () => {
+    expect(diffWords('same', 'same')).toEqual([{ type: 'equal', text: 'same' }]);
+    expect(diffWords('', 'new')).toEqual([{ type: 'insert', text: 'new' }]);
+    expect(diffWords('old', '')).toEqual([{ type: 'delete', text: 'old' }]);
+  });
+
+  test('counts changed words', () => {
+    expect(diffStats(diffWords('a b c', 'a x y c'))).toEqual({ added: 2, removed: 1 });
+  });
+});
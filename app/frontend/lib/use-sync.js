@@ -1,45 +1,39 @@
 import { onMount, onDestroy } from 'svelte';
-import { subscribeToModel } from './cable';
+import { onSyncPatch, subscribeToModel } from './cable';
+import { buildSyncSpecs, diffSyncSpecs } from './sync-keys';
 import * as logging from '$lib/logging';
 
+function parseSubscriptions(subscriptions) {
+  const { specs, invalid } = buildSyncSpecs(subscriptions);
+  invalid.forEach((key) => logging.warn(`Invalid subscription key: ${key}`));
+  return specs;
+}
+
+function subscribeSpec({ model, channelId, props, ignoreCollections }, label) {
+  logging.debug(`Creating ${label} for`, model, channelId, props);
+  return subscribeToModel(model, channelId, props, { ignoreCollections });
+}
+
 /**
  * Hook to synchronize Svelte components with Rails models via ActionCable
  *
+ * Keys are parsed by sync-keys.js. A `/collection` suffix subscribes to that
+ * collection's own stream and reloads only its prop; the plain record key next
+ * to it then stops reloading for that collection's changes.
+ *
  * @param {Object} subscriptions - Map of subscriptions
  * @example
  * useSync({
  *   'Account:abc123': 'account',
  *   'Account:all': 'accounts',
- *   'Account:abc123/account_users': 'account'
+ *   'Account:abc123/memberships': 'members'
  * })
  */
 export function useSync(subscriptions) {
-  const unsubscribers = [];
+  let unsubscribers = [];
 
   onMount(() => {
-    Object.entries(subscriptions).forEach(([key, prop]) => {
-      // Parse the subscription key
-      const match = key.match(/^([A-Z]\w+):([^\/]+)(\/.*)?$/);
-      if (!match) {
-        logging.warn(`Invalid subscription key: ${key}`);
-        return;
-      }
-
-      const [, model, id, collection] = match;
-      const props = Array.isArray(prop) ? prop : [prop];
-
-      // Create subscription
-      logging.debug('Creating subscription for', model, id, props);
-      const unsubscribe = subscribeToModel(model, id, props);
-      unsubscribers.push(unsubscribe);
-
-      // If there's a collection suffix, subscribe to that too
-      if (collection) {
-        // This handles cases like 'Account:abc123/account_users'
-        // The broadcast will still come on 'Account:abc123' channel
-        // but we know to reload the specified prop
-      }
-    });
+    unsubscribers = parseSubscriptions(subscriptions).map((spec) => subscribeSpec(spec, 'subscription'));
   });
 
   onDestroy(() => {
@@ -49,7 +43,9 @@ export function useSync(subscriptions) {
 
 /**
  * Create sync subscriptions that can be managed dynamically
- * Returns a function to update subscriptions
+ * Returns a function to update subscriptions. Each call is diffed against the
+ * previous one: unchanged subscriptions stay connected, so it is cheap to call
+ * on every reactive change.
  *
  * @example
  * const updateSync = createDynamicSync();
@@ -61,66 +57,38 @@ export function useSync(subscriptions) {
  * });
  */
 export function createDynamicSync() {
-  let currentUnsubscribers = [];
+  let current = new Map();
 
   // Clean up all subscriptions when component is destroyed
   onDestroy(() => {
-    currentUnsubscribers.forEach((unsub) => unsub());
-    currentUnsubscribers = [];
+    current.forEach((unsub) => unsub());
+    current = new Map();
   });
 
   // Return a function that can be called to update subscriptions
   return (subscriptions) => {
-    // Clean up old subscriptions
-    currentUnsubscribers.forEach((unsub) => unsub());
-    currentUnsubscribers = [];
+    const { added, removed } = diffSyncSpecs(current.keys(), parseSubscriptions(subscriptions));
 
-    // Create new subscriptions
-    Object.entries(subscriptions).forEach(([key, prop]) => {
-      // Parse the subscription key
-      const match = key.match(/^([A-Z]\w+):([^\/]+)(\/.*)?$/);
-      if (!match) {
-        logging.warn(`Invalid subscription key: ${key}`);
-        return;
-      }
-
-      const [, model, id, collection] = match;
-      const props = Array.isArray(prop) ? prop : [prop];
-
-      // Create subscription
-      logging.debug('Creating dynamic subscription for', model, id, props);
-      const unsubscribe = subscribeToModel(model, id, props);
-      currentUnsubscribers.push(unsubscribe);
+    // Subscribe before releasing so a channel that only changed props is never dropped
+    added.forEach(({ identity, spec }) => current.set(identity, subscribeSpec(spec, 'dynamic subscription')));
+    removed.forEach((identity) => {
+      current.get(identity)();
+      current.delete(identity);
     });
   };
 }
 
-export function streamingSync(streamUpdate, streamEnd) {
-  onMount(() => {
-    logging.debug('🔍 Setting up streaming event listeners');
-    if (typeof window === 'undefined') return;
-
-    const handleStreamingUpdate = (event) => {
-      const data = event.detail;
-      logging.debug('📨 Received streaming update:', data);
-
-      streamUpdate(data);
-    };
-
-    const handleStreamingEnd = (event) => {
-      const data = event.detail;
-      logging.debug('📨 Received streaming end:', data);
-      streamEnd(data);
-    };
-
-    window.addEventListener('streaming-update', handleStreamingUpdate);
-    window.addEventListener('streaming-end', handleStreamingEnd);
-    logging.debug('🔍 Streaming event listeners set up');
-
-    return () => {
-      logging.debug('🧹 Removing streaming event listeners');
-      window.removeEventListener('streaming-update', handleStreamingUpdate);
-      window.removeEventListener('streaming-end', handleStreamingEnd);
-    };
-  });
-}
\ No newline at end of file
+/**
+ * Apply sync patches for a prop to component-owned state instead of page props.
+ * The handler returns true when it applied the patch; otherwise the prop is reloaded.
+ *
+ * @example
+ * syncPatches('messages', (patch) => {
+ *   const result = applySyncPatch(messages, patch);
+ *   messages = result.records;
+ *   return result.handled;
+ * });
+ */
+export function syncPatches(prop, handler) {
+  onMount(() => onSyncPatch(prop, handler));
+}
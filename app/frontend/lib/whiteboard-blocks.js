@@ -0,0 +1,193 @@
+// The interactive blocks in whiteboard Markdown: task items and GFM tables,
+// found in the source in the order Streamdown renders them so a click on
+// the page maps back to the characters it should change. Every change
+// rewrites as little text as possible, so it goes out as a small edit.
+// Mirrors app/models/whiteboard/blocks.rb.
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const TASK = /^((?: {0,3}>[ \t]?)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])\] /;
+const DELIMITER_CELL = /^:?-+:?$/;
+
+// Lines outside fenced code, as [index, line] pairs
+function prose(lines) {
+  const result = [];
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const match = FENCE.exec(line);
+    if (fence) {
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !line.slice(match[0].length).trim())
+        fence = null;
+    } else if (match) {
+      fence = match[1];
+    } else {
+      result.push([index, line]);
+    }
+  });
+
+  return result;
+}
+
+// [{ line, column, checked, text }] where column is the box's [ ] character
+export function findTasks(content = '') {
+  const lines = (content || '').split('\n');
+
+  return prose(lines).flatMap(([index, line]) => {
+    const match = TASK.exec(line);
+    if (!match) return [];
+
+    return [
+      {
+        line: index,
+        column: match[1].length,
+        checked: match[2] !== ' ',
+        text: line.slice(match[0].length).trim(),
+      },
+    ];
+  });
+}
+
+// The content with the index-th task ticked or cleared; unchanged if there's no such task
+export function setTask(content = '', index, checked) {
+  const task = findTasks(content)[index];
+  if (!task || task.checked === checked) return content;
+
+  const lines = content.split('\n');
+  const line = lines[task.line];
+  lines[task.line] = line.slice(0, task.column) + (checked ? 'x' : ' ') + line.slice(task.column + 1);
+  return lines.join('\n');
+}
+
+// Cells of one table row, with escaped pipes kept in the text
+export function splitRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '\\|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell);
+  return cells.map((text) => text.trim().replaceAll('\\|', '|'));
+}
+
+function isDelimiterRow(line) {
+  if (!line.includes('|') && !line.includes('-')) return false;
+  const cells = splitRow(line);
+  return cells.length > 0 && cells.every((cell) => DELIMITER_CELL.test(cell));
+}
+
+function alignmentOf(cell) {
+  if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+  if (cell.endsWith(':')) return 'right';
+  return cell.startsWith(':') ? 'left' : null;
+}
+
+// [{ start, end, header, align, rows }] where lines start...end hold the table
+export function findTables(content = '') {
+  const lines = (content || '').split('\n');
+  const candidates = prose(lines);
+  const tables = [];
+
+  for (let i = 0; i < candidates.length - 1; i++) {
+    const [start, headerLine] = candidates[i];
+    const [delimiterIndex, delimiterLine] = candidates[i + 1];
+    if (delimiterIndex !== start + 1 || !headerLine.includes('|') || !isDelimiterRow(delimiterLine)) continue;
+
+    const header = splitRow(headerLine);
+    const delimiter = splitRow(delimiterLine);
+    if (header.length !== delimiter.length) continue;
+
+    const rows = [];
+    let end = delimiterIndex + 1;
+    while (end < lines.length && lines[end].trim() && lines[end].includes('|')) {
+      const cells = splitRow(lines[end]);
+      rows.push(header.map((_, column) => cells[column] ?? ''));
+      end++;
+    }
+
+    tables.push({ start, end, header, align: delimiter.map(alignmentOf), rows });
+    while (i < candidates.length - 1 && candidates[i + 1][0] < end) i++;
+  }
+
+  return tables;
+}
+
+function formatCell(text) {
+  return String(text ?? '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replaceAll('|', '\\|')
+    .trim();
+}
+
+export function formatRow(cells) {
+  return `| ${cells.map(formatCell).join(' | ')} |`;
+}
+
+function formatDelimiter(align) {
+  const cells = align.map((alignment) => {
+    if (alignment === 'center') return ':---:';
+    if (alignment === 'right') return '---:';
+    return alignment === 'left' ? ':---' : '---';
+  });
+  return `| ${cells.join(' | ')} |`;
+}
+
+const sameCells = (left, right) =>
+  left.length === right.length && left.every((cell, index) => cell === formatCell(right[index]).replaceAll('\\|', '|'));
+
+// The content with the index-th table holding the given header and rows.
+// Lines whose cells didn't change are left exactly as they were written.
+export function updateTable(content = '', index, { header, rows }) {
+  const table = findTables(content)[index];
+  if (!table) return content;
+
+  const lines = content.split('\n');
+  const original = lines.slice(table.start, table.end);
+  const columnsChanged = header.length !== table.header.length;
+  const align = header.map((_, column) => table.align[column] ?? null);
+
+  const replacement = [
+    sameCells(table.header, header) ? original[0] : formatRow(header),
+    columnsChanged ? formatDelimiter(align) : original[1],
+    ...rows.map((row, position) => {
+      const cells = header.map((_, column) => row[column] ?? '');
+      const existing = table.rows[position];
+      return !columnsChanged && existing && sameCells(existing, cells) ? original[position + 2] : formatRow(cells);
+    }),
+  ];
+
+  lines.splice(table.start, table.end - table.start, ...replacement);
+  return lines.join('\n');
+}
+
+// Starting points for the editor's insert menu
+export const BLOCK_TEMPLATES = {
+  checklist: '- [ ] First task\n- [ ] Second task',
+  table: '| Item | Owner | Status |\n| --- | --- | --- |\n|  |  |  |',
+  diagram: '```mermaid\nflowchart LR\n  Start --> Finish\n```',
+};
+
+// The content with a block inserted at position, on lines of its own.
+// Returns the new content and where the cursor should go.
+export function insertBlock(content = '', position, block) {
+  const before = content.slice(0, position);
+  const after = content.slice(position);
+  const lead = !before ? '' : before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+  const trail = !after ? '\n' : after.startsWith('\n\n') ? '' : after.startsWith('\n') ? '\n' : '\n\n';
+
+  return {
+    content: before + lead + block + trail + after,
+    cursor: before.length + lead.length + block.length,
+  };
+}
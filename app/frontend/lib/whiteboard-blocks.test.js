@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'vitest';
+import { diffOperation } from './whiteboard-ot';
+import { findTables, findTasks, formatRow, insertBlock, setTask, splitRow, updateTable } from './whiteboard-blocks';
+
+const board = [
+  '# Launch',
+  '',
+  '- [ ] Write the post',
+  '- [x] Book the venue',
+  '  1. [ ] Nested step',
+  '> - [X] Quoted task',
+  '',
+  '```md',
+  '- [ ] Not a task, just an example',
+  '| not | a table |',
+  '| --- | --- |',
+  '```',
+  '',
+  '| Item | Owner | Status |',
+  '| :--- | --- | ---: |',
+  '| Venue | Ada | done |',
+  '|Catering|Grace|',
+  '',
+  'Closing words',
+].join('\n');
+
+describe('whiteboard blocks', () => {
+  test('finds task items outside code blocks, nested and quoted ones included', () => {
+    const tasks = findTasks(board);
+
+    expect(tasks.map((task) => [task.text, task.checked])).toEqual([
+      ['Write the post', false],
+      ['Book the venue', true],
+      ['Nested step', false],
+      ['Quoted task', true],
+    ]);
+    expect(findTasks('- [ ]\n- [] nope\n-[ ] nope')).toEqual([]);
+  });
+
+  test('ticks a task by changing only its box', () => {
+    const ticked = setTask(board, 0, true);
+
+    expect(findTasks(ticked)[0].checked).toBe(true);
+    expect(diffOperation(board, ticked)).toEqual([13, 'x', -1, board.length - 14]);
+    expect(setTask(ticked, 0, true)).toBe(ticked);
+    expect(setTask(board, 3, false)).toContain('> - [ ] Quoted task');
+    expect(setTask(board, 9, true)).toBe(board);
+  });
+
+  test('splits rows on unescaped pipes', () => {
+    expect(splitRow('| a | b \\| c |')).toEqual(['a', 'b | c']);
+    expect(splitRow('a|b')).toEqual(['a', 'b']);
+    expect(formatRow(['a | b', 'two\nlines'])).toBe('| a \\| b | two lines |');
+  });
+
+  test('finds tables with their alignment, padding short rows', () => {
+    const [table, ...others] = findTables(board);
+
+    expect(others).toEqual([]);
+    expect(table).toMatchObject({
+      start: 13,
+      end: 17,
+      header: ['Item', 'Owner', 'Status'],
+      align: ['left', null, 'right'],
+      rows: [
+        ['Venue', 'Ada', 'done'],
+        ['Catering', 'Grace', ''],
+      ],
+    });
+  });
+
+  test('rewrites only the rows of a table that changed', () => {
+    const [table] = findTables(board);
+    const updated = updateTable(board, 0, {
+      header: table.header,
+      rows: [table.rows[0], ['Catering', 'Grace', 'booked'], ['Music', '', '']],
+    });
+
+    expect(updated.split('\n').slice(13, 18)).toEqual([
+      '| Item | Owner | Status |',
+      '| :--- | --- | ---: |',
+      '| Venue | Ada | done |',
+      '| Catering | Grace | booked |',
+      '| Music |  |  |',
+    ]);
+    expect(updated.endsWith('\n\nClosing words')).toBe(true);
+  });
+
+  test('rewrites the delimiter when columns are added, keeping alignment', () => {
+    const updated = updateTable(board, 0, {
+      header: ['Item', 'Owner', 'Status', 'Notes'],
+      rows: [['Venue', 'Ada', 'done', '']],
+    });
+
+    expect(findTables(updated)[0]).toMatchObject({
+      header: ['Item', 'Owner', 'Status', 'Notes'],
+      align: ['left', null, 'right', null],
+      rows: [['Venue', 'Ada', 'done', '']],
+    });
+    expect(updateTable(board, 4, { header: [], rows: [] })).toBe(board);
+  });
+
+  test('inserts blocks on lines of their own', () => {
+    expect(insertBlock('', 0, 'X')).toEqual({ content: 'X\n', cursor: 1 });
+    expect(insertBlock('intro', 5, 'X')).toEqual({ content: 'intro\n\nX\n', cursor: 8 });
+    expect(insertBlock('a\n\nb', 3, 'X').content).toBe('a\n\nX\n\nb');
+  });
+});
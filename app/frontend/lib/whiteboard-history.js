@@ -0,0 +1,33 @@
+import { diffStats, diffWords } from '$lib/text-diff';
+
+// Helpers for the whiteboard history timeline. Entries arrive newest first
+// from Whiteboards::RevisionsController, one per save or burst of live typing.
+
+export function authorLabel(entry) {
+  if (entry?.author_name) return entry.author_name;
+  return entry?.author_type === 'agent' ? 'A resident' : 'Someone';
+}
+
+// What an entry is compared against until the user picks something else:
+// the entry saved just before it, or nothing for the very first one
+export function previousEntryId(entries, id) {
+  const index = entries.findIndex((entry) => entry.id === id);
+  return index === -1 ? null : (entries[index + 1]?.id ?? null);
+}
+
+// The changes from one entry to another, always read older to newer so
+// insertions are what was added over time whichever order they were picked in
+export function compareEntries(entries, fromId, toId) {
+  const from = entries.find((entry) => entry.id === fromId) || null;
+  const to = entries.find((entry) => entry.id === toId) || null;
+  if (!to) return null;
+
+  const [older, newer] = from && from.revision > to.revision ? [to, from] : [from, to];
+  const parts = diffWords(older?.content ?? '', newer.content);
+  return { older, newer, parts, stats: diffStats(parts) };
+}
+
+// The newest entry is what the whiteboard says now, so there's nothing to restore
+export function isRestorable(entries, id) {
+  return entries.length > 0 && entries[0].id !== id && entries.some((entry) => entry.id === id);
+}
@@ -0,0 +1,47 @@
+import { describe, expect, test } from 'vitest';
+import { authorLabel, compareEntries, isRestorable, previousEntryId } from './whiteboard-history';
+
+const entries = [
+  { id: 3, revision: 7, content: 'Plan: ship on Friday', author_name: 'Ada', author_type: 'user' },
+  { id: 2, revision: 4, content: 'Plan: ship on Monday', author_name: 'Research Assistant', author_type: 'agent' },
+  { id: 1, revision: 1, content: 'Plan:', author_name: null, author_type: 'agent' },
+];
+
+describe('whiteboard history', () => {
+  test('names whoever wrote an entry, falling back when they are gone', () => {
+    expect(authorLabel(entries[0])).toBe('Ada');
+    expect(authorLabel(entries[2])).toBe('A resident');
+    expect(authorLabel({ author_name: null, author_type: null })).toBe('Someone');
+  });
+
+  test('compares an entry with the one saved before it by default', () => {
+    expect(previousEntryId(entries, 3)).toBe(2);
+    expect(previousEntryId(entries, 1)).toBeNull();
+    expect(previousEntryId(entries, 99)).toBeNull();
+  });
+
+  test('diffs any two entries from older to newer', () => {
+    const forwards = compareEntries(entries, 2, 3);
+    const backwards = compareEntries(entries, 3, 2);
+
+    expect(forwards.older.id).toBe(2);
+    expect(forwards.newer.id).toBe(3);
+    expect(forwards.stats).toEqual({ added: 1, removed: 1 });
+    expect(backwards.parts).toEqual(forwards.parts);
+  });
+
+  test('treats the first entry as written from nothing', () => {
+    const comparison = compareEntries(entries, null, 1);
+
+    expect(comparison.older).toBeNull();
+    expect(comparison.parts).toEqual([{ type: 'insert', text: 'Plan:' }]);
+    expect(compareEntries(entries, 1, 99)).toBeNull();
+  });
+
+  test('only offers to restore entries older than the current text', () => {
+    expect(isRestorable(entries, 3)).toBe(false);
+    expect(isRestorable(entries, 2)).toBe(true);
+    expect(isRestorable(entries, 99)).toBe(false);
+    expect(isRestorable([], 1)).toBe(false);
+  });
+});
@@ -0,0 +1,155 @@
+import { applyOperation, composeOperations, diffOperation, isNoop, transformOperations } from '$lib/whiteboard-ot';
+import { mergeWhiteboard } from '$lib/whiteboard-merge';
+
+export function createClientId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// The editing side of a live whiteboard. At most one operation is in flight
+// to SyncChannel#edit; edits made meanwhile are composed into a buffer that
+// goes out once the server acknowledges by broadcasting the first back.
+// Operations from everyone else are moved past both before being applied,
+// so typing never waits on the network and nobody's text is overwritten.
+//
+// send(action, data) performs on the whiteboard's channel. receive(message)
+// takes every message on it and describes what changed for the editor:
+//   { type: 'remote', operation, content, authorName } - someone else's edit
+//   { type: 'reset', content } - the text was replaced after (re)joining
+//   { type: 'conflict', merge, content } - a resync clashed with unsent edits
+//   { type: 'rejected', error, content } - the server refused our edits
+// or null when there's nothing for the editor to do.
+export function createWhiteboardSession({ clientId = createClientId(), send }) {
+  let joined = false;
+  let revision = null;
+  let content = '';
+  // The text as of `revision`, before our unacknowledged edits
+  let confirmed = '';
+  let outstanding = null;
+  let buffer = null;
+
+  function sendOutstanding() {
+    send('edit', { client_id: clientId, revision, operation: outstanding });
+  }
+
+  function queue(operation) {
+    if (isNoop(operation)) return;
+
+    if (outstanding) {
+      buffer = buffer ? composeOperations(buffer, operation) : operation;
+    } else {
+      outstanding = operation;
+      sendOutstanding();
+    }
+  }
+
+  function join() {
+    joined = false;
+    send('join', { client_id: clientId });
+  }
+
+  // A fresh copy of the server's text. Edits that never made it are merged
+  // onto it line by line, the way a save conflict is, and sent again.
+  function adopt(message) {
+    const base = confirmed;
+    const local = content;
+    const unsent = Boolean(outstanding || buffer) && local !== message.content;
+
+    joined = true;
+    revision = message.revision;
+    confirmed = content = message.content;
+    outstanding = buffer = null;
+
+    if (!unsent) return { type: 'reset', content };
+
+    const merge = mergeWhiteboard(base, local, message.content);
+    if (!merge.clean) return { type: 'conflict', merge, content };
+
+    edit(merge.merged);
+    return { type: 'reset', content };
+  }
+
+  function applyRemote(message) {
+    let operation = message.operation;
+    confirmed = applyOperation(confirmed, operation);
+    if (outstanding) [outstanding, operation] = transformOperations(outstanding, operation);
+    if (buffer) [buffer, operation] = transformOperations(buffer, operation);
+
+    content = applyOperation(content, operation);
+    revision = message.revision;
+    return { type: 'remote', operation, content, authorName: message.author_name };
+  }
+
+  function acknowledge(message) {
+    confirmed = applyOperation(confirmed, outstanding);
+    revision = message.revision;
+    outstanding = buffer;
+    buffer = null;
+    if (outstanding) sendOutstanding();
+    return null;
+  }
+
+  // Edits made while rejoining go out against the old revision; the server
+  // moves them past whatever they missed.
+  function edit(newContent, cursor = null) {
+    if (revision === null || newContent === content) return null;
+
+    const operation = diffOperation(content, newContent, cursor);
+    content = newContent;
+    queue(operation);
+    return operation;
+  }
+
+  function receive(message) {
+    const own = message?.client_id === clientId;
+
+    switch (message?.action) {
+      case 'whiteboard_state':
+      case 'whiteboard_resync':
+        return own ? adopt(message) : null;
+
+      case 'whiteboard_rejected':
+        if (!own) return null;
+        outstanding = buffer = null;
+        return { ...adopt(message), type: 'rejected', error: message.error };
+
+      case 'whiteboard_op':
+        // Already part of the text we joined with
+        if (!joined || message.revision <= revision) return null;
+        if (message.revision !== revision + 1) {
+          join();
+          return null;
+        }
+        return own && outstanding ? acknowledge(message) : applyRemote(message);
+
+      default:
+        return null;
+    }
+  }
+
+  return {
+    clientId,
+    join,
+    edit,
+    receive,
+
+    get joined() {
+      return joined;
+    },
+
+    get revision() {
+      return revision;
+    },
+
+    get content() {
+      return content;
+    },
+
+    get confirmed() {
+      return confirmed;
+    },
+
+    get pending() {
+      return Boolean(outstanding || buffer);
+    },
+  };
+}
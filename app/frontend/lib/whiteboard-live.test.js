@@ -0,0 +1,122 @@
+import { describe, expect, test } from 'vitest';
+import { createWhiteboardSession } from './whiteboard-live';
+import { applyOperation } from './whiteboard-ot';
+
+function joinedSession(content = 'alpha\nbeta', revision = 4) {
+  const sent = [];
+  const session = createWhiteboardSession({ clientId: 'tab-1', send: (action, data) => sent.push({ action, data }) });
+  session.join();
+  session.receive({ action: 'whiteboard_state', client_id: 'tab-1', content, revision });
+  return { session, sent };
+}
+
+const op = (revision, operation, clientId = 'tab-2') => ({
+  action: 'whiteboard_op',
+  revision,
+  operation,
+  client_id: clientId,
+  author_name: 'Ada',
+});
+
+describe('live whiteboard session', () => {
+  test('joins with the server text and sends edits against its revision', () => {
+    const { session, sent } = joinedSession();
+
+    expect(sent[0]).toEqual({ action: 'join', data: { client_id: 'tab-1' } });
+    expect(session.content).toBe('alpha\nbeta');
+
+    session.edit('alpha!\nbeta');
+    expect(sent[1]).toEqual({ action: 'edit', data: { client_id: 'tab-1', revision: 4, operation: [5, '!', 5] } });
+    expect(session.pending).toBe(true);
+    expect(session.confirmed).toBe('alpha\nbeta');
+  });
+
+  test('ignores state meant for another tab on the same subscription', () => {
+    const { session } = joinedSession();
+
+    expect(session.receive({ action: 'whiteboard_state', client_id: 'tab-9', content: 'x', revision: 9 })).toBeNull();
+    expect(session.content).toBe('alpha\nbeta');
+  });
+
+  test('holds further edits until the first is acknowledged, then sends them as one', () => {
+    const { session, sent } = joinedSession();
+
+    session.edit('alpha!\nbeta');
+    session.edit('alpha!!\nbeta');
+    session.edit('alpha!!\nbeta?');
+    expect(sent).toHaveLength(2);
+
+    expect(session.receive(op(5, [5, '!', 5], 'tab-1'))).toBeNull();
+    expect(sent[2].data).toEqual({ client_id: 'tab-1', revision: 5, operation: [6, '!', 5, '?'] });
+
+    session.receive(op(6, [6, '!', 5, '?'], 'tab-1'));
+    expect(session.pending).toBe(false);
+    expect(session.revision).toBe(6);
+  });
+
+  test('applies remote edits around unsent local ones without losing either', () => {
+    const { session, sent } = joinedSession();
+
+    session.edit('alpha!\nbeta');
+    session.edit('alpha!\nbeta?');
+    const result = session.receive(op(5, ['# ', 10]));
+
+    expect(result).toMatchObject({ type: 'remote', content: '# alpha!\nbeta?', authorName: 'Ada' });
+    expect(applyOperation('alpha!\nbeta?', result.operation)).toBe('# alpha!\nbeta?');
+
+    session.receive(op(6, [7, '!', 5], 'tab-1'));
+    expect(sent[2].data).toEqual({ client_id: 'tab-1', revision: 6, operation: [13, '?'] });
+  });
+
+  test('rejoins when it missed an operation and merges what it had not sent', () => {
+    const { session, sent } = joinedSession();
+    session.edit('alpha\nbeta\ngamma');
+
+    expect(session.receive(op(7, [1]))).toBeNull();
+    expect(sent.at(-1).action).toBe('join');
+
+    const result = session.receive({
+      action: 'whiteboard_resync',
+      client_id: 'tab-1',
+      content: 'ALPHA\nbeta',
+      revision: 7,
+    });
+
+    expect(result).toEqual({ type: 'reset', content: 'ALPHA\nbeta\ngamma' });
+    expect(session.content).toBe('ALPHA\nbeta\ngamma');
+    expect(sent.at(-1).data).toEqual({ client_id: 'tab-1', revision: 7, operation: [10, '\ngamma'] });
+  });
+
+  test('hands clashing unsent edits back as a merge to resolve', () => {
+    const { session } = joinedSession();
+    session.edit('alpha\nmine');
+
+    const result = session.receive({
+      action: 'whiteboard_resync',
+      client_id: 'tab-1',
+      content: 'alpha\ntheirs',
+      revision: 9,
+    });
+
+    expect(result.type).toBe('conflict');
+    expect(result.merge.clean).toBe(false);
+    expect(session.content).toBe('alpha\ntheirs');
+    expect(session.pending).toBe(false);
+  });
+
+  test('drops refused edits and returns to the server text', () => {
+    const { session } = joinedSession();
+    session.edit('x'.repeat(20));
+
+    const result = session.receive({
+      action: 'whiteboard_rejected',
+      client_id: 'tab-1',
+      content: 'alpha\nbeta',
+      revision: 4,
+      error: 'Content is too long',
+    });
+
+    expect(result).toEqual({ type: 'rejected', content: 'alpha\nbeta', error: 'Content is too long' });
+    expect(session.pending).toBe(false);
+  });
+});
@@ -0,0 +1,147 @@
+// Line-based three-way merge for whiteboard edit conflicts. The base is the
+// content the editor started from; "mine" is the edit, "theirs" is what the
+// server holds now. Changes on different lines merge on their own; lines
+// both sides changed differently come back as conflicts to resolve.
+
+// Past this many line comparisons the changed middle is treated as one
+// block, like MAX_DIFF_CELLS in text-diff.js
+export const MAX_MERGE_CELLS = 4_000_000;
+
+export function splitLines(text = '') {
+  return (text || '').split('\n');
+}
+
+function sameLines(left, right) {
+  return left.length === right.length && left.every((line, index) => line === right[index]);
+}
+
+// For each base line kept in `other`, the index it moved to
+function matchLines(base, other) {
+  const matches = new Array(base.length).fill(null);
+
+  let prefix = 0;
+  while (prefix < base.length && prefix < other.length && base[prefix] === other[prefix]) {
+    matches[prefix] = prefix;
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < base.length - prefix &&
+    suffix < other.length - prefix &&
+    base[base.length - 1 - suffix] === other[other.length - 1 - suffix]
+  ) {
+    matches[base.length - 1 - suffix] = other.length - 1 - suffix;
+    suffix++;
+  }
+
+  const before = base.slice(prefix, base.length - suffix);
+  const after = other.slice(prefix, other.length - suffix);
+  if (before.length * after.length > MAX_MERGE_CELLS) return matches;
+
+  const columns = after.length + 1;
+  const lengths = new Uint32Array((before.length + 1) * columns);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] =
+        before[i] === after[j]
+          ? lengths[(i + 1) * columns + j + 1] + 1
+          : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      matches[prefix + i] = prefix + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+function pushStable(chunks, lines) {
+  if (lines.length === 0) return;
+
+  const last = chunks[chunks.length - 1];
+  if (last?.type === 'stable') last.lines.push(...lines);
+  else chunks.push({ type: 'stable', lines: [...lines] });
+}
+
+// { clean, merged, chunks } where chunks are { type: 'stable', lines } or
+// { type: 'conflict', base, mine, theirs } in document order. merged is the
+// joined text when clean, else null.
+export function mergeWhiteboard(baseText = '', mineText = '', theirsText = '') {
+  const base = splitLines(baseText);
+  const mine = splitLines(mineText);
+  const theirs = splitLines(theirsText);
+  const mineMatches = matchLines(base, mine);
+  const theirsMatches = matchLines(base, theirs);
+
+  const chunks = [];
+  let i = 0;
+  let a = 0;
+  let b = 0;
+
+  while (i < base.length || a < mine.length || b < theirs.length) {
+    // Lines neither side touched
+    while (i < base.length && mineMatches[i] === a && theirsMatches[i] === b) {
+      pushStable(chunks, [base[i]]);
+      i++;
+      a++;
+      b++;
+    }
+
+    // The next base line both sides kept closes this hunk
+    let next = i;
+    while (next < base.length && (mineMatches[next] === null || theirsMatches[next] === null)) next++;
+
+    const mineEnd = next < base.length ? mineMatches[next] : mine.length;
+    const theirsEnd = next < base.length ? theirsMatches[next] : theirs.length;
+    const hunk = {
+      base: base.slice(i, next),
+      mine: mine.slice(a, mineEnd),
+      theirs: theirs.slice(b, theirsEnd),
+    };
+
+    if (sameLines(hunk.mine, hunk.base)) pushStable(chunks, hunk.theirs);
+    else if (sameLines(hunk.theirs, hunk.base) || sameLines(hunk.mine, hunk.theirs)) pushStable(chunks, hunk.mine);
+    else chunks.push({ type: 'conflict', ...hunk });
+
+    if (next >= base.length) break;
+    i = next;
+    a = mineEnd;
+    b = theirsEnd;
+  }
+
+  const clean = chunks.every((chunk) => chunk.type === 'stable');
+  return { clean, merged: clean ? resolveMerge(chunks) : null, chunks };
+}
+
+export function conflictCount(chunks = []) {
+  return chunks.filter((chunk) => chunk.type === 'conflict').length;
+}
+
+// resolutions[n] is 'mine', 'theirs' or 'both' for the nth conflict
+export function resolveMerge(chunks = [], resolutions = []) {
+  let conflictIndex = 0;
+
+  return chunks
+    .flatMap((chunk) => {
+      if (chunk.type === 'stable') return chunk.lines;
+
+      const resolution = resolutions[conflictIndex++];
+      if (resolution === 'mine') return chunk.mine;
+      if (resolution === 'theirs') return chunk.theirs;
+      if (resolution === 'both') return [...chunk.mine, ...chunk.theirs];
+      throw new Error('Every conflict needs a resolution');
+    })
+    .join('\n');
+}
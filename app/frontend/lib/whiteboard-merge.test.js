@@ -0,0 +1,72 @@
+import { describe, expect, test } from 'vitest';
+import { conflictCount, mergeWhiteboard, resolveMerge } from './whiteboard-merge';
+
+const base = ['# Plan', '', '- research', '- draft', '- review', '', 'Notes'].join('\n');
+
+describe('whiteboard merge', () => {
+  test('merges changes to different lines', () => {
+    const mine = base.replace('- draft', '- draft the outline');
+    const theirs = base.replace('Notes', 'Notes: ship Friday');
+
+    const result = mergeWhiteboard(base, mine, theirs);
+
+    expect(result.clean).toBe(true);
+    expect(result.merged).toBe(base.replace('- draft', '- draft the outline').replace('Notes', 'Notes: ship Friday'));
+  });
+
+  test('keeps insertions and deletions from both sides', () => {
+    const mine = base.replace('- research\n', '');
+    const theirs = `${base}\n- [ ] follow up`;
+
+    expect(mergeWhiteboard(base, mine, theirs).merged).toBe(`${mine}\n- [ ] follow up`);
+  });
+
+  test('takes identical changes once', () => {
+    const edit = base.replace('- review', '- peer review');
+
+    expect(mergeWhiteboard(base, edit, edit)).toMatchObject({ clean: true, merged: edit });
+  });
+
+  test('reports lines both sides changed differently as conflicts', () => {
+    const mine = base.replace('- draft', '- draft v2').replace('Notes', 'My notes');
+    const theirs = base.replace('- draft', '- draft by Friday');
+
+    const result = mergeWhiteboard(base, mine, theirs);
+
+    expect(result.clean).toBe(false);
+    expect(result.merged).toBeNull();
+    expect(conflictCount(result.chunks)).toBe(1);
+    expect(result.chunks.find((chunk) => chunk.type === 'conflict')).toEqual({
+      type: 'conflict',
+      base: ['- draft'],
+      mine: ['- draft v2'],
+      theirs: ['- draft by Friday'],
+    });
+
+    expect(resolveMerge(result.chunks, ['theirs'])).toBe(
+      base.replace('- draft', '- draft by Friday').replace('Notes', 'My notes')
+    );
+    expect(resolveMerge(result.chunks, ['both'])).toContain('- draft v2\n- draft by Friday');
+  });
+
+  test('treats inserts at the same place as a conflict', () => {
+    const result = mergeWhiteboard('a\nb', 'a\nmine\nb', 'a\ntheirs\nb');
+
+    expect(result.chunks).toEqual([
+      { type: 'stable', lines: ['a'] },
+      { type: 'conflict', base: [], mine: ['mine'], theirs: ['theirs'] },
+      { type: 'stable', lines: ['b'] },
+    ]);
+  });
+
+  test('merges into an empty board', () => {
+    expect(mergeWhiteboard('', 'mine', '')).toMatchObject({ clean: true, merged: 'mine' });
+    expect(mergeWhiteboard('', '', 'theirs')).toMatchObject({ clean: true, merged: 'theirs' });
+  });
+
+  test('refuses to join unresolved conflicts', () => {
+    const { chunks } = mergeWhiteboard('a', 'b', 'c');
+
+    expect(() => resolveMerge(chunks, [])).toThrow('Every conflict needs a resolution');
+  });
+});
@@ -0,0 +1,221 @@
+// Text operations for live whiteboard editing, in the shape the server logs
+// them (Whiteboard::TextOperation): retains are positive numbers, deletes
+// negative numbers and inserts strings, together walking the whole text.
+// Lengths are JavaScript string lengths, which the server counts the same way.
+
+const isRetain = (step) => typeof step === 'number' && step > 0;
+const isDelete = (step) => typeof step === 'number' && step < 0;
+const isInsert = (step) => typeof step === 'string';
+
+function retain(operation, count) {
+  if (count <= 0) return operation;
+
+  const last = operation.length - 1;
+  if (isRetain(operation[last])) operation[last] += count;
+  else operation.push(count);
+  return operation;
+}
+
+// Inserts go before an adjacent delete so equal edits have one shape
+function insert(operation, text) {
+  if (!text) return operation;
+
+  const last = operation.length - 1;
+  if (isInsert(operation[last])) {
+    operation[last] += text;
+  } else if (isDelete(operation[last])) {
+    if (isInsert(operation[last - 1])) operation[last - 1] += text;
+    else operation.splice(last, 0, text);
+  } else {
+    operation.push(text);
+  }
+  return operation;
+}
+
+function remove(operation, count) {
+  if (count <= 0) return operation;
+
+  const last = operation.length - 1;
+  if (isDelete(operation[last])) operation[last] -= count;
+  else operation.push(-count);
+  return operation;
+}
+
+export function baseLength(operation) {
+  return operation.reduce((total, step) => (isInsert(step) ? total : total + Math.abs(step)), 0);
+}
+
+export function targetLength(operation) {
+  return operation.reduce((total, step) => {
+    if (isInsert(step)) return total + step.length;
+    return isRetain(step) ? total + step : total;
+  }, 0);
+}
+
+export function isNoop(operation) {
+  return operation.every(isRetain);
+}
+
+export function applyOperation(text, operation) {
+  if (baseLength(operation) !== text.length) throw new Error("Operation doesn't fit the current text");
+
+  let index = 0;
+  let result = '';
+  for (const step of operation) {
+    if (isInsert(step)) {
+      result += step;
+    } else if (isRetain(step)) {
+      result += text.slice(index, index + step);
+      index += step;
+    } else {
+      index -= step;
+    }
+  }
+  return result;
+}
+
+const isHighSurrogate = (code) => code >= 0xd800 && code <= 0xdbff;
+const isLowSurrogate = (code) => code >= 0xdc00 && code <= 0xdfff;
+
+// The single edit turning oldText into newText. Given where the cursor ended
+// up, a repeated character typed next to its twin is placed where it was typed.
+export function diffOperation(oldText = '', newText = '', cursor = null) {
+  let prefix = 0;
+  while (prefix < oldText.length && prefix < newText.length && oldText[prefix] === newText[prefix]) prefix++;
+
+  const grown = newText.length - oldText.length;
+  if (cursor !== null && grown > 0) prefix = Math.min(prefix, Math.max(cursor - grown, 0));
+  if (prefix > 0 && isHighSurrogate(oldText.charCodeAt(prefix - 1))) prefix--;
+
+  let suffix = 0;
+  while (
+    suffix < oldText.length - prefix &&
+    suffix < newText.length - prefix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  if (suffix > 0 && isLowSurrogate(oldText.charCodeAt(oldText.length - suffix))) suffix--;
+
+  const operation = [];
+  retain(operation, prefix);
+  remove(operation, oldText.length - prefix - suffix);
+  insert(operation, newText.slice(prefix, newText.length - suffix));
+  retain(operation, suffix);
+  return operation;
+}
+
+// One operation with the effect of applying a, then b
+export function composeOperations(a, b) {
+  if (targetLength(a) !== baseLength(b)) throw new Error('Operations must follow one another');
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  let stepA = a[i++];
+  let stepB = b[j++];
+
+  while (stepA !== undefined || stepB !== undefined) {
+    if (isDelete(stepA)) {
+      remove(result, -stepA);
+      stepA = a[i++];
+      continue;
+    }
+    if (isInsert(stepB)) {
+      insert(result, stepB);
+      stepB = b[j++];
+      continue;
+    }
+    if (stepA === undefined || stepB === undefined) throw new Error('Operations must follow one another');
+
+    if (isRetain(stepA) && isRetain(stepB)) {
+      const span = Math.min(stepA, stepB);
+      retain(result, span);
+      stepA = stepA > span ? stepA - span : a[i++];
+      stepB = stepB > span ? stepB - span : b[j++];
+    } else if (isInsert(stepA) && isDelete(stepB)) {
+      const span = Math.min(stepA.length, -stepB);
+      stepA = stepA.length > span ? stepA.slice(span) : a[i++];
+      stepB = -stepB > span ? stepB + span : b[j++];
+    } else if (isInsert(stepA) && isRetain(stepB)) {
+      const span = Math.min(stepA.length, stepB);
+      insert(result, stepA.slice(0, span));
+      stepA = stepA.length > span ? stepA.slice(span) : a[i++];
+      stepB = stepB > span ? stepB - span : b[j++];
+    } else {
+      const span = Math.min(stepA, -stepB);
+      remove(result, span);
+      stepA = stepA > span ? stepA - span : a[i++];
+      stepB = -stepB > span ? stepB + span : b[j++];
+    }
+  }
+
+  return result;
+}
+
+// Rewrites two operations made against the same text so each applies after
+// the other: [a', b'] where b' follows a and a' follows b, both ending at the
+// same text. Where both insert at the same place, a's text comes first, so
+// the client always passes its own operation as a, like the server does.
+export function transformOperations(a, b) {
+  if (baseLength(a) !== baseLength(b)) throw new Error('Operations start from different text');
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let stepA = a[i++];
+  let stepB = b[j++];
+
+  while (stepA !== undefined || stepB !== undefined) {
+    if (isInsert(stepA)) {
+      insert(aPrime, stepA);
+      retain(bPrime, stepA.length);
+      stepA = a[i++];
+      continue;
+    }
+    if (isInsert(stepB)) {
+      retain(aPrime, stepB.length);
+      insert(bPrime, stepB);
+      stepB = b[j++];
+      continue;
+    }
+    if (stepA === undefined || stepB === undefined) throw new Error('Operations walk different lengths of text');
+
+    const span = Math.min(Math.abs(stepA), Math.abs(stepB));
+    if (isRetain(stepA) && isRetain(stepB)) {
+      retain(aPrime, span);
+      retain(bPrime, span);
+    } else if (isDelete(stepA) && isRetain(stepB)) {
+      remove(aPrime, span);
+    } else if (isRetain(stepA) && isDelete(stepB)) {
+      remove(bPrime, span);
+    }
+
+    stepA = Math.abs(stepA) > span ? stepA - Math.sign(stepA) * span : a[i++];
+    stepB = Math.abs(stepB) > span ? stepB - Math.sign(stepB) * span : b[j++];
+  }
+
+  return [aPrime, bPrime];
+}
+
+// Where a cursor at `position` ends up once the operation is applied.
+// Text inserted right at the cursor lands before it.
+export function transformPosition(position, operation) {
+  let remaining = position;
+  let moved = position;
+
+  for (const step of operation) {
+    if (isRetain(step)) {
+      remaining -= step;
+    } else if (isInsert(step)) {
+      moved += step.length;
+    } else {
+      moved -= Math.min(remaining, -step);
+      remaining += step;
+    }
+    if (remaining < 0) break;
+  }
+
+  return moved;
+}
@@ -0,0 +1,79 @@
+import { describe, expect, test } from 'vitest';
+import {
+  applyOperation,
+  composeOperations,
+  diffOperation,
+  isNoop,
+  transformOperations,
+  transformPosition,
+} from './whiteboard-ot';
+
+describe('whiteboard text operations', () => {
+  test('diffs two texts into a single edit', () => {
+    const operation = diffOperation('Hello world', 'Hello big world');
+
+    expect(operation).toEqual([6, 'big ', 5]);
+    expect(applyOperation('Hello world', operation)).toBe('Hello big world');
+  });
+
+  test('places a repeated character where the cursor says it was typed', () => {
+    expect(diffOperation('aa', 'aaa')).toEqual([2, 'a']);
+    expect(diffOperation('aa', 'aaa', 1)).toEqual(['a', 2]);
+  });
+
+  test('never splits an emoji between its two code units', () => {
+    const operation = diffOperation('😀', '😃');
+
+    expect(operation).toEqual(['😃', -2]);
+    expect(applyOperation('😀', operation)).toBe('😃');
+  });
+
+  test('refuses operations that do not fit the text', () => {
+    expect(() => applyOperation('abc', [5])).toThrow();
+  });
+
+  test('composes consecutive edits into one', () => {
+    const first = diffOperation('abc', 'abXc');
+    const second = diffOperation('abXc', 'YabX');
+
+    expect(applyOperation('abc', composeOperations(first, second))).toBe('YabX');
+  });
+
+  test('transformed operations converge whichever is applied first', () => {
+    const base = 'The plan:\n- step one\n- step two';
+    const mine = diffOperation(base, 'The plan:\n- step one\n- step 1.5\n- step two');
+    const theirs = diffOperation(base, 'Our plan:\n- step one\n- step two');
+
+    const [minePrime, theirsPrime] = transformOperations(mine, theirs);
+
+    expect(applyOperation(applyOperation(base, theirs), minePrime)).toBe(
+      'Our plan:\n- step one\n- step 1.5\n- step two'
+    );
+    expect(applyOperation(applyOperation(base, mine), theirsPrime)).toBe(
+      'Our plan:\n- step one\n- step 1.5\n- step two'
+    );
+  });
+
+  test('puts the first operation first when both insert at one place', () => {
+    const [minePrime, theirsPrime] = transformOperations([2, 'X', 1], [2, 'Y', 1]);
+
+    expect(applyOperation('abYc', minePrime)).toBe('abXYc');
+    expect(applyOperation('abXc', theirsPrime)).toBe('abXYc');
+  });
+
+  test('deletes overlapping text only once', () => {
+    const [minePrime, theirsPrime] = transformOperations([1, -3, 1], [2, -3]);
+
+    expect(applyOperation('ab', minePrime)).toBe('a');
+    expect(applyOperation('ae', theirsPrime)).toBe('a');
+    expect(isNoop([1])).toBe(true);
+  });
+
+  test('moves cursors past text inserted or deleted before them', () => {
+    expect(transformPosition(4, [2, 'XY', 4])).toBe(6);
+    expect(transformPosition(2, [2, 'XY', 4])).toBe(4);
+    expect(transformPosition(1, [2, 'XY', 4])).toBe(1);
+    expect(transformPosition(5, [1, -3, 2])).toBe(2);
+    expect(transformPosition(2, [1, -3, 2])).toBe(1);
+  });
+});
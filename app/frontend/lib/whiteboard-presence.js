@@ -0,0 +1,90 @@
+import { transformPosition } from '$lib/whiteboard-ot';
+
+// Everyone on a whiteboard repeats their presence this often; anyone not
+// heard from for the timeout has closed the tab without saying goodbye.
+export const PRESENCE_HEARTBEAT_MS = 10_000;
+export const PRESENCE_TIMEOUT_MS = 30_000;
+
+const PRESENCE_COLOURS = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#9333ea', '#0891b2', '#db2777', '#65a30d'];
+
+// Stable per tab, so one person's two tabs are told apart
+export function presenceColour(clientId = '') {
+  let hash = 0;
+  for (const char of clientId) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return PRESENCE_COLOURS[hash % PRESENCE_COLOURS.length];
+}
+
+// Folds a whiteboard_presence message into the list of other people here.
+// isNew tells the caller to announce itself, so newcomers see everyone
+// without waiting for the next heartbeat.
+export function updatePresence(peers, message, { clientId, now = Date.now() } = {}) {
+  if (!message?.client_id || message.client_id === clientId) return { peers, isNew: false };
+
+  const others = peers.filter((peer) => peer.clientId !== message.client_id);
+  if (message.left) return { peers: others, isNew: false };
+
+  const peer = {
+    clientId: message.client_id,
+    user: message.user || {},
+    editing: Boolean(message.editing),
+    cursor: message.cursor || null,
+    colour: presenceColour(message.client_id),
+    seenAt: now,
+  };
+
+  return { peers: [...others, peer], isNew: others.length === peers.length };
+}
+
+export function prunePresence(peers, now = Date.now()) {
+  const live = peers.filter((peer) => now - peer.seenAt < PRESENCE_TIMEOUT_MS);
+  return live.length === peers.length ? peers : live;
+}
+
+// Keeps remote cursors on the same text as the document changes under them
+export function transformPresence(peers, operation) {
+  return peers.map((peer) =>
+    peer.cursor
+      ? {
+          ...peer,
+          cursor: {
+            anchor: transformPosition(peer.cursor.anchor, operation),
+            head: transformPosition(peer.cursor.head, operation),
+          },
+        }
+      : peer
+  );
+}
+
+// One avatar per person, however many tabs they have open
+export function presentUsers(peers) {
+  const users = new Map();
+  for (const peer of peers) {
+    const key = peer.user.id ?? peer.clientId;
+    const existing = users.get(key);
+    users.set(key, {
+      ...peer.user,
+      colour: existing?.colour ?? peer.colour,
+      editing: Boolean(existing?.editing || peer.editing),
+    });
+  }
+  return [...users.values()];
+}
+
+// Splits the text at remote cursors for the overlay that draws them,
+// e.g. [{ text: 'ab' }, { peer }, { text: 'c' }]
+export function cursorSegments(text, peers) {
+  const cursors = peers
+    .filter((peer) => peer.editing && peer.cursor)
+    .map((peer) => ({ peer, at: Math.min(Math.max(peer.cursor.head, 0), text.length) }))
+    .sort((left, right) => left.at - right.at);
+
+  const segments = [];
+  let index = 0;
+  for (const { peer, at } of cursors) {
+    if (at > index) segments.push({ text: text.slice(index, at) });
+    segments.push({ peer });
+    index = at;
+  }
+  if (index < text.length) segments.push({ text: text.slice(index) });
+  return segments;
+}
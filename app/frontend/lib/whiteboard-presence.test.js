@@ -0,0 +1,62 @@
+import { describe, expect, test } from 'vitest';
+import {
+  PRESENCE_TIMEOUT_MS,
+  cursorSegments,
+  presenceColour,
+  presentUsers,
+  prunePresence,
+  transformPresence,
+  updatePresence,
+} from './whiteboard-presence';
+
+const message = (clientId, extra = {}) => ({
+  action: 'whiteboard_presence',
+  client_id: clientId,
+  user: { id: 'u1', name: 'Ada', initials: 'A' },
+  editing: true,
+  cursor: { anchor: 2, head: 2 },
+  ...extra,
+});
+
+describe('whiteboard presence', () => {
+  test('tracks other people and flags newcomers so they can be greeted', () => {
+    const first = updatePresence([], message('tab-2'), { clientId: 'tab-1', now: 0 });
+    expect(first.isNew).toBe(true);
+    expect(first.peers).toMatchObject([{ clientId: 'tab-2', editing: true, colour: presenceColour('tab-2') }]);
+
+    const again = updatePresence(first.peers, message('tab-2', { cursor: { anchor: 5, head: 5 } }), {
+      clientId: 'tab-1',
+    });
+    expect(again.isNew).toBe(false);
+    expect(again.peers[0].cursor).toEqual({ anchor: 5, head: 5 });
+  });
+
+  test('ignores its own echo and drops people who leave or go quiet', () => {
+    expect(updatePresence([], message('tab-1'), { clientId: 'tab-1' }).peers).toEqual([]);
+
+    const { peers } = updatePresence([], message('tab-2'), { clientId: 'tab-1', now: 0 });
+    expect(updatePresence(peers, { client_id: 'tab-2', left: true }, { clientId: 'tab-1' }).peers).toEqual([]);
+    expect(prunePresence(peers, PRESENCE_TIMEOUT_MS - 1)).toBe(peers);
+    expect(prunePresence(peers, PRESENCE_TIMEOUT_MS)).toEqual([]);
+  });
+
+  test('moves remote cursors with the text', () => {
+    const { peers } = updatePresence([], message('tab-2'), { clientId: 'tab-1' });
+
+    expect(transformPresence(peers, ['XY', 4])[0].cursor).toEqual({ anchor: 4, head: 4 });
+  });
+
+  test('shows one avatar per person across tabs', () => {
+    let peers = updatePresence([], message('tab-2', { editing: false }), { clientId: 'tab-1' }).peers;
+    peers = updatePresence(peers, message('tab-3'), { clientId: 'tab-1' }).peers;
+
+    expect(presentUsers(peers)).toMatchObject([{ id: 'u1', name: 'Ada', editing: true }]);
+  });
+
+  test('splits text at the cursors of people editing', () => {
+    const { peers } = updatePresence([], message('tab-2'), { clientId: 'tab-1' });
+
+    expect(cursorSegments('abcd', peers)).toEqual([{ text: 'ab' }, { peer: peers[0] }, { text: 'cd' }]);
+    expect(cursorSegments('abcd', [{ ...peers[0], editing: false }])).toEqual([{ text: 'abcd' }]);
+  });
+});
@@ -0,0 +1,53 @@
+import { accountWhiteboardPath } from '@/routes';
+import { mergeWhiteboard } from '$lib/whiteboard-merge';
+
+// A clean merge is saved against the server's revision, which may itself
+// have moved on by then; give up on retrying after this many rounds.
+export const MAX_SAVE_ATTEMPTS = 3;
+
+function csrfToken() {
+  return document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+}
+
+async function patchWhiteboard(accountId, whiteboardId, content, revision) {
+  const response = await fetch(accountWhiteboardPath(accountId, whiteboardId), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken() },
+    body: JSON.stringify({ whiteboard: { content }, expected_revision: revision }),
+  });
+  if (response.ok) return { ok: true };
+
+  const data = await response.json().catch(() => ({}));
+  return { ok: false, conflict: data.error === 'conflict', data };
+}
+
+// Saves an edit made from `base` at `revision`. When someone else saved in
+// the meantime the edit is merged with theirs; only overlapping changes come
+// back as { status: 'conflict', merge, base, revision } for the resolver,
+// whose result is saved with the returned base and revision.
+//
+// Resolves to { status: 'saved', content, merged } or
+// { status: 'conflict', ... } or { status: 'error', message }.
+export async function saveWhiteboard({ accountId, whiteboardId, content, base, revision }) {
+  let attempt = { content, base, revision, merged: false };
+
+  try {
+    for (let round = 0; round < MAX_SAVE_ATTEMPTS; round++) {
+      const result = await patchWhiteboard(accountId, whiteboardId, attempt.content, attempt.revision);
+      if (result.ok) return { status: 'saved', content: attempt.content, merged: attempt.merged };
+      if (!result.conflict) {
+        return { status: 'error', message: result.data.errors?.join(', ') || 'Failed to save. Please try again.' };
+      }
+
+      const theirs = result.data.current_content || '';
+      const merge = mergeWhiteboard(attempt.base, attempt.content, theirs);
+      if (!merge.clean) return { status: 'conflict', merge, base: theirs, revision: result.data.current_revision };
+
+      attempt = { content: merge.merged, base: theirs, revision: result.data.current_revision, merged: true };
+    }
+  } catch {
+    return { status: 'error', message: 'Failed to save. Please try again.' };
+  }
+
+  return { status: 'error', message: 'The whiteboard keeps changing. Please try again in a moment.' };
+}
@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { saveWhiteboard } from './whiteboard-save';
+
+function respond(status, body = {}) {
+  return Promise.resolve({ ok: status < 300, status, json: () => Promise.resolve(body) });
+}
+
+function requestBodies(fetchMock) {
+  return fetchMock.mock.calls.map(([, options]) => JSON.parse(options.body));
+}
+
+describe('saveWhiteboard', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  test('saves against the revision the edit started from', async () => {
+    const fetchMock = vi.fn(() => respond(200));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await saveWhiteboard({
+      accountId: 'acc',
+      whiteboardId: 7,
+      content: 'new',
+      base: 'old',
+      revision: 3,
+    });
+
+    expect(result).toEqual({ status: 'saved', content: 'new', merged: false });
+    expect(fetchMock.mock.calls[0][0]).toBe('/accounts/acc/whiteboards/7');
+    expect(requestBodies(fetchMock)).toEqual([{ whiteboard: { content: 'new' }, expected_revision: 3 }]);
+  });
+
+  test('merges a conflicting save and retries against the new revision', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockReturnValueOnce(respond(409, { error: 'conflict', current_content: 'a\nb\nC', current_revision: 4 }))
+      .mockReturnValueOnce(respond(200));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await saveWhiteboard({
+      accountId: 'acc',
+      whiteboardId: 7,
+      content: 'A\nb\nc',
+      base: 'a\nb\nc',
+      revision: 3,
+    });
+
+    expect(result).toEqual({ status: 'saved', content: 'A\nb\nC', merged: true });
+    expect(requestBodies(fetchMock)[1]).toEqual({ whiteboard: { content: 'A\nb\nC' }, expected_revision: 4 });
+  });
+
+  test('returns overlapping changes for the resolver', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(() => respond(409, { error: 'conflict', current_content: 'theirs', current_revision: 4 }))
+    );
+
+    const result = await saveWhiteboard({
+      accountId: 'acc',
+      whiteboardId: 7,
+      content: 'mine',
+      base: 'base',
+      revision: 3,
+    });
+
+    expect(result.status).toBe('conflict');
+    expect(result.base).toBe('theirs');
+    expect(result.revision).toBe(4);
+    expect(result.merge.chunks).toEqual([{ type: 'conflict', base: ['base'], mine: ['mine'], theirs: ['theirs'] }]);
+  });
+
+  test('reports validation and network errors', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(() => respond(422, { errors: ['Content is too long'] }))
+    );
+    expect(await saveWhiteboard({ accountId: 'acc', whiteboardId: 7, content: 'x', base: '', revision: 1 })).toEqual({
+      status: 'error',
+      message: 'Content is too long',
+    });
+
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(() => Promise.reject(new Error('offline')))
+    );
+    expect(
+      (await saveWhiteboard({ accountId: 'acc', whiteboardId: 7, content: 'x', base: '', revision: 1 })).status
+    ).toBe('error');
+  });
+});
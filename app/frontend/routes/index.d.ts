@@ -432,6 +432,20 @@ export const accountChatDiscardPath: ((
   options?: {format?: OptionalRouteParameter} & RouteOptions
 ) => string) & RouteHelperExtras;
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/:chat_id/export(.:format)
+ * @param {any} accountId
+ * @param {any} chatId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountChatExportPath: ((
+  accountId: RequiredRouteParameter,
+  chatId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
 /**
  * Generates rails route to
  * /accounts/:account_id/chats/:chat_id/fork(.:format)
@@ -502,6 +516,36 @@ export const accountChatTranscriptionPath: ((
   options?: {format?: OptionalRouteParameter} & RouteOptions
 ) => string) & RouteHelperExtras;
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/:chat_id/whiteboards/:id(.:format)
+ * @param {any} accountId
+ * @param {any} chatId
+ * @param {any} id
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountChatWhiteboardPath: ((
+  accountId: RequiredRouteParameter,
+  chatId: RequiredRouteParameter,
+  id: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/:chat_id/whiteboards(.:format)
+ * @param {any} accountId
+ * @param {any} chatId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountChatWhiteboardsPath: ((
+  accountId: RequiredRouteParameter,
+  chatId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
 /**
  * Generates rails route to
  * /accounts/:account_id/chats(.:format)
@@ -654,6 +698,36 @@ export const accountWhiteboardPath: ((
   options?: {format?: OptionalRouteParameter} & RouteOptions
 ) => string) & RouteHelperExtras;
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/whiteboards/:whiteboard_id/revisions/:revision_id/restoration(.:format)
+ * @param {any} accountId
+ * @param {any} whiteboardId
+ * @param {any} revisionId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountWhiteboardRevisionRestorationPath: ((
+  accountId: RequiredRouteParameter,
+  whiteboardId: RequiredRouteParameter,
+  revisionId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
+/**
+ * Generates rails route to
+ * /accounts/:account_id/whiteboards/:whiteboard_id/revisions(.:format)
+ * @param {any} accountId
+ * @param {any} whiteboardId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountWhiteboardRevisionsPath: ((
+  accountId: RequiredRouteParameter,
+  whiteboardId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
 /**
  * Generates rails route to
  * /accounts/:account_id/whiteboards(.:format)
@@ -894,6 +968,20 @@ export const apiV1ConversationMessageAttachmentPath: ((
   options?: {format?: OptionalRouteParameter} & RouteOptions
 ) => string) & RouteHelperExtras;
 
+/**
+ * Generates rails route to
+ * /api/v1/conversations/:conversation_id/messages/:message_id/reaction(.:format)
+ * @param {any} conversationId
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const apiV1ConversationMessageReactionPath: ((
+  conversationId: RequiredRouteParameter,
+  messageId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
 /**
  * Generates rails route to
  * /api/v1/conversations/:conversation_id/messages(.:format)
@@ -1304,6 +1392,18 @@ export const identityExportAccountAgentPath: ((
   options?: {format?: OptionalRouteParameter} & RouteOptions
 ) => string) & RouteHelperExtras;
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/import(.:format)
+ * @param {any} accountId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const importAccountChatsPath: ((
+  accountId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
 /**
  * Generates rails route to
  * /login(.:format)
@@ -1348,6 +1448,30 @@ export const messageHallucinationFixPath: ((
   options?: {format?: OptionalRouteParameter} & RouteOptions
 ) => string) & RouteHelperExtras;
 
+/**
+ * Generates rails route to
+ * /messages/:message_id/reaction(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageReactionPath: ((
+  messageId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
+/**
+ * Generates rails route to
+ * /messages/:message_id/regeneration(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageRegenerationPath: ((
+  messageId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
 /**
  * Generates rails route to
  * /messages/:message_id/retry(.:format)
@@ -1360,6 +1484,30 @@ export const messageRetryPath: ((
   options?: {format?: OptionalRouteParameter} & RouteOptions
 ) => string) & RouteHelperExtras;
 
+/**
+ * Generates rails route to
+ * /messages/:message_id/revisions(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageRevisionsPath: ((
+  messageId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
+/**
+ * Generates rails route to
+ * /messages/:message_id/selection(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageSelectionPath: ((
+  messageId: RequiredRouteParameter,
+  options?: {format?: OptionalRouteParameter} & RouteOptions
+) => string) & RouteHelperExtras;
+
 /**
  * Generates rails route to
  * /messages/:message_id/voice(.:format)
@@ -793,6 +793,16 @@ export const accountChatArchivePath = /*#__PURE__*/ __jsr.r({"account_id":{"r":t
  */
 export const accountChatDiscardPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"chat_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"chats"],[2,[7,"/"],[2,[3,"chat_id"],[2,[7,"/"],[2,[6,"discard"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]);
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/:chat_id/export(.:format)
+ * @param {any} accountId
+ * @param {any} chatId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountChatExportPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"chat_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"chats"],[2,[7,"/"],[2,[3,"chat_id"],[2,[7,"/"],[2,[6,"export"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]);
+
 /**
  * Generates rails route to
  * /accounts/:account_id/chats/:chat_id/fork(.:format)
@@ -843,6 +853,27 @@ export const accountChatParticipantPath = /*#__PURE__*/ __jsr.r({"account_id":{"
  */
 export const accountChatTranscriptionPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"chat_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"chats"],[2,[7,"/"],[2,[3,"chat_id"],[2,[7,"/"],[2,[6,"transcription"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]);
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/:chat_id/whiteboards/:id(.:format)
+ * @param {any} accountId
+ * @param {any} chatId
+ * @param {any} id
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountChatWhiteboardPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"chat_id":{"r":true},"id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"chats"],[2,[7,"/"],[2,[3,"chat_id"],[2,[7,"/"],[2,[6,"whiteboards"],[2,[7,"/"],[2,[3,"id"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]]]);
+
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/:chat_id/whiteboards(.:format)
+ * @param {any} accountId
+ * @param {any} chatId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountChatWhiteboardsPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"chat_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"chats"],[2,[7,"/"],[2,[3,"chat_id"],[2,[7,"/"],[2,[6,"whiteboards"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]);
+
 /**
  * Generates rails route to
  * /accounts/:account_id/chats(.:format)
@@ -955,6 +986,27 @@ export const accountServicesPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true
  */
 export const accountWhiteboardPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"whiteboards"],[2,[7,"/"],[2,[3,"id"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]);
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/whiteboards/:whiteboard_id/revisions/:revision_id/restoration(.:format)
+ * @param {any} accountId
+ * @param {any} whiteboardId
+ * @param {any} revisionId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountWhiteboardRevisionRestorationPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"whiteboard_id":{"r":true},"revision_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"whiteboards"],[2,[7,"/"],[2,[3,"whiteboard_id"],[2,[7,"/"],[2,[6,"revisions"],[2,[7,"/"],[2,[3,"revision_id"],[2,[7,"/"],[2,[6,"restoration"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]]]]]);
+
+/**
+ * Generates rails route to
+ * /accounts/:account_id/whiteboards/:whiteboard_id/revisions(.:format)
+ * @param {any} accountId
+ * @param {any} whiteboardId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const accountWhiteboardRevisionsPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"whiteboard_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"whiteboards"],[2,[7,"/"],[2,[3,"whiteboard_id"],[2,[7,"/"],[2,[6,"revisions"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]);
+
 /**
  * Generates rails route to
  * /accounts/:account_id/whiteboards(.:format)
@@ -1138,6 +1190,16 @@ export const apiV1ConversationAgentTriggerPath = /*#__PURE__*/ __jsr.r({"convers
  */
 export const apiV1ConversationMessageAttachmentPath = /*#__PURE__*/ __jsr.r({"conversation_id":{"r":true},"message_id":{"r":true},"id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"api"],[2,[7,"/"],[2,[6,"v1"],[2,[7,"/"],[2,[6,"conversations"],[2,[7,"/"],[2,[3,"conversation_id"],[2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"attachments"],[2,[7,"/"],[2,[3,"id"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]]]]]]]);
 
+/**
+ * Generates rails route to
+ * /api/v1/conversations/:conversation_id/messages/:message_id/reaction(.:format)
+ * @param {any} conversationId
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const apiV1ConversationMessageReactionPath = /*#__PURE__*/ __jsr.r({"conversation_id":{"r":true},"message_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"api"],[2,[7,"/"],[2,[6,"v1"],[2,[7,"/"],[2,[6,"conversations"],[2,[7,"/"],[2,[3,"conversation_id"],[2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"reaction"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]]]]]);
+
 /**
  * Generates rails route to
  * /api/v1/conversations/:conversation_id/messages(.:format)
@@ -1448,6 +1510,15 @@ export const githubIntegrationPath = /*#__PURE__*/ __jsr.r({"format":{}}, [2,[7,
  */
 export const identityExportAccountAgentPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"agents"],[2,[7,"/"],[2,[3,"id"],[2,[7,"/"],[2,[6,"promote"],[2,[7,"/"],[2,[6,"identity_export"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]]]]]);
 
+/**
+ * Generates rails route to
+ * /accounts/:account_id/chats/import(.:format)
+ * @param {any} accountId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const importAccountChatsPath = /*#__PURE__*/ __jsr.r({"account_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"accounts"],[2,[7,"/"],[2,[3,"account_id"],[2,[7,"/"],[2,[6,"chats"],[2,[7,"/"],[2,[6,"import"],[1,[2,[8,"."],[3,"format"]]]]]]]]]]]);
+
 /**
  * Generates rails route to
  * /login(.:format)
@@ -1482,6 +1553,24 @@ export const messagePath = /*#__PURE__*/ __jsr.r({"id":{"r":true},"format":{}},
  */
 export const messageHallucinationFixPath = /*#__PURE__*/ __jsr.r({"message_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"hallucination_fix"],[1,[2,[8,"."],[3,"format"]]]]]]]]]);
 
+/**
+ * Generates rails route to
+ * /messages/:message_id/reaction(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageReactionPath = /*#__PURE__*/ __jsr.r({"message_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"reaction"],[1,[2,[8,"."],[3,"format"]]]]]]]]]);
+
+/**
+ * Generates rails route to
+ * /messages/:message_id/regeneration(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageRegenerationPath = /*#__PURE__*/ __jsr.r({"message_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"regeneration"],[1,[2,[8,"."],[3,"format"]]]]]]]]]);
+
 /**
  * Generates rails route to
  * /messages/:message_id/retry(.:format)
@@ -1491,6 +1580,24 @@ export const messageHallucinationFixPath = /*#__PURE__*/ __jsr.r({"message_id":{
  */
 export const messageRetryPath = /*#__PURE__*/ __jsr.r({"message_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"retry"],[1,[2,[8,"."],[3,"format"]]]]]]]]]);
 
+/**
+ * Generates rails route to
+ * /messages/:message_id/revisions(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageRevisionsPath = /*#__PURE__*/ __jsr.r({"message_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"revisions"],[1,[2,[8,"."],[3,"format"]]]]]]]]]);
+
+/**
+ * Generates rails route to
+ * /messages/:message_id/selection(.:format)
+ * @param {any} messageId
+ * @param {object | undefined} options
+ * @returns {string} route path
+ */
+export const messageSelectionPath = /*#__PURE__*/ __jsr.r({"message_id":{"r":true},"format":{}}, [2,[7,"/"],[2,[6,"messages"],[2,[7,"/"],[2,[3,"message_id"],[2,[7,"/"],[2,[6,"selection"],[1,[2,[8,"."],[3,"format"]]]]]]]]]);
+
 /**
  * Generates rails route to
  * /messages/:message_id/voice(.:format)
@@ -9,29 +9,36 @@ class AiResponseJob < ApplicationJob
   retry_on RubyLLM::RateLimitError, wait: :polynomially_longer, attempts: 5
   retry_on Faraday::Error, wait: :polynomially_longer, attempts: 3
 
-  def perform(chat)
+  def perform(chat, regenerating: nil, model_id: nil)
     unless chat.is_a?(Chat)
       raise ArgumentError, "Expected a Chat object, got #{chat.class}: #{chat.inspect}"
     end
 
     @chat = chat
     @ai_message = nil
-    @provider = chat.class.resolve_provider(chat.model_id)[:provider]
+    @regenerating = regenerating
+    chat.prepare_regeneration(regenerating, model_id: model_id) if regenerating
+    @provider = chat.class.resolve_provider(chat.response_model_id)[:provider]
     setup_streaming_state
 
     chat.available_tools.each { |tool| chat = chat.with_tool(tool) }
 
-    if chat.audio_tools_available_for?(chat.model_id)
+    if chat.audio_tools_available_for?(chat.response_model_id)
       chat = chat.with_tool(FetchAudioTool.new(chat: chat))
     end
 
     chat.on_new_message do
       @ai_message = chat.messages.order(:created_at).last
       @ai_message.update!(streaming: true) if @ai_message
+      adopt_regenerated_message!
     end
 
     chat.on_tool_call { |tc| handle_tool_call(tc) }
-    chat.on_end_message { |msg| finalize_message!(msg) }
+    chat.on_end_message do |msg|
+      finalize_message!(msg)
+      # Tool rounds end with their own messages; the regenerated answer is the last one
+      release_regenerated_message! if msg.tool_call? || msg.tool_result?
+    end
 
     chat.complete do |chunk|
       next unless chunk.content && @ai_message
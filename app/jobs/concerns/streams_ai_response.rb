@@ -173,6 +173,23 @@ module StreamsAiResponse
     )
   end
 
+  # A regenerated answer joins the versions of the answer it regenerates and
+  # is displayed in its place
+  def adopt_regenerated_message!
+    return unless @regenerating && @ai_message
+
+    @ai_message.update!(alternate_of_id: @regenerating.alternate_root_id) unless @ai_message.alternate_of_id
+    @ai_message.select_alternate!
+  end
+
+  # A message adopted as it started that turned out to be a tool round leaves
+  # the versions again; the answer that follows it is adopted in turn
+  def release_regenerated_message!
+    return unless @regenerating && @ai_message&.alternate_of_id
+
+    @ai_message.update!(alternate_of_id: nil, alternate_hidden: false)
+  end
+
   # Destroy the current message if it was never properly finalized.
   # Called from error handlers before the job retries, so the retry
   # starts fresh instead of leaving orphaned partial messages.
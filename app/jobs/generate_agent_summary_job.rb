@@ -11,7 +11,7 @@ class GenerateAgentSummaryJob < ApplicationJob
     return unless chat_agent
     return unless chat_agent.summary_stale?
 
-    recent_messages = chat.messages
+    recent_messages = chat.messages.displayed
       .where(role: %w[user assistant])
       .order(created_at: :desc)
       .limit(10)
@@ -13,7 +13,7 @@ class ManualAgentResponseJob < ApplicationJob
   retry_on RubyLLM::RateLimitError, wait: :polynomially_longer, attempts: 5
   retry_on Faraday::Error, wait: :polynomially_longer, attempts: 3
 
-  def perform(chat, agent, initiation_reason: nil)
+  def perform(chat, agent, initiation_reason: nil, regenerating: nil, model_id: nil)
     if agent.external? || agent.offline?
       ExternalAgentResponseRequest.new(
         agent: agent,
@@ -27,17 +27,21 @@ class ManualAgentResponseJob < ApplicationJob
     @chat = chat
     @agent = agent
     @ai_message = nil
+    @regenerating = regenerating
     setup_streaming_state
 
-    debug_info "Starting response for agent '#{agent.name}' (model: #{agent.model_id})"
+    chat.prepare_regeneration(regenerating) if regenerating
+    model_id ||= agent.model_id
 
-    @use_thinking = agent.uses_thinking? && Chat.supports_thinking?(agent.model_id)
+    debug_info "Starting response for agent '#{agent.name}' (model: #{model_id})"
+
+    @use_thinking = agent.uses_thinking? && Chat.supports_thinking?(model_id)
     debug_info "Thinking: #{@use_thinking ? 'enabled' : 'disabled'}"
 
-    provider_config = llm_provider_for(agent.model_id, thinking_enabled: @use_thinking, account: chat.account)
+    provider_config = llm_provider_for(model_id, thinking_enabled: @use_thinking, account: chat.account)
     @provider = provider_config[:provider]
 
-    if @use_thinking && Chat.requires_direct_api_for_thinking?(agent.model_id) && !anthropic_api_available?(account: chat.account)
+    if @use_thinking && Chat.requires_direct_api_for_thinking?(model_id) && !anthropic_api_available?(account: chat.account)
       record_thinking_skip!("anthropic_key_unavailable",
         content: "_Extended thinking requires Anthropic API access, but the API key is not configured. Configure ANTHROPIC_API_KEY to enable signed reasoning blocks._")
       return
@@ -75,7 +79,7 @@ class ManualAgentResponseJob < ApplicationJob
 
     debug_info "Added #{tools_added.length} tools: #{tools_added.join(', ')}" if tools_added.any?
 
-    if chat.audio_tools_available_for?(agent.model_id)
+    if chat.audio_tools_available_for?(model_id)
       llm = llm.with_tool(FetchAudioTool.new(chat: chat, current_agent: agent))
       tools_added << "FetchAudioTool"
       debug_info "Added FetchAudioTool (model supports audio input, voice messages present)"
@@ -99,8 +103,10 @@ class ManualAgentResponseJob < ApplicationJob
         content: "",
         thinking: "",
         streaming: true,
+        alternate_of_id: regenerating&.alternate_root_id,
         **@prompt_layout_telemetry
       )
+      adopt_regenerated_message!
       debug_info "Message created with ID: #{@ai_message.obfuscated_id}"
     end
 
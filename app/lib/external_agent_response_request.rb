@@ -198,7 +198,11 @@ class ExternalAgentResponseRequest
       message.role
     end
 
-    line = "#{speaker}: #{message.content.to_s.strip}"
+    # The id lets the agent react to or reply about a specific message
+    line = "#{speaker} (message #{message.to_param}): #{message.content.to_s.strip}"
+    line += "\nIn reply to message #{message.reply_to.to_param}: \"#{message.reply_to.quote_excerpt}\"" if message.reply_to
+    reactions = message.reactions_json.map { |group| "#{group["emoji"]} #{group["names"].join(", ")}" }
+    line += "\nReactions: #{reactions.join("; ")}" if reactions.any?
     return line unless message.attachments.attached?
 
     attachments = message.attachments_for_api.map do |attachment|
@@ -218,8 +222,8 @@ class ExternalAgentResponseRequest
   end
 
   def full_window_messages
-    @full_window_messages ||= chat.messages
-      .includes(:user, :agent, attachments_attachments: :blob)
+    @full_window_messages ||= chat.messages.displayed
+      .includes(:user, :agent, reactions: [ :user, :agent ], reply_to: [ :user, :agent ], attachments_attachments: :blob)
       .order(:created_at)
       .last(30)
   end
@@ -245,8 +249,8 @@ class ExternalAgentResponseRequest
     return @delta_messages if defined?(@delta_messages)
 
     @delta_messages = if prior_cursor_message_id
-      chat.messages
-        .includes(:user, :agent, attachments_attachments: :blob)
+      chat.messages.displayed
+        .includes(:user, :agent, reactions: [ :user, :agent ], reply_to: [ :user, :agent ], attachments_attachments: :blob)
         .where("id > ?", prior_cursor_message_id)
         .order(:id)
         .to_a
@@ -8,8 +8,11 @@ class Chat < ApplicationRecord
   include Chat::AgentOnly
   include Chat::Archivable
   include Chat::Contextualizable
+  include Chat::Exportable
   include Chat::Forkable
+  include Chat::Importable
   include Chat::Initiable
+  include Chat::WhiteboardAttachable
 
   acts_as_chat model: :ai_model, model_class: "AiModel", model_foreign_key: :ai_model_id
   include Chat::ModelSelection
@@ -156,17 +159,40 @@ class Chat < ApplicationRecord
     messages.count
   end
 
+  # Associations each message's JSON reads, preloaded for a page of the timeline
+  DISPLAY_INCLUDES = [
+    :user, :agent,
+    { reply_to: [ :user, :agent ], reactions: [ :user, :agent ],
+      alternates: :agent, alternate_of: [ :agent, { alternates: :agent } ] }
+  ].freeze
+
   # Returns paginated messages for display
   # Uses cursor-based pagination with before_id for efficient loading of older messages
   # Returns the most recent N messages that are older than before_id, in ascending order for display
-  def messages_page(before_id: nil, limit: 30)
-    scope = messages.includes(:user, :agent).with_attached_attachments.with_attached_audio_recording
+  def messages_page(before_id: nil, after_id: nil, limit: 30)
+    scope = messages.displayed.includes(*DISPLAY_INCLUDES).with_attached_attachments.with_attached_audio_recording
     scope = scope.where("messages.id < ?", Message.decode_id(before_id)) if before_id.present?
+    # Paging forward from a permalink window takes the oldest messages after it instead
+    return scope.where("messages.id > ?", Message.decode_id(after_id)).reorder(id: :asc).limit(limit).to_a if after_id.present?
+
     # Use reorder to replace any existing ordering (from acts_as_chat),
     # get the most recent messages by ordering by ID DESC, limit, then reverse for display
     scope.reorder(id: :desc).limit(limit).reverse
   end
 
+  # The page a permalink opens on: the target message with up to half a page
+  # either side of it. Empty when the message isn't in this chat.
+  def messages_around(around_id, limit: 30)
+    target = messages.displayed.find_by(id: Message.decode_id(around_id))
+    return [] unless target
+
+    scope = messages.displayed.includes(*DISPLAY_INCLUDES).with_attached_attachments.with_attached_audio_recording
+    newer = scope.where("messages.id > ?", target.id).reorder(id: :asc).limit(limit / 2).to_a
+    older = scope.where("messages.id <= ?", target.id).reorder(id: :desc).limit(limit - newer.size).to_a
+
+    older.reverse + newer
+  end
+
   # Worst-case input-token pressure across recent assistant turns. Cached on the row so the chats
   # sidebar can include it without N+1 queries; refreshed by Message after_save_commit.
   def recalculate_context_tokens!
@@ -222,7 +248,7 @@ class Chat < ApplicationRecord
   # The AiModel record stays in OpenRouter format (for DB storage), but actual API
   # calls go to the direct provider for lower latency and cost.
   def to_llm
-    original_model_id = model_id_string_value
+    original_model_id = response_model_id
     provider_config = ResolvesProvider.resolve_provider(original_model_id, account: account)
 
     @chat = (context || account.ruby_llm_context).chat(
@@ -231,7 +257,7 @@ class Chat < ApplicationRecord
       assume_model_exists: true
     )
 
-    messages_association.each do |msg|
+    transcript_messages.order(:created_at, :id).each do |msg|
       @chat.add_message(msg.to_llm)
     end
 
@@ -23,6 +23,21 @@ module Chat::Contextualizable
     @prompt_layout_telemetry || {}
   end
 
+  attr_reader :regenerating
+
+  # Set by the response jobs while they regenerate an answer: that answer and
+  # its other versions are left out of the transcript, and model_id replaces
+  # the chat's model for this one response.
+  def prepare_regeneration(message, model_id: nil)
+    @regenerating = message
+    @regeneration_model_id = model_id.presence
+    self
+  end
+
+  def response_model_id
+    @regeneration_model_id || model_id
+  end
+
   private
 
   def build_stable_prefix_context_for(agent, provider:, thinking_enabled:, initiation_reason:)
@@ -103,6 +118,7 @@ module Chat::Contextualizable
       whiteboard_index_context(include_character_counts: false),
       conversation_topic_context,
       active_whiteboard_context,
+      attached_whiteboards_context,
       format_cross_conversation_context(agent),
       format_borrowed_context(agent)
     ].compact_blank.each { |section| sections << section }
@@ -146,6 +162,15 @@ module Chat::Contextualizable
       "#{active_whiteboard.content}"
   end
 
+  # Boards attached alongside the active one, e.g. a decision log next to the plan
+  def attached_whiteboards_context
+    boards = attached_whiteboards.where.not(id: active_whiteboard_id)
+    return if boards.empty?
+
+    sections = boards.map { |board| "## #{board.name}\n\n#{board.content}" }
+    "# Other Whiteboards In This Conversation\n\n#{sections.join("\n\n")}"
+  end
+
   def conversation_topic_context
     return unless title.present?
 
@@ -197,11 +222,17 @@ module Chat::Contextualizable
   end
 
   def context_messages_for(agent)
-    messages.includes(:user, :agent).order(:created_at, :id)
+    transcript_messages.includes(:user, :agent, reply_to: [ :user, :agent ]).order(:created_at, :id)
       .reject { |message| message.content.blank? }
       .reject { |message| message.used_tools? && message.agent_id != agent.id }
   end
 
+  # The displayed version of each answer, minus the one being regenerated
+  def transcript_messages
+    scope = messages.displayed
+    regenerating ? scope.where.not(id: regenerating.alternate_group.select(:id)) : scope
+  end
+
   def format_messages_for_context(messages, agent, provider:, thinking_enabled:, audio_tools_enabled:,
     pdf_input_supported:, timezone:)
     messages.map do |message|
@@ -282,13 +313,15 @@ module Chat::Contextualizable
   def format_message_for_context(message, current_agent, timezone, provider:, thinking_enabled: false, audio_tools_enabled: false, pdf_input_supported: true)
     timestamp = message.created_at.in_time_zone(timezone).strftime("[%Y-%m-%d %H:%M]")
 
+    body = [ message.reply_context_for_llm, message.content ].compact.join(" ")
+
     text_content = if message.agent_id == current_agent.id
-      "#{timestamp} #{message.content}"
+      "#{timestamp} #{body}"
     elsif message.agent_id.present?
-      "#{timestamp} [#{message.agent.name}]: #{message.content}"
+      "#{timestamp} [#{message.agent.name}]: #{body}"
     else
       name = message.user&.full_name.presence || message.user&.email_address&.split("@")&.first || "User"
-      "#{timestamp} [#{name}]: #{message.content}"
+      "#{timestamp} [#{name}]: #{body}"
     end
 
     if audio_tools_enabled && message.audio_source? && message.audio_recording.attached?
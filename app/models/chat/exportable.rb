@@ -0,0 +1,66 @@
+module Chat::Exportable
+
+  extend ActiveSupport::Concern
+
+  TRANSCRIPT_FORMAT = "helix_kit.transcript".freeze
+  TRANSCRIPT_VERSION = 1
+
+  # A self-describing transcript of the displayed conversation. The browser
+  # renders it as Markdown or HTML (from content_html, as the chat shows it);
+  # as JSON it can be imported back in.
+  # Full model telemetry is included only when asked, as in the chat view.
+  def transcript_json(include_telemetry: false)
+    {
+      "format" => TRANSCRIPT_FORMAT,
+      "version" => TRANSCRIPT_VERSION,
+      "exported_at" => Time.current.iso8601,
+      "chat" => {
+        "id" => to_param,
+        "title" => title_or_default,
+        "model_id" => model_id,
+        "model_label" => model_label,
+        "manual_responses" => manual_responses?,
+        "web_access" => web_access?,
+        "created_at" => created_at.iso8601,
+        "participants" => agents.map { |agent| { "type" => "agent", "name" => agent.name } }
+      },
+      "messages" => export_messages.map { |message| transcript_message_json(message, include_telemetry) }
+    }
+  end
+
+  private
+
+  def export_messages
+    messages.displayed.includes(:user, :agent, attachments_attachments: :blob).order(:created_at, :id)
+  end
+
+  def transcript_message_json(message, include_telemetry)
+    {
+      "id" => message.to_param,
+      "role" => message.role,
+      "author_name" => message.author_name,
+      "author_type" => message.author_type,
+      "created_at" => message.created_at.iso8601,
+      "content" => message.content.to_s,
+      "content_html" => message.content_html.to_s,
+      "thinking" => message.thinking.presence,
+      "tools_used" => Array(message.tools_used),
+      "attachments" => transcript_attachments_json(message),
+      "telemetry" => transcript_telemetry_json(message, include_telemetry)
+    }.compact
+  end
+
+  def transcript_attachments_json(message)
+    message.files_json.map do |file|
+      { "filename" => file[:filename], "content_type" => file[:content_type], "byte_size" => file[:byte_size], "url" => file[:url] }
+    end
+  end
+
+  def transcript_telemetry_json(message, include_telemetry)
+    return message.ruby_llm_telemetry&.stringify_keys if include_telemetry
+    return unless message.input_tokens || message.output_tokens
+
+    { "input_tokens" => message.input_tokens, "output_tokens" => message.output_tokens }
+  end
+
+end
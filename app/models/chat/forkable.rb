@@ -2,28 +2,77 @@ module Chat::Forkable
 
   extend ActiveSupport::Concern
 
-  def fork_with_title!(new_title)
+  included do
+    belongs_to :forked_from, class_name: "Chat", optional: true
+    belongs_to :forked_from_message, class_name: "Message", optional: true
+    has_many :forks, class_name: "Chat", foreign_key: :forked_from_id, inverse_of: :forked_from, dependent: :nullify
+  end
+
+  # Copies the conversation into a new chat, up to and including `up_to` when
+  # given. An agent hands the fork to that resident alone; a model_id swaps
+  # the model it answers with.
+  def fork_with_title!(new_title, up_to: nil, agent: nil, model_id: nil)
+    raise ArgumentError, "That message isn't in this conversation" if up_to && up_to.chat_id != id
+    raise ArgumentError, "Unknown model" if model_id.present? && self.class.model_config(model_id).nil?
+
     transaction do
       forked = account.chats.new(
         title: new_title,
-        model_id: model_id,
+        model_id: model_id.presence || self.model_id,
         web_access: web_access,
-        manual_responses: manual_responses
+        manual_responses: manual_responses? || agent.present?,
+        forked_from: self,
+        forked_from_message: up_to
       )
 
-      forked.agent_ids = agent_ids if manual_responses?
+      forked.agent_ids = agent ? [ agent.id ] : agent_ids if forked.manual_responses?
       forked.save!
 
-      messages.includes(:user, :agent, :tool_calls, attachments_attachments: :blob).order(:created_at).each do |message|
+      messages_to_fork(up_to).each do |message|
         copy_message_to_fork(message, forked)
       end
+      announce_fork_handover(forked, agent) if agent
 
       forked
     end
   end
 
+  # Where a fork came from, linking back to the message it was forked at
+  def forked_from_json
+    return unless forked_from && !forked_from.discarded?
+
+    {
+      "id" => forked_from.to_param,
+      "title" => forked_from.title_or_default,
+      "message_id" => forked_from_message&.to_param
+    }
+  end
+
+  def forks_json
+    forks.kept.order(:created_at).map do |fork|
+      { "id" => fork.to_param, "title" => fork.title_or_default, "created_at" => fork.created_at.iso8601 }
+    end
+  end
+
   private
 
+  def messages_to_fork(up_to)
+    scope = messages.displayed.includes(:user, :agent, :tool_calls, attachments_attachments: :blob).order(:created_at, :id)
+    return scope unless up_to
+
+    # Same order as above, so a reply stamped in the same instant stays out
+    scope.where("messages.created_at < :at OR (messages.created_at = :at AND messages.id <= :id)",
+                at: up_to.created_at, id: up_to.id)
+  end
+
+  def announce_fork_handover(forked, agent)
+    forked.messages.create!(
+      role: "user",
+      content: "[System Notice] This conversation was forked from an earlier one and is now being handled by " \
+               "#{agent.name}. The messages above come from the original conversation."
+    )
+  end
+
   def copy_message_to_fork(message, forked)
     new_message = forked.messages.create!(
       content: message.content,
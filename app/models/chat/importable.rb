@@ -0,0 +1,91 @@
+module Chat::Importable
+
+  extend ActiveSupport::Concern
+
+  MAX_IMPORTED_MESSAGES = 5_000
+
+  class_methods do
+    # Creates a group chat from a transcript parsed in the browser. Each
+    # entry names the resident who said it; entries without one are the
+    # importing user's. A speaker repeating their last message is imported
+    # once. Nothing is sent to the residents to answer.
+    #
+    # The history is written in bulk, skipping each message's moderation,
+    # summary and broadcast callbacks; each resident gets one summary after.
+    # Returns the chat and how many messages it was given.
+    def import_transcript!(account:, user:, title:, messages:)
+      entries = Array(messages).map { |entry| entry.to_h.with_indifferent_access }
+      entries.reject! { |entry| entry[:content].to_s.strip.empty? }
+      raise ArgumentError, "There are no messages to import" if entries.empty?
+      raise ArgumentError, "Transcripts can have at most #{MAX_IMPORTED_MESSAGES} messages" if entries.size > MAX_IMPORTED_MESSAGES
+
+      agents = imported_agents(account, entries)
+      raise ArgumentError, "Choose a resident for at least one speaker" if agents.empty?
+
+      chat, rows = transaction do
+        chat = account.chats.create!(title: title.presence || "Imported Conversation", manual_responses: true, agents: agents.values.uniq)
+        rows = imported_rows(entries, agents, user)
+        rows.each_slice(1_000) { |slice| chat.messages.insert_all!(slice) }
+        chat.touch
+        [ chat, rows ]
+      end
+
+      chat.agents.each { |agent| GenerateAgentSummaryJob.perform_later(chat, agent) }
+      [ chat, rows.size ]
+    end
+
+    private
+
+    def imported_rows(entries, agents, user)
+      previous = nil
+
+      imported_timestamps(entries).zip(entries).filter_map do |created_at, entry|
+        content = entry[:content].to_s
+        agent = agents[entry[:agent_id].to_s]
+        next if [ agent, content ] == previous
+
+        previous = [ agent, content ]
+        {
+          role: agent ? "assistant" : "user",
+          user_id: agent ? nil : user.id,
+          agent_id: agent&.id,
+          content: content,
+          thinking_text: entry[:thinking].presence,
+          created_at: created_at,
+          updated_at: created_at
+        }
+      end
+    end
+
+    def imported_agents(account, entries)
+      ids = entries.filter_map { |entry| entry[:agent_id].presence&.to_s }.uniq
+      scope = account.agents.active.where.not(runtime: %w[provisioning migrating])
+      ids.index_with { |id| scope.find(id) }
+    rescue ActiveRecord::RecordNotFound
+      raise ArgumentError, "Choose residents from this account"
+    end
+
+    # Keeps the original times where they parse, nudging them forward so the
+    # imported order survives sorting by created_at
+    def imported_timestamps(entries)
+      previous = nil
+
+      entries.each_with_index.map do |entry, index|
+        parsed = imported_time(entry[:created_at])
+        previous =
+          if parsed && (previous.nil? || parsed > previous)
+            parsed
+          else
+            previous ? previous + 1.second : Time.current - (entries.size - index).seconds
+          end
+      end
+    end
+
+    def imported_time(value)
+      Time.zone.parse(value.to_s) if value.present?
+    rescue ArgumentError
+      nil
+    end
+  end
+
+end
@@ -680,6 +680,15 @@ module Chat::ModelSelection
       Chat::ModelSelection::MODELS.find { |m| m[:model_id] == model_id }
     end
 
+    # Answers record the id the provider reported, which for direct APIs is
+    # the provider's own id rather than ours
+    def response_model_label(model_id)
+      return if model_id.blank?
+
+      config = model_config(model_id) || MODELS.find { |m| provider_model_id(m[:model_id]) == model_id }
+      config ? config[:label] : model_id
+    end
+
     def supports_thinking?(model_id)
       model_config(model_id)&.dig(:thinking, :supported) == true
     end
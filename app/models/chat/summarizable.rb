@@ -19,7 +19,7 @@ module Chat::Summarizable
   end
 
   def transcript_for_api(after_message_id: nil, since: nil)
-    scope = messages.includes(:user, :agent, attachments_attachments: :blob)
+    scope = messages.displayed.includes(:user, :agent, reactions: [ :user, :agent ], reply_to: [ :user, :agent ], attachments_attachments: :blob)
                      .where(role: %w[user assistant])
                      .order(:created_at)
     scope = scope.where("messages.id > ?", after_message_id) if after_message_id.present?
@@ -39,7 +39,7 @@ module Chat::Summarizable
   end
 
   def generate_summary_from_llm
-    transcript_lines = messages.where(role: %w[user assistant])
+    transcript_lines = messages.displayed.where(role: %w[user assistant])
                                .order(:created_at)
                                .limit(20)
                                .map { |message| "#{message.role.titleize}: #{message.content.to_s.truncate(300)}" }
@@ -61,7 +61,9 @@ module Chat::Summarizable
       content: message.content,
       author: api_author_name(message),
       timestamp: message.created_at.iso8601,
-      attachments: message.attachments_for_api
+      attachments: message.attachments_for_api,
+      reactions: message.reactions_json,
+      reply_to: message.reply_to_for_api
     }
   end
 
@@ -0,0 +1,59 @@
+module Chat::WhiteboardAttachable
+
+  extend ActiveSupport::Concern
+
+  included do
+    has_many :chat_whiteboards, -> { order(:id) }, dependent: :destroy
+    has_many :whiteboards, through: :chat_whiteboards
+
+    after_save :attach_active_whiteboard, if: :saved_change_to_active_whiteboard_id?
+  end
+
+  # Boards shown as tabs, in the order they were attached. Deleted boards
+  # stay attached so restoring one brings its tab back.
+  def attached_whiteboards
+    whiteboards.active.order("chat_whiteboards.id")
+  end
+
+  # The first board attached becomes the active one residents see in full
+  def attach_whiteboard!(board)
+    transaction do
+      chat_whiteboards.find_or_create_by!(whiteboard: board)
+      update!(active_whiteboard: board) if active_whiteboard_id.nil?
+    end
+  end
+
+  def detach_whiteboard!(board)
+    transaction do
+      chat_whiteboards.where(whiteboard: board).destroy_all
+      update!(active_whiteboard: attached_whiteboards.first) if active_whiteboard_id == board.id
+    end
+  end
+
+  def whiteboard_attached?(board)
+    chat_whiteboards.exists?(whiteboard: board)
+  end
+
+  def attached_whiteboards_json
+    attached_whiteboards.includes(:last_edited_by).map do |board|
+      {
+        id: board.id,
+        name: board.name,
+        content: board.content,
+        revision: board.revision,
+        last_edited_at: board.last_edited_at&.strftime("%b %d at %l:%M %p"),
+        editor_name: board.editor_name
+      }
+    end
+  end
+
+  private
+
+  # Making a board active always gives it a tab
+  def attach_active_whiteboard
+    return if active_whiteboard_id.nil?
+
+    chat_whiteboards.find_or_create_by!(whiteboard_id: active_whiteboard_id)
+  end
+
+end
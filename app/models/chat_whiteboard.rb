@@ -0,0 +1,22 @@
+# A whiteboard attached to a conversation, shown as one of its tabs.
+class ChatWhiteboard < ApplicationRecord
+
+  include Broadcastable
+
+  belongs_to :chat
+  belongs_to :whiteboard
+
+  validates :whiteboard_id, uniqueness: { scope: :chat_id }
+  validate :same_account
+
+  broadcasts_to :chat, :whiteboard
+
+  private
+
+  def same_account
+    return if chat.nil? || whiteboard.nil? || chat.account_id == whiteboard.account_id
+
+    errors.add(:whiteboard, "belongs to another account")
+  end
+
+end
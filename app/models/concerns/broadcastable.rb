@@ -44,6 +44,7 @@ module Broadcastable
 
     class_attribute :broadcast_targets, default: []
     class_attribute :refresh_props, default: {}
+    class_attribute :patch_prop, default: nil
 
     # Flag to skip broadcasting when being destroyed as part of parent destruction
     attr_accessor :skip_broadcast
@@ -54,10 +55,14 @@ module Broadcastable
   def broadcast_refresh
     return if skip_broadcast
 
+    patch = sync_patch_marker("upsert")
+
     # Broadcast to self
     broadcast_marker("#{self.class.name}:#{obfuscated_id}",
-                    action: "refresh",
-                    prop: self.class.refresh_props[:single] || model_prop_name)
+                    patch || {
+                      action: "refresh",
+                      prop: self.class.refresh_props[:single] || model_prop_name
+                    })
 
     # Broadcast to configured targets
     self.class.broadcast_targets.each do |target|
@@ -73,14 +78,12 @@ module Broadcastable
           if association.collection?
             # It's a has_many/has_and_belongs_to_many - broadcast to each
             send(target).each do |record|
-              broadcast_marker("#{record.class.name}:#{record.obfuscated_id}",
-                              action: "refresh")
+              broadcast_to_parent(record, patch || { action: "refresh" })
             end
           else
             # It's a belongs_to/has_one - broadcast to single record
             if (record = send(target))
-              broadcast_marker("#{record.class.name}:#{record.obfuscated_id}",
-                              action: "refresh")
+              broadcast_to_parent(record, patch || { action: "refresh" })
             end
           end
         else
@@ -93,9 +96,13 @@ module Broadcastable
   def broadcast_removal
     return if skip_broadcast
 
+    patch = sync_patch_marker("remove")
+
     broadcast_marker("#{self.class.name}:#{obfuscated_id}",
-                    action: "remove",
-                    prop: self.class.refresh_props[:single] || model_prop_name)
+                    patch || {
+                      action: "remove",
+                      prop: self.class.refresh_props[:single] || model_prop_name
+                    })
 
     # Also broadcast removal to collections
     self.class.broadcast_targets.each do |target|
@@ -110,14 +117,12 @@ module Broadcastable
           if association.collection?
             # For removals, still notify all associated records
             send(target).each do |record|
-              broadcast_marker("#{record.class.name}:#{record.obfuscated_id}",
-                              action: "refresh")
+              broadcast_to_parent(record, patch || { action: "refresh" })
             end
           else
             # It's a belongs_to/has_one
             if (record = send(target))
-              broadcast_marker("#{record.class.name}:#{record.obfuscated_id}",
-                              action: "refresh")
+              broadcast_to_parent(record, patch || { action: "refresh" })
             end
           end
         else
@@ -127,8 +132,41 @@ module Broadcastable
     end
   end
 
+  # Every marker carries the server time it was sent at. Clients keep the latest
+  # one per subscription and hand it to SyncChannel#catch_up after a reconnect.
   def broadcast_marker(channel, data)
-    ActionCable.server.broadcast(channel, data)
+    ActionCable.server.broadcast(channel, data.merge(at: Time.current.to_f))
+  end
+
+  # Parents hear about child changes on their own channel, tagged with the
+  # collection that changed, and on a collection-scoped channel
+  # ("Account:abc/memberships") for pages that only render that collection.
+  # The scoped marker names the record so SyncChannel can check access to it.
+  def broadcast_to_parent(record, marker)
+    channel = "#{record.class.name}:#{record.obfuscated_id}"
+
+    broadcast_marker(channel, marker.merge(collection: broadcast_collection_name))
+    broadcast_marker("#{channel}/#{broadcast_collection_name}", { id: to_param }.merge(marker))
+  end
+
+  def broadcast_collection_name
+    self.class.model_name.plural
+  end
+
+  # Typed patch the client applies to the named prop in place of a full reload.
+  # Returns nil for models that haven't opted in with broadcasts_patches.
+  def sync_patch_marker(op)
+    return unless self.class.patch_prop
+
+    marker = { action: "patch", prop: self.class.patch_prop, op: op, id: to_param }
+    marker[:record] = sync_patch_json if op == "upsert"
+    marker
+  end
+
+  # Broadcasts reach every subscriber, so this must not include viewer-specific
+  # attributes. Override to strip them; the client merges onto its existing copy.
+  def sync_patch_json
+    as_json
   end
 
   def model_prop_name
@@ -150,6 +188,12 @@ module Broadcastable
       end
     end
 
+    # Replace refresh markers to self and to targets with upsert/remove patches
+    # of the named prop, e.g. broadcasts_patches :messages
+    def broadcasts_patches(prop)
+      self.patch_prop = prop.to_s
+    end
+
     def broadcasts_refresh_prop(name, collection: false, parent: false)
       if collection
         self.refresh_props = refresh_props.merge(collection: name.to_s)
@@ -7,6 +7,10 @@ class Message < ApplicationRecord
   include Message::Attachable
   include Message::HallucinationFixable
   include Message::Moderatable
+  include Message::Quotable
+  include Message::Reactable
+  include Message::Regeneratable
+  include Message::Revisable
   include Message::Replayable
   include Message::Streamable
 
@@ -43,6 +47,7 @@ class Message < ApplicationRecord
   attr_accessor :skip_content_validation
 
   broadcasts_to :chat
+  broadcasts_patches :messages
 
   validates :role, inclusion: { in: %w[user assistant system tool] }
   validates :content, presence: true, unless: -> { role.in?(%w[assistant tool]) || skip_content_validation }
@@ -57,6 +62,7 @@ class Message < ApplicationRecord
       .where(chats: { account_id: account.id, discarded_at: nil })
       .where("messages.content ILIKE ?", "%#{sanitize_sql_like(query)}%")
       .where(role: %w[user assistant])
+      .displayed
       .includes(:chat, :user, :agent)
       .order(created_at: :desc)
   end
@@ -64,6 +70,7 @@ class Message < ApplicationRecord
   after_create :reopen_all_agents_for_initiation, if: :human_message_in_group_chat?
   after_create_commit :queue_agent_summaries, if: -> { role.in?(%w[user assistant]) && content.present? }
   after_save_commit :refresh_chat_context_tokens, if: -> { role == "assistant" && saved_change_to_input_tokens? }
+  after_save_commit :broadcast_cost_breakdown_refresh, if: -> { saved_change_to_input_tokens? || saved_change_to_output_tokens? }
 
   json_attributes :role, :content, :thinking, :thinking_preview, :user_name, :user_avatar_url,
                   :completed, :created_at_formatted, :created_at_hour, :streaming,
@@ -73,7 +80,8 @@ class Message < ApplicationRecord
                   :moderation_flagged, :moderation_severity, :moderation_scores,
                   :fixable,
                   :audio_source, :audio_url,
-                  :voice_available, :voice_audio_url,
+                  :voice_available, :voice_audio_url, :reply_to_json, :reactions_json, :edited_at,
+                  :alternates_json,
                   :reasoning_skip_reason, :reasoning_skip_reason_label do |hash, options|
     if options&.dig(:include_ruby_llm_telemetry) && (telemetry = ruby_llm_telemetry)
       hash["ruby_llm_telemetry"] = telemetry
@@ -90,6 +98,11 @@ class Message < ApplicationRecord
 
   alias_method :completed, :completed?
 
+  # Opens the chat scrolled to this message; see messages_around on Chat
+  def permalink_path
+    Rails.application.routes.url_helpers.account_chat_path(chat.account, chat, anchor: "message-#{to_param}")
+  end
+
   def user_name
     user&.full_name
   end
@@ -215,12 +228,21 @@ class Message < ApplicationRecord
     chat.recalculate_context_tokens!
   end
 
+  # Message patches replace full reloads, so cost totals need their own nudge
+  def broadcast_cost_breakdown_refresh
+    broadcast_marker("Chat:#{chat.obfuscated_id}", action: "refresh", prop: "cost_breakdown")
+  end
+
+  def sync_patch_json
+    as_json.except("editable", "deletable")
+  end
+
   def not_duplicate_of_last_message
     return if content.blank? || chat.nil?
 
     # Only check against persisted messages (exclude any unsaved records in the association)
     # Use reorder to override any default scope ordering
-    last_message = chat.messages.where.not(id: nil).reorder(created_at: :desc).first
+    last_message = chat.messages.displayed.where.not(id: nil).reorder(created_at: :desc).first
     return if last_message.nil?
 
     if last_message.content == content
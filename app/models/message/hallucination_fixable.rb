@@ -7,7 +7,8 @@ module Message::HallucinationFixable
   TOOL_RESULT_TYPES = %w[
     github_commits github_diff github_file
     board board_created board_updated board_list board_deleted board_restored
-    deleted_board_list active_board_cleared active_board_set
+    deleted_board_list active_board_cleared active_board_set board_attached board_detached
+    task_updated cell_updated
     config
     search_results fetched_page redirect
     consolidated updated deleted protected refinement_complete
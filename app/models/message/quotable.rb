@@ -0,0 +1,52 @@
+module Message::Quotable
+
+  extend ActiveSupport::Concern
+
+  QUOTE_EXCERPT_LENGTH = 140
+
+  included do
+    belongs_to :reply_to, class_name: "Message", optional: true
+    has_many :replies, class_name: "Message", foreign_key: :reply_to_id, inverse_of: :reply_to, dependent: :nullify
+
+    validate :reply_to_in_same_chat, if: :reply_to_id_changed?
+  end
+
+  def quote_excerpt
+    content.to_s.gsub(/[`*_>#]+/, "").squish.truncate(QUOTE_EXCERPT_LENGTH)
+  end
+
+  # What the bubble shows above a reply; nil once the original is deleted
+  def reply_to_json
+    return unless reply_to
+
+    {
+      "id" => reply_to.to_param,
+      "author_name" => reply_to.author_name,
+      "author_colour" => reply_to.author_colour,
+      "excerpt" => reply_to.quote_excerpt
+    }
+  end
+
+  # The replied-to message as the conversations API and external transcripts see it
+  def reply_to_for_api
+    return unless reply_to
+
+    { id: reply_to.to_param, excerpt: reply_to.quote_excerpt }
+  end
+
+  # How a reply is introduced to residents, so they can tell which message it answers
+  def reply_context_for_llm
+    return unless reply_to
+
+    "(replying to message #{reply_to.obfuscated_id} from #{reply_to.author_name}: \"#{reply_to.quote_excerpt}\")"
+  end
+
+  private
+
+  def reply_to_in_same_chat
+    return if reply_to.nil? || reply_to.chat_id == chat_id
+
+    errors.add(:reply_to, "must be a message in this conversation")
+  end
+
+end
@@ -0,0 +1,43 @@
+module Message::Reactable
+
+  extend ActiveSupport::Concern
+
+  included do
+    has_many :reactions, -> { order(:created_at, :id) }, class_name: "MessageReaction", dependent: :delete_all
+  end
+
+  # Adds the reaction, or takes it back if the reactor already left it.
+  # Returns true when the reaction is now present. A double click that
+  # races its twin into the unique index counts as having reacted.
+  def toggle_reaction!(emoji, user: nil, agent: nil)
+    if (existing = reactions.find_by(emoji: emoji, user: user, agent: agent))
+      existing.destroy!
+      false
+    else
+      transaction(requires_new: true) { reactions.create!(emoji: emoji, user: user, agent: agent) }
+      true
+    end
+  rescue ActiveRecord::RecordNotUnique
+    true
+  end
+
+  # One entry per emoji, in the order each was first used. Reactor ids let the
+  # client mark the viewer's own reactions without a per-viewer payload.
+  def reactions_json
+    reactions.to_a.group_by(&:emoji).map do |emoji, group|
+      {
+        "emoji" => emoji,
+        "count" => group.size,
+        "names" => group.map(&:reactor_name),
+        "user_ids" => group.filter_map { |reaction| reaction.user&.to_param },
+        "agent_ids" => group.filter_map { |reaction| reaction.agent&.to_param }
+      }
+    end
+  end
+
+  def reactions_changed!
+    reactions.reset
+    broadcast_refresh
+  end
+
+end
@@ -0,0 +1,96 @@
+module Message::Regeneratable
+
+  extend ActiveSupport::Concern
+
+  included do
+    # Every regenerated version points at the original answer; only one
+    # version of each answer is displayed at a time.
+    belongs_to :alternate_of, class_name: "Message", optional: true
+    has_many :alternates, -> { order(:created_at, :id) }, class_name: "Message",
+             foreign_key: :alternate_of_id, inverse_of: :alternate_of
+
+    scope :displayed, -> { where(alternate_hidden: false) }
+
+    before_destroy :hand_over_alternates, unless: :destroyed_by_association
+  end
+
+  # Answers again in place of this answer, as another resident or model. The
+  # response job adds the new answer as an alternate once it starts streaming.
+  def regenerate!(agent: nil, model_id: nil)
+    raise ArgumentError, "Only answers can be regenerated" unless role == "assistant"
+    raise ArgumentError, "This conversation is archived or deleted" unless chat.respondable?
+    raise ArgumentError, "Only the latest answers can be regenerated" if answered_since?
+    raise ArgumentError, "Unknown model" if model_id.present? && Chat.model_config(model_id).nil?
+
+    agent ||= self.agent
+    model_id = model_id.presence
+
+    if agent
+      raise ArgumentError, "#{agent.name} is not in this conversation" unless chat.agents.include?(agent)
+      raise ArgumentError, "#{agent.name} answers from outside HelixKit" if agent.externally_hosted?
+      raise ArgumentError, "#{agent.name} is already responding" if chat.agent_response_active?(agent)
+
+      ManualAgentResponseJob.perform_later(chat, agent, regenerating: self, model_id: model_id)
+    else
+      AiResponseJob.perform_later(chat, regenerating: self, model_id: model_id)
+    end
+  end
+
+  def alternate_root_id
+    alternate_of_id || id
+  end
+
+  # This answer and its other versions
+  def alternate_group
+    Message.where(id: alternate_root_id).or(Message.where(alternate_of_id: alternate_root_id))
+  end
+
+  # Displays this version of the answer in place of the others
+  def select_alternate!
+    transaction do
+      alternate_group.displayed.where.not(id: id).each { |message| message.update!(alternate_hidden: true) }
+      update!(alternate_hidden: false) if alternate_hidden?
+    end
+  end
+
+  # The versions the bubble pages through, oldest first; nil for answers
+  # that were never regenerated
+  def alternates_json
+    root = alternate_of || self
+    versions = [ root, *root.alternates ]
+    return if versions.one?
+
+    versions.map { |version| { "id" => version.to_param, "label" => version.alternate_label } }
+  end
+
+  def alternate_label
+    [ agent&.name, Chat.response_model_label(model_id_string) ].compact.join(" · ").presence || author_name
+  end
+
+  private
+
+  def answered_since?
+    chat.messages.where(role: "user").where("id > ?", id).exists?
+  end
+
+  # Hidden versions have left the transcript, so clients drop them rather than update them
+  def broadcast_refresh
+    alternate_hidden? ? broadcast_removal : super
+  end
+
+  # A deleted original hands its versions to the oldest remaining one, and a
+  # deleted displayed version is replaced by the newest remaining one
+  def hand_over_alternates
+    others = alternate_group.where.not(id: id).order(:created_at, :id).to_a
+    return if others.empty?
+
+    if alternate_of_id.nil?
+      successor = others.first
+      Message.where(alternate_of_id: id).where.not(id: successor.id).update_all(alternate_of_id: successor.id)
+      successor.update_columns(alternate_of_id: nil)
+    end
+
+    others.last.reload.update!(alternate_hidden: false) unless alternate_hidden?
+  end
+
+end
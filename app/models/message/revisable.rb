@@ -0,0 +1,40 @@
+module Message::Revisable
+
+  extend ActiveSupport::Concern
+
+  included do
+    has_many :revisions, -> { order(:created_at, :id) }, class_name: "MessageRevision", dependent: :delete_all
+  end
+
+  # Replaces the content, keeping what it said before as a revision.
+  # Returns false with errors set when the new content is invalid.
+  def revise(new_content, editor:)
+    previous = content
+    self.content = new_content
+    return true unless content_changed?
+
+    self.edited_at = Time.current
+    transaction do
+      save!
+      revisions.create!(content: previous, user: editor)
+    end
+    true
+  rescue ActiveRecord::RecordInvalid
+    false
+  end
+
+  def edited?
+    edited_at.present?
+  end
+
+  # Every version oldest first, ending with the current content
+  def history_json
+    revisions.includes(:user).map(&:as_json) + [ {
+      "id" => "current",
+      "content" => content,
+      "editor_name" => nil,
+      "replaced_at" => nil
+    } ]
+  end
+
+end
@@ -6,14 +6,20 @@ module Message::Streamable
     chunk = chunk.to_s
     return if chunk.empty?
 
-    update_columns(streaming: true, content: (content.to_s + chunk))
+    offset = streamed_length(:content)
 
-    Rails.logger.debug "Broadcasting streaming update to Message:#{to_param}:stream (length: #{content.to_s.length}, chunk: #{chunk})"
+    # update_columns skips timestamps; bump updated_at so SyncChannel#catch_up
+    # notices chunks a disconnected client missed
+    update_columns(streaming: true, content: (content.to_s + chunk), updated_at: Time.current)
+    track_streamed_length(:content, offset + stream_offset(chunk))
+
+    Rails.logger.debug "Broadcasting streaming update to #{stream_channel} (length: #{content.to_s.length}, chunk: #{chunk})"
     broadcast_marker(
-      "Message:#{to_param}",
+      stream_channel,
       {
         action: "streaming_update",
         chunk: chunk,
+        offset: offset,
         id: to_param
       }
     )
@@ -23,13 +29,16 @@ module Message::Streamable
     chunk = chunk.to_s
     return if chunk.empty?
 
-    update_columns(thinking_text: (thinking_text.to_s + chunk))
+    offset = streamed_length(:thinking_text)
+    update_columns(thinking_text: (thinking_text.to_s + chunk), updated_at: Time.current)
+    track_streamed_length(:thinking_text, offset + stream_offset(chunk))
 
     broadcast_marker(
-      "Message:#{to_param}",
+      stream_channel,
       {
         action: "thinking_update",
         chunk: chunk,
+        offset: offset,
         id: to_param
       }
     )
@@ -43,11 +52,13 @@ module Message::Streamable
       Rails.logger.info "Message #{to_param} updated to streaming: false"
     end
 
+    content_length = streamed_length(:content)
     broadcast_marker(
-      "Message:#{to_param}",
+      stream_channel,
       {
         action: "streaming_end",
         chunk: nil,
+        content_length: content_length,
         id: to_param
       }
     )
@@ -56,10 +67,11 @@ module Message::Streamable
       {
         action: "streaming_end",
         chunk: nil,
+        content_length: content_length,
         id: to_param
       }
     )
-    Rails.logger.info "Broadcasted streaming_end to Message:#{to_param} and Chat:#{chat.obfuscated_id}"
+    Rails.logger.info "Broadcasted streaming_end to #{stream_channel} and Chat:#{chat.obfuscated_id}"
   end
 
   def broadcast_tool_call(tool_name:, tool_args:)
@@ -74,6 +86,34 @@ module Message::Streamable
 
   private
 
+  # Chunks go to the chat's messages stream ("Chat:abc/messages"), so a chat page
+  # hears messages that start streaming after it subscribed without resubscribing.
+  def stream_channel
+    "Chat:#{chat.obfuscated_id}/messages"
+  end
+
+  # Chunk offsets let the client drop redelivered chunks, reorder late ones and
+  # spot gaps. They count UTF-16 code units so they line up with JavaScript
+  # string lengths.
+  def stream_offset(text)
+    text.to_s.encode(Encoding::UTF_16LE).bytesize / 2
+  end
+
+  # Re-encoding the whole text for every chunk grows quadratically over a long
+  # answer, so each column's length is carried forward chunk by chunk. It is
+  # recounted when the column no longer holds what was last streamed into it.
+  def streamed_length(attribute)
+    text = self[attribute].to_s
+    tracked = @streamed_lengths&.dig(attribute)
+    return tracked[:length] if tracked && tracked[:bytesize] == text.bytesize
+
+    stream_offset(text)
+  end
+
+  def track_streamed_length(attribute, length)
+    (@streamed_lengths ||= {})[attribute] = { bytesize: self[attribute].to_s.bytesize, length: length }
+  end
+
   def format_tool_status(tool_name, tool_args)
     case tool_name
     when "WebFetchTool", "web_fetch"
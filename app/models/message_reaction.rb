@@ -0,0 +1,32 @@
+class MessageReaction < ApplicationRecord
+
+  MAX_EMOJI_LENGTH = 16
+
+  belongs_to :message
+  belongs_to :user, optional: true
+  belongs_to :agent, optional: true
+
+  validates :emoji, presence: true, length: { maximum: MAX_EMOJI_LENGTH }
+  validates :emoji, format: { with: /\A\p{Extended_Pictographic}/, message: "must be an emoji" }, allow_blank: true
+  validates :emoji, uniqueness: { scope: [ :message_id, :user_id ] }, if: :user_id?
+  validates :emoji, uniqueness: { scope: [ :message_id, :agent_id ] }, if: :agent_id?
+  validate :one_reactor
+
+  # Reactions travel inside the message's sync patch rather than as their own prop
+  after_commit :rebroadcast_message, on: [ :create, :destroy ]
+
+  def reactor_name
+    agent&.name || user&.full_name.presence || user&.email_address&.split("@")&.first
+  end
+
+  private
+
+  def one_reactor
+    errors.add(:base, "A reaction needs exactly one of a user or an agent") unless user_id.present? ^ agent_id.present?
+  end
+
+  def rebroadcast_message
+    message.reactions_changed!
+  end
+
+end
@@ -0,0 +1,16 @@
+# The content a message had before an edit replaced it
+class MessageRevision < ApplicationRecord
+
+  belongs_to :message
+  belongs_to :user, optional: true
+
+  def as_json(*)
+    {
+      "id" => to_param,
+      "content" => content,
+      "editor_name" => user&.full_name.presence || user&.email_address&.split("@")&.first,
+      "replaced_at" => created_at.iso8601
+    }
+  end
+
+end
@@ -3,11 +3,15 @@ class Whiteboard < ApplicationRecord
   include Broadcastable
   include ObfuscatesId
   include SyncAuthorizable
+  include Whiteboard::Collaborative
+  include Whiteboard::Revisable
 
   MAX_RECOMMENDED_LENGTH = 10_000
 
   belongs_to :account
   belongs_to :last_edited_by, polymorphic: true, optional: true
+  has_many :chat_whiteboards, dependent: :delete_all
+  has_many :chats, through: :chat_whiteboards
 
   validates :name, presence: true,
                    length: { maximum: 100 },
@@ -40,13 +44,17 @@ class Whiteboard < ApplicationRecord
     content.to_s.length > MAX_RECOMMENDED_LENGTH
   end
 
-  def editor_name
-    case last_edited_by
-    when User then last_edited_by.full_name.presence || last_edited_by.email_address.split("@").first
-    when Agent then last_edited_by.name
+  def self.name_for(editor)
+    case editor
+    when User then editor.full_name.presence || editor.email_address.split("@").first
+    when Agent then editor.name
     end
   end
 
+  def editor_name
+    self.class.name_for(last_edited_by)
+  end
+
   private
 
   def increment_revision
@@ -0,0 +1,145 @@
+# The interactive blocks in whiteboard Markdown: task items and GFM tables,
+# in document order. Changes rewrite only the lines they touch, so a ticked
+# box or a changed cell reaches live editors as a small operation rather
+# than a rewrite. Mirrors app/frontend/lib/whiteboard-blocks.js.
+class Whiteboard::Blocks
+
+  class Missing < StandardError; end
+
+  Task = Data.define(:line, :column, :checked, :text)
+  Table = Data.define(:start, :finish, :header, :align, :rows)
+
+  FENCE = /\A {0,3}(`{3,}|~{3,})/
+  TASK = /\A((?: {0,3}>[ \t]?)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])\] /
+  DELIMITER_CELL = /\A:?-+:?\z/
+
+  attr_reader :content
+
+  def initialize(content)
+    @content = content.to_s
+    @lines = @content.split("\n", -1)
+  end
+
+  def tasks
+    @tasks ||= prose.filter_map do |index, line|
+      next unless (match = TASK.match(line))
+
+      Task.new(line: index, column: match[1].length, checked: match[2] != " ",
+               text: line[match[0].length..].strip)
+    end
+  end
+
+  def tables
+    @tables ||= find_tables
+  end
+
+  # The content with the task ticked or cleared
+  def set_task(index, checked)
+    task = tasks[index] if index.between?(0, tasks.size - 1)
+    raise Missing, "No task #{index + 1}" unless task
+    return content if task.checked == checked
+
+    lines = @lines.dup
+    lines[task.line] = lines[task.line].dup.tap { |line| line[task.column] = checked ? "x" : " " }
+    lines.join("\n")
+  end
+
+  # The content with one cell of a table changed. Row 0 is the header.
+  def set_table_cell(table_index, row, column, value)
+    table = tables[table_index] if table_index.between?(0, tables.size - 1)
+    raise Missing, "No table #{table_index + 1}" unless table
+    raise Missing, "No row #{row} in table #{table_index + 1}" unless row.between?(0, table.rows.size)
+    raise Missing, "No column #{column + 1} in table #{table_index + 1}" unless column.between?(0, table.header.size - 1)
+
+    cells = (row.zero? ? table.header : table.rows[row - 1]).dup
+    return content if cells[column] == self.class.format_cell(value).gsub("\\|", "|")
+
+    cells[column] = value
+    lines = @lines.dup
+    lines[table.start + (row.zero? ? 0 : row + 1)] = self.class.format_row(cells)
+    lines.join("\n")
+  end
+
+  class << self
+
+    def split_row(line)
+      row = line.strip
+      row = row[1..] if row.start_with?("|")
+      row = row[0...-1] if row.end_with?("|") && !row.end_with?("\\|")
+
+      row.split(/(?<!\\)\|/, -1).map { |cell| cell.strip.gsub("\\|", "|") }
+    end
+
+    def format_cell(text)
+      text.to_s.gsub(/\s*\n\s*/, " ").gsub("|", "\\|").strip
+    end
+
+    def format_row(cells)
+      "| #{cells.map { |cell| format_cell(cell) }.join(' | ')} |"
+    end
+
+  end
+
+  private
+
+  # Lines outside fenced code, as [index, line] pairs
+  def prose
+    @prose ||= begin
+      fence = nil
+      @lines.each_with_index.filter_map do |line, index|
+        match = FENCE.match(line)
+        if fence
+          fence = nil if match && match[1][0] == fence[0] && match[1].length >= fence.length && line[match[0].length..].strip.empty?
+          nil
+        elsif match
+          fence = match[1]
+          nil
+        else
+          [ index, line ]
+        end
+      end
+    end
+  end
+
+  def find_tables
+    found = []
+    skip_until = -1
+
+    prose.each_cons(2) do |(start, header_line), (delimiter_index, delimiter_line)|
+      next if start < skip_until
+      next unless delimiter_index == start + 1 && header_line.include?("|") && delimiter_row?(delimiter_line)
+
+      header = self.class.split_row(header_line)
+      delimiter = self.class.split_row(delimiter_line)
+      next unless header.size == delimiter.size
+
+      finish = delimiter_index + 1
+      rows = []
+      while finish < @lines.size && !@lines[finish].strip.empty? && @lines[finish].include?("|")
+        cells = self.class.split_row(@lines[finish])
+        rows << header.each_index.map { |column| cells[column] || "" }
+        finish += 1
+      end
+
+      found << Table.new(start:, finish:, header:, align: delimiter.map { |cell| alignment_of(cell) }, rows:)
+      skip_until = finish
+    end
+
+    found
+  end
+
+  def delimiter_row?(line)
+    return false unless line.include?("|") || line.include?("-")
+
+    cells = self.class.split_row(line)
+    cells.any? && cells.all? { |cell| DELIMITER_CELL.match?(cell) }
+  end
+
+  def alignment_of(cell)
+    if cell.start_with?(":") && cell.end_with?(":") then "center"
+    elsif cell.end_with?(":") then "right"
+    elsif cell.start_with?(":") then "left"
+    end
+  end
+
+end
@@ -0,0 +1,76 @@
+module Whiteboard::Collaborative
+
+  extend ActiveSupport::Concern
+
+  class StaleRevision < StandardError; end
+
+  # Edits made against an older revision than this are resynced rather than transformed
+  KEPT_OPERATIONS = 500
+
+  included do
+    has_many :operations, class_name: "WhiteboardOperation", dependent: :delete_all
+
+    after_update :record_operation, if: :saved_change_to_revision?
+    after_update_commit :broadcast_operation
+  end
+
+  # Applies an editor's change made against `base_revision`, after moving it
+  # past every change saved since. Each call makes exactly one new revision,
+  # even when the change turned out to be empty, so the sender is always
+  # acknowledged in order. Raises StaleRevision when the log no longer reaches
+  # back that far.
+  def apply_operation!(components, base_revision:, author:, client_id: nil)
+    operation = Whiteboard::TextOperation.from_a(components)
+
+    with_lock do
+      concurrent = operations.after_revision(base_revision).to_a
+      raise StaleRevision, "Revision #{base_revision} is no longer available" unless
+        base_revision <= revision && concurrent.size == revision - base_revision
+
+      concurrent.each do |applied|
+        operation = Whiteboard::TextOperation.transform(operation, applied.text_operation).first
+      end
+
+      @pending_operation = { operation: operation, client_id: client_id }
+      self.skip_broadcast = true
+      self.content = operation.apply(content.to_s)
+      self.revision += 1 unless content_changed?
+      update!(last_edited_by: author)
+    end
+
+    operation
+  ensure
+    @pending_operation = nil
+    self.skip_broadcast = false
+  end
+
+  private
+
+  def applying_operation?
+    @pending_operation.present?
+  end
+
+  # Saves that replace the whole text, like a resident's whiteboard tool
+  # call, are logged as the smallest edit between the two versions so live
+  # editors receive them as ordinary remote changes.
+  def record_operation
+    operation = @pending_operation&.fetch(:operation) ||
+                Whiteboard::TextOperation.diff(content_before_last_save.to_s, content.to_s)
+
+    @recorded_operation = operations.create!(
+      revision: revision,
+      operation: operation.to_a,
+      client_id: @pending_operation&.fetch(:client_id),
+      author: last_edited_by
+    )
+    operations.where(revision: ..(revision - KEPT_OPERATIONS)).delete_all
+  end
+
+  def broadcast_operation
+    return unless (operation = @recorded_operation)
+
+    @recorded_operation = nil
+    broadcast_marker("#{self.class.name}:#{obfuscated_id}", operation.as_json)
+  end
+
+end
@@ -0,0 +1,69 @@
+module Whiteboard::Revisable
+
+  extend ActiveSupport::Concern
+
+  # One person's live edits this close together share a timeline entry
+  LIVE_EDIT_WINDOW = 5.minutes
+  HISTORY_LIMIT = 100
+
+  included do
+    has_many :revisions, -> { order(:revision, :id) }, class_name: "WhiteboardRevision", dependent: :delete_all
+
+    after_create :record_revision
+    after_update :record_revision, if: :saved_change_to_content?
+  end
+
+  # Puts an earlier version's text back as a new revision, which live
+  # editors receive like any other change.
+  def restore_revision!(entry, editor:)
+    raise ArgumentError, "That revision belongs to another whiteboard" unless entry.whiteboard_id == id
+
+    @restoring_revision = entry.revision
+    update!(content: entry.content, last_edited_by: editor)
+  ensure
+    @restoring_revision = nil
+  end
+
+  # Newest first
+  def history_json
+    revisions.reorder(revision: :desc, id: :desc).limit(HISTORY_LIMIT).includes(:author).map(&:as_json)
+  end
+
+  private
+
+  def record_revision
+    record_earlier_revision if revisions.none?
+
+    latest = revisions.last
+    if applying_operation? && continues_live_edit?(latest)
+      latest.update!(revision: revision, content: content.to_s)
+    else
+      revisions.create!(
+        revision: revision,
+        content: content.to_s,
+        author: last_edited_by,
+        live: applying_operation?,
+        restored_from_revision: @restoring_revision
+      )
+    end
+  end
+
+  def continues_live_edit?(latest)
+    latest&.live? && latest.author == last_edited_by && latest.updated_at > LIVE_EDIT_WINDOW.ago
+  end
+
+  # Boards from before history was kept start it with the text they had
+  def record_earlier_revision
+    return if previously_new_record?
+
+    revisions.create!(
+      revision: revision_before_last_save,
+      content: content_before_last_save.to_s,
+      author_type: last_edited_by_type_before_last_save,
+      author_id: last_edited_by_id_before_last_save,
+      created_at: last_edited_at_before_last_save || created_at,
+      updated_at: last_edited_at_before_last_save || created_at
+    )
+  end
+
+end
@@ -0,0 +1,213 @@
+# A change to whiteboard text in the same shape the editor sends it: an
+# array of retains (positive integers), deletes (negative integers) and
+# inserts (strings) that together walk the whole document. Lengths count
+# UTF-16 code units, as JavaScript strings do, so offsets agree with the
+# browser's even around emoji. Mirrors app/frontend/lib/whiteboard-ot.js.
+class Whiteboard::TextOperation
+
+  class Invalid < StandardError; end
+
+  attr_reader :components, :base_length, :target_length
+
+  def self.from_a(components)
+    raise Invalid, "Operation must be a list" unless components.is_a?(Array)
+
+    components.each_with_object(new) do |component, operation|
+      case component
+      when String then operation.insert(component)
+      when Integer
+        raise Invalid, "Operation contains an empty step" if component.zero?
+
+        component.positive? ? operation.retain(component) : operation.delete(-component)
+      else
+        raise Invalid, "Operation steps must be numbers or text"
+      end
+    end
+  end
+
+  # The smallest single edit turning old_text into new_text
+  def self.diff(old_text, new_text)
+    old_units = utf16(old_text)
+    new_units = utf16(new_text)
+
+    prefix = 0
+    prefix += 1 while prefix < old_units.size && prefix < new_units.size && old_units[prefix] == new_units[prefix]
+    prefix -= 1 if prefix.positive? && high_surrogate?(old_units[prefix - 1])
+
+    suffix = 0
+    suffix += 1 while suffix < old_units.size - prefix && suffix < new_units.size - prefix &&
+                      old_units[-1 - suffix] == new_units[-1 - suffix]
+    suffix -= 1 if suffix.positive? && low_surrogate?(old_units[-suffix])
+
+    new.tap do |operation|
+      operation.retain(prefix)
+      operation.delete(old_units.size - prefix - suffix)
+      operation.insert(from_utf16(new_units[prefix...(new_units.size - suffix)]))
+      operation.retain(suffix)
+    end
+  end
+
+  # Rewrites two operations made against the same text so each applies after
+  # the other: returns [a', b'] with apply(apply(s, a), b') == apply(apply(s, b), a').
+  # Where both insert at the same place, a's text comes first.
+  def self.transform(a, b)
+    raise Invalid, "Operations start from different text" unless a.base_length == b.base_length
+
+    a_prime = new
+    b_prime = new
+    left = a.components.dup
+    right = b.components.dup
+    step_a = left.shift
+    step_b = right.shift
+
+    loop do
+      break if step_a.nil? && step_b.nil?
+
+      if step_a.is_a?(String)
+        a_prime.insert(step_a)
+        b_prime.retain(length_of(step_a))
+        step_a = left.shift
+        next
+      end
+
+      if step_b.is_a?(String)
+        a_prime.retain(length_of(step_b))
+        b_prime.insert(step_b)
+        step_b = right.shift
+        next
+      end
+
+      raise Invalid, "Operations walk different lengths of text" if step_a.nil? || step_b.nil?
+
+      span = [ step_a.abs, step_b.abs ].min
+      if step_a.positive? && step_b.positive?
+        a_prime.retain(span)
+        b_prime.retain(span)
+      elsif step_a.negative? && step_b.positive?
+        a_prime.delete(span)
+      elsif step_a.positive? && step_b.negative?
+        b_prime.delete(span)
+      end
+
+      step_a = shorten(step_a, span) || left.shift
+      step_b = shorten(step_b, span) || right.shift
+    end
+
+    [ a_prime, b_prime ]
+  end
+
+  def initialize
+    @components = []
+    @base_length = 0
+    @target_length = 0
+  end
+
+  def retain(count)
+    return self unless count.positive?
+
+    @base_length += count
+    @target_length += count
+    if @components.last.is_a?(Integer) && @components.last.positive?
+      @components[-1] += count
+    else
+      @components << count
+    end
+    self
+  end
+
+  def insert(text)
+    return self if text.empty?
+
+    @target_length += self.class.length_of(text)
+    # Inserts go before an adjacent delete so equal edits have one shape
+    if @components.last.is_a?(String)
+      @components[-1] += text
+    elsif @components.last.is_a?(Integer) && @components.last.negative?
+      if @components[-2].is_a?(String)
+        @components[-2] += text
+      else
+        @components.insert(-2, text)
+      end
+    else
+      @components << text
+    end
+    self
+  end
+
+  def delete(count)
+    return self unless count.positive?
+
+    @base_length += count
+    if @components.last.is_a?(Integer) && @components.last.negative?
+      @components[-1] -= count
+    else
+      @components << -count
+    end
+    self
+  end
+
+  def noop?
+    @components.empty? || (@components.size == 1 && @components.first.is_a?(Integer) && @components.first.positive?)
+  end
+
+  def apply(text)
+    units = self.class.utf16(text)
+    raise Invalid, "Operation doesn't fit the current text" unless units.size == base_length
+
+    index = 0
+    result = @components.each_with_object([]) do |component, parts|
+      case component
+      when String then parts.concat(self.class.utf16(component))
+      when Integer
+        if component.positive?
+          parts.concat(units[index, component])
+          index += component
+        else
+          index -= component
+        end
+      end
+    end
+
+    self.class.from_utf16(result)
+  end
+
+  def to_a
+    @components.dup
+  end
+
+  class << self
+
+    def length_of(text)
+      utf16(text).size
+    end
+
+    def utf16(text)
+      text.to_s.encode("UTF-16LE").unpack("v*")
+    end
+
+    def from_utf16(units)
+      units.pack("v*").force_encoding("UTF-16LE").encode("UTF-8")
+    rescue EncodingError
+      raise Invalid, "Operation splits a character"
+    end
+
+    private
+
+    def shorten(step, span)
+      remaining = step.abs - span
+      return if remaining.zero?
+
+      step.positive? ? remaining : -remaining
+    end
+
+    def high_surrogate?(unit)
+      unit.between?(0xD800, 0xDBFF)
+    end
+
+    def low_surrogate?(unit)
+      unit.between?(0xDC00, 0xDFFF)
+    end
+
+  end
+
+end
@@ -0,0 +1,26 @@
+# One step of a whiteboard's edit log: the change that produced `revision`.
+# Kept so an edit made against an older revision can be moved past the
+# ones saved since, instead of overwriting them.
+class WhiteboardOperation < ApplicationRecord
+
+  belongs_to :whiteboard
+  belongs_to :author, polymorphic: true, optional: true
+
+  scope :after_revision, ->(revision) { where("revision > ?", revision).order(:revision) }
+
+  def text_operation
+    Whiteboard::TextOperation.from_a(operation)
+  end
+
+  def as_json(*)
+    {
+      "action" => "whiteboard_op",
+      "revision" => revision,
+      "operation" => operation,
+      "client_id" => client_id,
+      "author_name" => Whiteboard.name_for(author),
+      "author_type" => author_type&.underscore
+    }
+  end
+
+end
@@ -0,0 +1,21 @@
+# The text a whiteboard had as of `revision`, for its history timeline.
+# Live typing by one person is folded into a single entry per burst, so the
+# timeline reads as who changed what rather than one entry per keystroke.
+class WhiteboardRevision < ApplicationRecord
+
+  belongs_to :whiteboard
+  belongs_to :author, polymorphic: true, optional: true
+
+  def as_json(*)
+    {
+      "id" => to_param,
+      "revision" => revision,
+      "content" => content,
+      "author_name" => Whiteboard.name_for(author),
+      "author_type" => author_type&.underscore,
+      "restored_from_revision" => restored_from_revision,
+      "saved_at" => updated_at.iso8601
+    }
+  end
+
+end
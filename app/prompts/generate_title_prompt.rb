@@ -26,7 +26,7 @@ class GenerateTitlePrompt < Prompt
   end
 
   def build_conversation_lines
-    chat.messages
+    chat.messages.displayed
         .order(:created_at)
         .limit(MAX_MESSAGES)
         .map { |message| format_message_line(message) }
@@ -21,7 +21,7 @@ class BorrowContextTool < RubyLLM::Tool
     return error("Conversation not found or you are not a participant") unless source_chat
     return error("Cannot borrow from the current conversation") if source_chat.id == @chat.id
 
-    recent_messages = source_chat.messages
+    recent_messages = source_chat.messages.displayed
       .where(role: %w[user assistant])
       .order(created_at: :desc)
       .limit(10)
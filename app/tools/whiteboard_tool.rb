@@ -1,15 +1,17 @@
 class WhiteboardTool < RubyLLM::Tool
 
-  ACTIONS = %w[create update get list delete restore list_deleted set_active].freeze
+  ACTIONS = %w[create update get list delete restore list_deleted set_active attach detach set_task set_cell].freeze
 
-  description "Manage shared whiteboards. Actions: #{ACTIONS.join(', ')}."
+  description "Manage shared whiteboards. Actions: #{ACTIONS.join(', ')}. " \
+              "Boards are Markdown; task lists (- [ ] item), tables and ```mermaid diagrams render interactively. " \
+              "Use set_task and set_cell to tick a task or change one table cell without rewriting the board."
 
   param :action, type: :string,
         desc: "Action: #{ACTIONS.join(', ')}",
         required: true
 
   param :board_id, type: :string,
-        desc: "Board ID (for: update, get, delete, restore, set_active)",
+        desc: "Board ID (for: update, get, delete, restore, set_active, attach, detach, set_task, set_cell)",
         required: false
 
   param :name, type: :string,
@@ -24,6 +26,30 @@ class WhiteboardTool < RubyLLM::Tool
         desc: "Markdown content. Update: omit to keep, empty string to clear.",
         required: false
 
+  param :item, type: :string,
+        desc: "set_task: task number (1 = first, as numbered by get) or the start of its text",
+        required: false
+
+  param :checked, type: :boolean,
+        desc: "set_task: true to tick, false to clear (default true)",
+        required: false
+
+  param :table, type: :integer,
+        desc: "set_cell: table number (default 1)",
+        required: false
+
+  param :row, type: :integer,
+        desc: "set_cell: row number, 1 = first row under the header, 0 = header",
+        required: false
+
+  param :column, type: :string,
+        desc: "set_cell: column number (1 = first) or its heading",
+        required: false
+
+  param :value, type: :string,
+        desc: "set_cell: new cell text",
+        required: false
+
   def initialize(chat: nil, current_agent: nil)
     super()
     @chat = chat
@@ -111,9 +137,10 @@ class WhiteboardTool < RubyLLM::Tool
   def get_action(board_id: nil, **)
     board = find_board(board_id) or return validation_error("Board not found")
     auto_link_to_chat(board)
-    { type: "board", board_id: board.obfuscated_id, name: board.name, summary: board.summary,
-      content: board.content, revision: board.revision, content_length: board.content.to_s.length,
-      last_edited_at: board.last_edited_at&.iso8601, last_edited_by: board.editor_name, deleted: board.deleted? }
+    result = { type: "board", board_id: board.obfuscated_id, name: board.name, summary: board.summary,
+               content: board.content, revision: board.revision, content_length: board.content.to_s.length,
+               last_edited_at: board.last_edited_at&.iso8601, last_edited_by: board.editor_name, deleted: board.deleted? }
+    result.merge(blocks_summary(Whiteboard::Blocks.new(board.content)))
   end
 
   def list_action(**)
@@ -121,7 +148,8 @@ class WhiteboardTool < RubyLLM::Tool
       { id: b.obfuscated_id, name: b.name, summary: b.summary, length: b.content.to_s.length,
         revision: b.revision, over_limit: b.over_recommended_length? }
     end
-    { type: "board_list", count: boards.size, boards: boards, active_board_id: @chat.active_whiteboard&.obfuscated_id }
+    { type: "board_list", count: boards.size, boards: boards, active_board_id: @chat.active_whiteboard&.obfuscated_id,
+      attached_board_ids: @chat.attached_whiteboards.map(&:obfuscated_id) }
   end
 
   def delete_action(board_id: nil, **)
@@ -161,11 +189,105 @@ class WhiteboardTool < RubyLLM::Tool
     { type: "active_board_set", board_id: board.obfuscated_id, name: board.name }
   end
 
+  def attach_action(board_id: nil, **)
+    board = find_board(board_id) or return validation_error("Board not found")
+    return validation_error("Cannot attach deleted board - restore first") if board.deleted?
+
+    @chat.attach_whiteboard!(board)
+    { type: "board_attached", board_id: board.obfuscated_id, name: board.name,
+      attached_board_ids: @chat.attached_whiteboards.map(&:obfuscated_id) }
+  end
+
+  def detach_action(board_id: nil, **)
+    board = find_board(board_id) or return validation_error("Board not found")
+    return validation_error("Board is not attached to this conversation") unless @chat.whiteboard_attached?(board)
+
+    @chat.detach_whiteboard!(board)
+    { type: "board_detached", board_id: board.obfuscated_id, name: board.name,
+      active_board_id: @chat.active_whiteboard&.obfuscated_id }
+  end
+
+  def set_task_action(board_id: nil, item: nil, checked: true, **)
+    board = find_board(board_id) or return validation_error("Board not found")
+    return validation_error("Cannot update deleted board - restore first") if board.deleted?
+    return param_error("set_task", "item") if item.blank?
+
+    blocks = Whiteboard::Blocks.new(board.content)
+    index = task_index(blocks, item) or return validation_error("No task matching '#{item}'")
+    apply_block_change(board, blocks.set_task(index, checked.nil? || ActiveModel::Type::Boolean.new.cast(checked)))
+
+    task = Whiteboard::Blocks.new(board.content).tasks[index]
+    { type: "task_updated", board_id: board.obfuscated_id, task: index + 1, text: task.text,
+      checked: task.checked, revision: board.revision }
+  rescue Whiteboard::Blocks::Missing => e
+    validation_error(e.message)
+  rescue ActiveRecord::RecordInvalid => e
+    validation_error(e.record.errors.full_messages.join(", "))
+  end
+
+  def set_cell_action(board_id: nil, table: nil, row: nil, column: nil, value: nil, **)
+    board = find_board(board_id) or return validation_error("Board not found")
+    return validation_error("Cannot update deleted board - restore first") if board.deleted?
+    return param_error("set_cell", "row") if row.nil?
+    return param_error("set_cell", "column") if column.blank?
+    return param_error("set_cell", "value") if value.nil?
+
+    blocks = Whiteboard::Blocks.new(board.content)
+    table_index = (table || 1).to_i - 1
+    column_index = column_index(blocks.tables[table_index], column) or return validation_error("No column '#{column}'")
+    apply_block_change(board, blocks.set_table_cell(table_index, row.to_i, column_index, value))
+
+    { type: "cell_updated", board_id: board.obfuscated_id, table: table_index + 1, row: row.to_i,
+      column: column_index + 1, value: value, revision: board.revision }
+  rescue Whiteboard::Blocks::Missing => e
+    validation_error(e.message)
+  rescue ActiveRecord::RecordInvalid => e
+    validation_error(e.record.errors.full_messages.join(", "))
+  end
+
+  # Only the changed line differs, so live editors receive a small operation
+  def apply_block_change(board, content)
+    return if content == board.content
+
+    board.update!(content: content, last_edited_by: @agent, last_edited_at: Time.current)
+    auto_link_to_chat(board)
+  end
+
+  def task_index(blocks, item)
+    return item.to_i - 1 if item.to_s.match?(/\A\d+\z/)
+
+    needle = item.to_s.strip.downcase
+    blocks.tasks.index { |task| task.text.downcase == needle } ||
+      blocks.tasks.index { |task| task.text.downcase.start_with?(needle) }
+  end
+
+  def column_index(table, column)
+    return if table.nil?
+    return column.to_i - 1 if column.to_s.match?(/\A\d+\z/)
+
+    table.header.index { |heading| heading.casecmp?(column.to_s.strip) }
+  end
+
+  def blocks_summary(blocks)
+    summary = {}
+    if blocks.tasks.any?
+      summary[:tasks] = blocks.tasks.each_with_index.map do |task, index|
+        { number: index + 1, text: task.text, checked: task.checked }
+      end
+    end
+    if blocks.tables.any?
+      summary[:tables] = blocks.tables.each_with_index.map do |table, index|
+        { number: index + 1, header: table.header, rows: table.rows.size }
+      end
+    end
+    summary
+  end
+
   def auto_link_to_chat(board)
     return if @chat.active_whiteboard_id.present?
     return if board.deleted?
 
-    @chat.update!(active_whiteboard_id: board.id)
+    @chat.attach_whiteboard!(board)
   end
 
   def whiteboards = @chat.account.whiteboards
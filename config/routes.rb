@@ -6,6 +6,7 @@ Rails.application.routes.draw do
         post :conversation_fixture, to: "/test_support/e2e#conversation_fixture"
         post :append_messages, to: "/test_support/e2e#append_messages"
         post :assistant_message, to: "/test_support/e2e#assistant_message"
+        post :stream_message, to: "/test_support/e2e#stream_message"
         post :invitation_url, to: "/test_support/e2e#invitation_url"
         post :perform_promote, to: "/test_support/e2e#perform_promote"
         post :state, to: "/test_support/e2e#state"
@@ -75,16 +76,20 @@ Rails.application.routes.draw do
     resources :chats do
       collection do
         get :search
+        get :import, to: "chats/imports#new"
+        post :import, to: "chats/imports#create"
       end
       scope module: :chats do
         resource :archive, only: [ :create, :destroy ]
         resource :discard, only: [ :create, :destroy ]
+        resource :export, only: :show
         resource :fork, only: :create
         resource :moderation, only: :create
         resource :agent_assignment, only: :create
         resource :participant, only: :create
         resource :agent_trigger, only: :create
         resource :transcription, only: :create
+        resources :whiteboards, only: [ :create, :destroy ]
       end
       resources :messages, only: [ :index, :create ]
     end
@@ -127,14 +132,24 @@ Rails.application.routes.draw do
     end
 
       resources :agents, only: [ :index, :show ]
-    resources :whiteboards, only: [ :index, :update ]
+    resources :whiteboards, only: [ :index, :update ] do
+      scope module: :whiteboards do
+        resources :revisions, only: :index do
+          resource :restoration, only: :create
+        end
+      end
+    end
   end
 
-  resources :messages, only: [ :update, :destroy ] do
+  resources :messages, only: [ :show, :update, :destroy ] do
     scope module: :messages do
       resource :retry, only: :create
       resource :hallucination_fix, only: :create
       resource :voice, only: :create
+      resource :reaction, only: :create
+      resources :revisions, only: :index
+      resource :regeneration, only: :create
+      resource :selection, only: :create
     end
   end
 
@@ -166,6 +181,7 @@ Rails.application.routes.draw do
       resources :conversations, only: [ :index, :show, :create ] do
         resources :messages, only: :create do
           resources :attachments, only: :show
+          resource :reaction, only: :create
         end
         resource :agent_trigger, only: :create
         resources :participants, only: :create
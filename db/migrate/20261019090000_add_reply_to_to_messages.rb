@@ -0,0 +1,7 @@
+class AddReplyToToMessages < ActiveRecord::Migration[8.1]
+
+  def change
+    add_reference :messages, :reply_to, foreign_key: { to_table: :messages, on_delete: :nullify }
+  end
+
+end
@@ -0,0 +1,18 @@
+class CreateMessageReactions < ActiveRecord::Migration[8.1]
+
+  def change
+    create_table :message_reactions do |t|
+      t.references :message, null: false, foreign_key: { on_delete: :cascade }
+      t.references :user, foreign_key: true
+      t.references :agent, foreign_key: true
+      t.string :emoji, null: false
+      t.timestamps
+    end
+
+    add_index :message_reactions, [ :message_id, :user_id, :emoji ], unique: true, where: "user_id IS NOT NULL",
+      name: "index_message_reactions_on_message_user_emoji"
+    add_index :message_reactions, [ :message_id, :agent_id, :emoji ], unique: true, where: "agent_id IS NOT NULL",
+      name: "index_message_reactions_on_message_agent_emoji"
+  end
+
+end
@@ -0,0 +1,14 @@
+class CreateMessageRevisions < ActiveRecord::Migration[8.1]
+
+  def change
+    create_table :message_revisions do |t|
+      t.references :message, null: false, foreign_key: { on_delete: :cascade }
+      t.references :user, foreign_key: { on_delete: :nullify }
+      t.text :content, null: false
+      t.timestamps
+    end
+
+    add_column :messages, :edited_at, :datetime
+  end
+
+end
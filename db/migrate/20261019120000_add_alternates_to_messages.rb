@@ -0,0 +1,8 @@
+class AddAlternatesToMessages < ActiveRecord::Migration[8.1]
+
+  def change
+    add_reference :messages, :alternate_of, foreign_key: { to_table: :messages, on_delete: :nullify }
+    add_column :messages, :alternate_hidden, :boolean, default: false, null: false
+  end
+
+end
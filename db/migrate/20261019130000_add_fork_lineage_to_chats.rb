@@ -0,0 +1,8 @@
+class AddForkLineageToChats < ActiveRecord::Migration[8.1]
+
+  def change
+    add_reference :chats, :forked_from, foreign_key: { to_table: :chats, on_delete: :nullify }
+    add_reference :chats, :forked_from_message, foreign_key: { to_table: :messages, on_delete: :nullify }
+  end
+
+end
@@ -0,0 +1,16 @@
+class CreateWhiteboardOperations < ActiveRecord::Migration[8.1]
+
+  def change
+    create_table :whiteboard_operations do |t|
+      t.references :whiteboard, null: false, foreign_key: { on_delete: :cascade }
+      t.references :author, polymorphic: true
+      t.integer :revision, null: false
+      t.jsonb :operation, null: false, default: []
+      t.string :client_id
+      t.timestamps
+    end
+
+    add_index :whiteboard_operations, [ :whiteboard_id, :revision ], unique: true
+  end
+
+end
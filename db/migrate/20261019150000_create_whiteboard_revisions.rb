@@ -0,0 +1,17 @@
+class CreateWhiteboardRevisions < ActiveRecord::Migration[8.1]
+
+  def change
+    create_table :whiteboard_revisions do |t|
+      t.references :whiteboard, null: false, foreign_key: { on_delete: :cascade }
+      t.references :author, polymorphic: true
+      t.integer :revision, null: false
+      t.text :content, null: false, default: ""
+      t.boolean :live, null: false, default: false
+      t.integer :restored_from_revision
+      t.timestamps
+    end
+
+    add_index :whiteboard_revisions, [ :whiteboard_id, :revision ]
+  end
+
+end
@@ -0,0 +1,22 @@
+class CreateChatWhiteboards < ActiveRecord::Migration[8.1]
+
+  def change
+    create_table :chat_whiteboards do |t|
+      t.references :chat, null: false, foreign_key: { on_delete: :cascade }
+      t.references :whiteboard, null: false, foreign_key: { on_delete: :cascade }
+      t.timestamps
+    end
+
+    add_index :chat_whiteboards, [ :chat_id, :whiteboard_id ], unique: true
+
+    up_only do
+      execute <<~SQL
+        INSERT INTO chat_whiteboards (chat_id, whiteboard_id, created_at, updated_at)
+        SELECT id, active_whiteboard_id, NOW(), NOW()
+        FROM chats
+        WHERE active_whiteboard_id IS NOT NULL
+      SQL
+    end
+  end
+
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
+ActiveRecord::Schema[8.1].define(version: 2026_10_19_160000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -412,6 +412,16 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
     t.index ["chat_id"], name: "index_chat_agents_on_chat_id"
   end
 
+  create_table "chat_whiteboards", force: :cascade do |t|
+    t.bigint "chat_id", null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "whiteboard_id", null: false
+    t.index ["chat_id", "whiteboard_id"], name: "index_chat_whiteboards_on_chat_id_and_whiteboard_id", unique: true
+    t.index ["chat_id"], name: "index_chat_whiteboards_on_chat_id"
+    t.index ["whiteboard_id"], name: "index_chat_whiteboards_on_whiteboard_id"
+  end
+
   create_table "chats", force: :cascade do |t|
     t.bigint "account_id", null: false
     t.bigint "active_whiteboard_id"
@@ -422,6 +432,8 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
     t.datetime "created_at", null: false
     t.text "debug_log"
     t.datetime "discarded_at"
+    t.bigint "forked_from_id"
+    t.bigint "forked_from_message_id"
     t.bigint "initiated_by_agent_id"
     t.text "initiation_reason"
     t.datetime "last_consolidated_at"
@@ -440,6 +452,8 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
     t.index ["ai_model_id"], name: "index_chats_on_ai_model_id"
     t.index ["archived_at"], name: "index_chats_on_archived_at"
     t.index ["discarded_at"], name: "index_chats_on_discarded_at"
+    t.index ["forked_from_id"], name: "index_chats_on_forked_from_id"
+    t.index ["forked_from_message_id"], name: "index_chats_on_forked_from_message_id"
     t.index ["initiated_by_agent_id"], name: "index_chats_on_initiated_by_agent_id"
     t.index ["last_consolidated_at"], name: "index_chats_on_last_consolidated_at"
     t.index ["manual_responses"], name: "index_chats_on_manual_responses"
@@ -499,15 +513,42 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
     t.index ["user_id"], name: "index_memberships_on_user_id"
   end
 
+  create_table "message_reactions", force: :cascade do |t|
+    t.bigint "agent_id"
+    t.datetime "created_at", null: false
+    t.string "emoji", null: false
+    t.bigint "message_id", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "user_id"
+    t.index ["agent_id"], name: "index_message_reactions_on_agent_id"
+    t.index ["message_id", "agent_id", "emoji"], name: "index_message_reactions_on_message_agent_emoji", unique: true, where: "(agent_id IS NOT NULL)"
+    t.index ["message_id", "user_id", "emoji"], name: "index_message_reactions_on_message_user_emoji", unique: true, where: "(user_id IS NOT NULL)"
+    t.index ["message_id"], name: "index_message_reactions_on_message_id"
+    t.index ["user_id"], name: "index_message_reactions_on_user_id"
+  end
+
+  create_table "message_revisions", force: :cascade do |t|
+    t.text "content", null: false
+    t.datetime "created_at", null: false
+    t.bigint "message_id", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "user_id"
+    t.index ["message_id"], name: "index_message_revisions_on_message_id"
+    t.index ["user_id"], name: "index_message_revisions_on_user_id"
+  end
+
   create_table "messages", force: :cascade do |t|
     t.bigint "agent_id"
     t.bigint "ai_model_id"
+    t.boolean "alternate_hidden", default: false, null: false
+    t.bigint "alternate_of_id"
     t.boolean "audio_source", default: false, null: false
     t.integer "cache_creation_tokens"
     t.integer "cached_tokens"
     t.bigint "chat_id", null: false
     t.text "content"
     t.datetime "created_at", null: false
+    t.datetime "edited_at"
     t.integer "envelope_prompt_bytes"
     t.integer "input_tokens"
     t.string "model_id_string"
@@ -517,6 +558,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
     t.integer "prompt_layout_version"
     t.string "reasoning_skip_reason"
     t.jsonb "replay_payload"
+    t.bigint "reply_to_id"
     t.string "role", null: false
     t.integer "stable_prompt_bytes"
     t.string "stable_prompt_sha256"
@@ -531,9 +573,11 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
     t.bigint "user_id"
     t.index ["agent_id"], name: "index_messages_on_agent_id"
     t.index ["ai_model_id"], name: "index_messages_on_ai_model_id"
+    t.index ["alternate_of_id"], name: "index_messages_on_alternate_of_id"
     t.index ["chat_id", "created_at"], name: "index_messages_on_chat_id_and_created_at"
     t.index ["chat_id"], name: "index_messages_on_chat_id"
     t.index ["reasoning_skip_reason"], name: "index_messages_on_reasoning_skip_reason", where: "(reasoning_skip_reason IS NOT NULL)"
+    t.index ["reply_to_id"], name: "index_messages_on_reply_to_id"
     t.index ["streaming"], name: "index_messages_on_streaming"
     t.index ["tool_call_id"], name: "index_messages_on_tool_call_id"
     t.index ["tools_used"], name: "index_messages_on_tools_used", using: :gin
@@ -731,6 +775,35 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
     t.index ["password_reset_token"], name: "index_users_on_password_reset_token", unique: true
   end
 
+  create_table "whiteboard_operations", force: :cascade do |t|
+    t.bigint "author_id"
+    t.string "author_type"
+    t.string "client_id"
+    t.datetime "created_at", null: false
+    t.jsonb "operation", default: [], null: false
+    t.integer "revision", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "whiteboard_id", null: false
+    t.index ["author_type", "author_id"], name: "index_whiteboard_operations_on_author"
+    t.index ["whiteboard_id", "revision"], name: "index_whiteboard_operations_on_whiteboard_id_and_revision", unique: true
+    t.index ["whiteboard_id"], name: "index_whiteboard_operations_on_whiteboard_id"
+  end
+
+  create_table "whiteboard_revisions", force: :cascade do |t|
+    t.bigint "author_id"
+    t.string "author_type"
+    t.text "content", default: "", null: false
+    t.datetime "created_at", null: false
+    t.boolean "live", default: false, null: false
+    t.integer "restored_from_revision"
+    t.integer "revision", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "whiteboard_id", null: false
+    t.index ["author_type", "author_id"], name: "index_whiteboard_revisions_on_author"
+    t.index ["whiteboard_id", "revision"], name: "index_whiteboard_revisions_on_whiteboard_id_and_revision"
+    t.index ["whiteboard_id"], name: "index_whiteboard_revisions_on_whiteboard_id"
+  end
+
   create_table "whiteboards", force: :cascade do |t|
     t.bigint "account_id", null: false
     t.text "content"
@@ -783,18 +856,29 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
   add_foreign_key "audit_logs", "users"
   add_foreign_key "chat_agents", "agents"
   add_foreign_key "chat_agents", "chats"
+  add_foreign_key "chat_whiteboards", "chats", on_delete: :cascade
+  add_foreign_key "chat_whiteboards", "whiteboards", on_delete: :cascade
   add_foreign_key "chats", "accounts"
   add_foreign_key "chats", "agents", column: "initiated_by_agent_id"
   add_foreign_key "chats", "ai_models"
+  add_foreign_key "chats", "chats", column: "forked_from_id", on_delete: :nullify
+  add_foreign_key "chats", "messages", column: "forked_from_message_id", on_delete: :nullify
   add_foreign_key "chats", "whiteboards", column: "active_whiteboard_id"
   add_foreign_key "conversation_compactions", "chats"
   add_foreign_key "github_integrations", "accounts"
   add_foreign_key "memberships", "accounts"
   add_foreign_key "memberships", "users"
   add_foreign_key "memberships", "users", column: "invited_by_id"
+  add_foreign_key "message_reactions", "agents"
+  add_foreign_key "message_reactions", "messages", on_delete: :cascade
+  add_foreign_key "message_reactions", "users"
+  add_foreign_key "message_revisions", "messages", on_delete: :cascade
+  add_foreign_key "message_revisions", "users", on_delete: :nullify
   add_foreign_key "messages", "agents"
   add_foreign_key "messages", "ai_models"
   add_foreign_key "messages", "chats"
+  add_foreign_key "messages", "messages", column: "alternate_of_id", on_delete: :nullify
+  add_foreign_key "messages", "messages", column: "reply_to_id", on_delete: :nullify
   add_foreign_key "messages", "users"
   add_foreign_key "notices", "accounts"
   add_foreign_key "notices", "users", column: "created_by_id"
@@ -813,6 +897,8 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_09_211500) do
   add_foreign_key "tool_calls", "messages"
   add_foreign_key "tweet_logs", "agents"
   add_foreign_key "tweet_logs", "x_integrations"
+  add_foreign_key "whiteboard_operations", "whiteboards", on_delete: :cascade
+  add_foreign_key "whiteboard_revisions", "whiteboards", on_delete: :cascade
   add_foreign_key "whiteboards", "accounts"
   add_foreign_key "x_integrations", "accounts"
 end
@@ -62,4 +62,172 @@ class SyncChannelTest < ActionCable::Channel::TestCase
     assert subscription.rejected?
   end
 
+  test "streams the collection-scoped channel for slash collection keys" do
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: "#{@account.obfuscated_id}/chats"
+
+    assert subscription.confirmed?
+    assert_has_stream "Account:#{@account.obfuscated_id}/chats"
+    assert_no_stream "Account:#{@account.obfuscated_id}"
+  end
+
+  test "collection-scoped streams only relay records the subscriber can access" do
+    own_chat = Chat.create!(account: @account)
+    other_chat = Chat.create!(account: accounts(:existing_user_account))
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: "#{@account.obfuscated_id}/chats"
+
+    subscription.send(:relay_collection_marker, "chats", { "action" => "refresh", "id" => own_chat.to_param })
+    subscription.send(:relay_collection_marker, "chats", { "action" => "refresh", "id" => other_chat.to_param })
+
+    assert_equal [ own_chat.to_param ], transmissions.filter_map { |data| data["id"] }
+  end
+
+  test "rejects unapproved collection-scoped subscriptions" do
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: "#{@account.obfuscated_id}/api_keys"
+
+    assert subscription.rejected?
+  end
+
+  test "catch up on a collection-scoped subscription notices records created while disconnected" do
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: "#{@account.obfuscated_id}/chats"
+    since = transmissions.last["at"]
+
+    travel 1.second do
+      Chat.create!(account: @account)
+      perform :catch_up, since: since
+    end
+
+    assert_equal true, transmissions.last["stale"]
+  end
+
+  test "transmits the server time on subscribe" do
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: @account.obfuscated_id
+
+    assert_equal "sync_state", transmissions.last["action"]
+    assert_kind_of Float, transmissions.last["at"]
+  end
+
+  test "catch up reports nothing stale when records are unchanged" do
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: @account.obfuscated_id
+
+    perform :catch_up, since: 1.minute.from_now.to_f
+
+    assert_equal "catch_up", transmissions.last["action"]
+    assert_equal false, transmissions.last["stale"]
+  end
+
+  test "catch up reports stale when a streamed record changed while disconnected" do
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: @account.obfuscated_id
+    since = transmissions.last["at"]
+
+    travel 1.second do
+      @account.touch
+      perform :catch_up, since: since
+    end
+
+    assert_equal true, transmissions.last["stale"]
+  end
+
+  test "catch up covers every record in a collection subscription" do
+    chat = Chat.create!(account: @account)
+    message = chat.messages.create!(user: @user, role: "assistant", content: "")
+
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Chat", id: "#{chat.obfuscated_id}:messages"
+    since = transmissions.last["at"]
+
+    travel 1.second do
+      message.stream_content("missed chunk")
+      perform :catch_up, since: since
+    end
+
+    assert_equal true, transmissions.last["stale"]
+  end
+
+  test "catch up without a cursor always reports stale" do
+    stub_connection current_user: @admin
+    subscribe channel: "SyncChannel", model: "Account", id: "all"
+
+    perform :catch_up, since: nil
+
+    assert_equal true, transmissions.last["stale"]
+  end
+
+
+  test "joining a whiteboard transmits its text and revision" do
+    board = whiteboards(:project_notes)
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Whiteboard", id: board.obfuscated_id
+
+    perform :join, client_id: "tab-1"
+
+    assert_equal "whiteboard_state", transmissions.last["action"]
+    assert_equal board.content, transmissions.last["content"]
+    assert_equal board.revision, transmissions.last["revision"]
+  end
+
+  test "edits are applied and broadcast to everyone on the whiteboard" do
+    board = whiteboards(:project_notes)
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Whiteboard", id: board.obfuscated_id
+    length = board.content.length
+
+    assert_broadcasts "Whiteboard:#{board.obfuscated_id}", 1 do
+      perform :edit, client_id: "tab-1", revision: board.revision, operation: [ length, "\nMore" ]
+    end
+
+    assert_equal "#{board.content}\nMore", board.reload.content
+  end
+
+  test "edits against a revision the log no longer has ask the editor to resync" do
+    board = whiteboards(:meeting_notes)
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Whiteboard", id: board.obfuscated_id
+
+    perform :edit, client_id: "tab-1", revision: 1, operation: [ board.content.length ]
+
+    assert_equal "whiteboard_resync", transmissions.last["action"]
+    assert_equal board.revision, transmissions.last["revision"]
+  end
+
+  test "edits that don't fit the text are rejected" do
+    board = whiteboards(:project_notes)
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Whiteboard", id: board.obfuscated_id
+
+    perform :edit, client_id: "tab-1", revision: board.revision, operation: [ 1 ]
+
+    assert_equal "whiteboard_rejected", transmissions.last["action"]
+    assert_equal board.content, board.reload.content
+  end
+
+  test "presence is shared on the whiteboard stream" do
+    board = whiteboards(:project_notes)
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Whiteboard", id: board.obfuscated_id
+
+    assert_broadcast_on "Whiteboard:#{board.obfuscated_id}", {
+      action: "whiteboard_presence", transient: true, client_id: "tab-1",
+      user: { id: @user.to_param, name: Whiteboard.name_for(@user), initials: @user.initials, avatar_url: @user.avatar_url },
+      editing: true, cursor: { anchor: 3, head: 5 }, revision: board.revision
+    } do
+      perform :presence, client_id: "tab-1", editing: true, cursor: { anchor: 3, head: 5 }, revision: board.revision
+    end
+  end
+
+  test "whiteboard editing is only available on the whiteboard's own subscription" do
+    stub_connection current_user: @user
+    subscribe channel: "SyncChannel", model: "Account", id: @account.obfuscated_id
+
+    perform :join, client_id: "tab-1"
+
+    assert_equal "sync_state", transmissions.last["action"]
+  end
+
 end
@@ -310,6 +310,20 @@ class Admin::AuditLogsControllerTest < ActionDispatch::IntegrationTest
     end
   end
 
+  test "selected_log links message logs to the message in its chat" do
+    sign_in(@site_admin_user)
+
+    chat = @personal_account.chats.create!(model_id: "openrouter/auto")
+    message = chat.messages.create!(role: "user", user: @user_1, content: "Linked from the audit log")
+    audit_log = AuditLog.create!(user: @user_1, account: @personal_account, action: "update_message", auditable: message)
+
+    get admin_audit_logs_path, params: { log_id: audit_log.to_param }
+    assert_response :success
+
+    assert_equal message.permalink_path, inertia_shared_props["selected_log"]["auditable_path"]
+    assert_includes message.permalink_path, "#message-#{message.to_param}"
+  end
+
   # === Model Method Tests ===
 
   test "should chain scopes correctly" do
@@ -0,0 +1,58 @@
+require "test_helper"
+
+module Api
+  module V1
+    class ReactionsControllerTest < ActionDispatch::IntegrationTest
+
+      setup do
+        @user = users(:confirmed_user)
+        @account = @user.personal_account
+        @agent = agents(:research_assistant)
+        @chat = @account.chats.create!(model_id: "openrouter/auto", title: "Test Chat")
+        @message = @chat.messages.create!(content: "Please review", role: "user", user: @user)
+      end
+
+      test "agent-scoped key reacts as the agent without starting a turn" do
+        agent_key = ApiKey.generate_for(@user, name: "Agent postback", agent: @agent)
+        @chat.agents << @agent
+        @chat.update!(manual_responses: true)
+
+        assert_no_enqueued_jobs do
+          assert_no_difference "Message.count" do
+            post api_v1_conversation_message_reaction_url(@chat, @message),
+              params: { emoji: "👀" },
+              headers: { "Authorization" => "Bearer #{agent_key.raw_token}" }
+          end
+        end
+
+        assert_response :success
+        json = JSON.parse(response.body)
+        assert json["reacted"]
+        assert_equal [ @agent.to_param ], json["reactions"].first["agent_ids"]
+        assert_equal @agent, @message.reactions.sole.agent
+      end
+
+      test "user key reacts as the user" do
+        token = ApiKey.generate_for(@user, name: "Test").raw_token
+
+        post api_v1_conversation_message_reaction_url(@chat, @message),
+          params: { emoji: "👍" },
+          headers: { "Authorization" => "Bearer #{token}" }
+
+        assert_response :success
+        assert_equal @user, @message.reactions.sole.user
+      end
+
+      test "agent cannot react in conversations it is not part of" do
+        agent_key = ApiKey.generate_for(@user, name: "Agent postback", agent: @agent)
+
+        post api_v1_conversation_message_reaction_url(@chat, @message),
+          params: { emoji: "👍" },
+          headers: { "Authorization" => "Bearer #{agent_key.raw_token}" }
+
+        assert_response :not_found
+      end
+
+    end
+  end
+end
@@ -0,0 +1,58 @@
+require "test_helper"
+
+class Chats::ExportsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(
+      model_id: "openrouter/auto",
+      title: "Launch Plans"
+    )
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "show downloads the conversation as a JSON transcript" do
+    @chat.messages.create!(role: "user", user: @user, content: "What should we ship?")
+    @chat.messages.create!(role: "assistant", content: "The beta.", thinking: "Weighing options",
+      tools_used: [ "https://example.com" ], input_tokens: 120, output_tokens: 8)
+
+    get account_chat_export_path(@account, @chat)
+
+    assert_response :success
+    assert_equal "application/json", response.media_type
+    assert_match(/attachment; filename="launch-plans.json"/, response.headers["Content-Disposition"])
+
+    transcript = JSON.parse(response.body)
+    assert_equal "helix_kit.transcript", transcript["format"]
+    assert_equal 1, transcript["version"]
+    assert_equal "Launch Plans", transcript["chat"]["title"]
+
+    question, answer = transcript["messages"]
+    assert_equal [ "user", "What should we ship?" ], question.values_at("role", "content")
+    assert_equal "Weighing options", answer["thinking"]
+    assert_equal [ "https://example.com" ], answer["tools_used"]
+    assert_equal({ "input_tokens" => 120, "output_tokens" => 8 }, answer["telemetry"])
+  end
+
+  test "show records an audit log" do
+    assert_difference "AuditLog.count" do
+      get account_chat_export_path(@account, @chat)
+    end
+
+    assert_equal "export_chat", AuditLog.last.action
+  end
+
+  test "requires authentication" do
+    delete logout_path
+
+    get account_chat_export_path(@account, @chat)
+    assert_response :redirect
+  end
+
+end
@@ -47,6 +47,64 @@ class Chats::ForksControllerTest < ActionDispatch::IntegrationTest
     assert_equal @chat.id, audit.data["source_chat_id"]
   end
 
+  test "create forks history up to the chosen message" do
+    question = @chat.messages.create!(role: "user", user: @user, content: "First question")
+    answer = @chat.messages.create!(role: "assistant", content: "First answer")
+    @chat.messages.create!(role: "user", user: @user, content: "Second question")
+
+    post account_chat_fork_path(@account, @chat), params: { title: "Branch", message_id: answer.to_param }
+
+    forked_chat = Chat.last
+    assert_equal [ question.content, answer.content ], forked_chat.messages.order(:created_at).pluck(:content)
+    assert_equal @chat, forked_chat.forked_from
+    assert_equal answer, forked_chat.forked_from_message
+    assert_equal answer.id, AuditLog.last.data["source_message_id"]
+  end
+
+  test "create leaves out replies stamped in the same instant as the chosen message" do
+    at = 1.minute.ago
+    question = @chat.messages.create!(role: "user", user: @user, content: "Quick question", created_at: at)
+    @chat.messages.create!(role: "assistant", content: "Instant answer", created_at: at)
+
+    post account_chat_fork_path(@account, @chat), params: { title: "Branch", message_id: question.to_param }
+
+    assert_equal [ question.content ], Chat.last.messages.pluck(:content)
+  end
+
+  test "create hands the fork to the chosen resident and model" do
+    agent = agents(:research_assistant)
+    @chat.messages.create!(role: "user", user: @user, content: "Question")
+
+    post account_chat_fork_path(@account, @chat), params: { agent_id: agent.to_param, model_id: "openai/gpt-5.6-sol" }
+
+    forked_chat = Chat.last
+    assert forked_chat.manual_responses?
+    assert_equal [ agent ], forked_chat.agents.to_a
+    assert_equal "openai/gpt-5.6-sol", forked_chat.model_id
+    assert_match(/now being handled by #{agent.name}/, forked_chat.messages.order(:created_at).last.content)
+  end
+
+  test "create rejects unknown models" do
+    assert_no_difference "Chat.count" do
+      post account_chat_fork_path(@account, @chat), params: { model_id: "nobody/nothing" }
+    end
+
+    assert_redirected_to account_chat_path(@account, @chat)
+    assert_equal "Unknown model", flash[:alert]
+  end
+
+  test "forks link back to their parent and the parent lists them" do
+    message = @chat.messages.create!(role: "user", user: @user, content: "Question")
+    forked_chat = @chat.fork_with_title!("Branch", up_to: message)
+
+    assert_equal({ "id" => @chat.to_param, "title" => "Test Conversation", "message_id" => message.to_param },
+      forked_chat.forked_from_json)
+    assert_equal [ forked_chat.to_param ], @chat.forks_json.map { |fork| fork["id"] }
+
+    forked_chat.discard!
+    assert_empty @chat.reload.forks_json
+  end
+
   test "requires authentication" do
     delete logout_path
 
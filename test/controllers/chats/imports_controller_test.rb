@@ -0,0 +1,119 @@
+require "test_helper"
+
+class Chats::ImportsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @agent = agents(:research_assistant)
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "new renders the import page with the account's residents" do
+    get import_account_chats_path(@account)
+
+    assert_response :success
+  end
+
+  test "create imports the transcript with each message attributed" do
+    assert_difference "Chat.count" do
+      post import_account_chats_path(@account), params: {
+        title: "From elsewhere",
+        source: "ChatGPT",
+        messages: [
+          { content: "Where should we go?", created_at: "2026-01-02T10:00:00Z" },
+          { content: "Lisbon.", thinking: "Weather", agent_id: @agent.to_param, created_at: "2026-01-02T10:00:05Z" }
+        ]
+      }, as: :json
+    end
+
+    chat = Chat.last
+    assert_redirected_to account_chat_path(@account, chat)
+    assert_equal "From elsewhere", chat.title
+    assert chat.manual_responses?
+    assert_equal [ @agent ], chat.agents.to_a
+
+    question, answer = chat.messages.order(:created_at).to_a
+    assert_equal [ "user", @user, nil ], [ question.role, question.user, question.agent ]
+    assert_equal [ "assistant", @agent, "Weather" ], [ answer.role, answer.agent, answer.thinking ]
+    assert_equal Time.zone.parse("2026-01-02T10:00:00Z"), question.created_at
+
+    audit = AuditLog.last
+    assert_equal "import_chat", audit.action
+    assert_equal "ChatGPT", audit.data["source"]
+  end
+
+  test "create keeps the imported order when times are missing or out of order" do
+    post import_account_chats_path(@account), params: {
+      messages: [
+        { content: "First", created_at: "2026-01-02T10:00:00Z" },
+        { content: "Second", agent_id: @agent.to_param, created_at: "2025-01-01T00:00:00Z" },
+        { content: "Third" }
+      ]
+    }, as: :json
+
+    assert_equal %w[First Second Third], Chat.last.messages.order(:created_at).pluck(:content)
+    assert_equal "Imported Conversation", Chat.last.title
+  end
+
+  test "create keeps repeated messages from different speakers" do
+    post import_account_chats_path(@account), params: {
+      messages: [
+        { content: "Agreed." },
+        { content: "Agreed.", agent_id: @agent.to_param },
+        { content: "Agreed.", agent_id: @agent.to_param }
+      ]
+    }, as: :json
+
+    chat = Chat.last
+    assert_equal [ [ "user", "Agreed." ], [ "assistant", "Agreed." ] ], chat.messages.order(:created_at).pluck(:role, :content)
+    assert_equal "Conversation imported, skipping 1 repeated message", flash[:notice]
+  end
+
+  test "create writes the history without moderating or summarising each message" do
+    messages = 20.times.map do |index|
+      { content: "Line #{index}", agent_id: index.odd? ? @agent.to_param : nil }
+    end
+
+    assert_enqueued_jobs 1, only: GenerateAgentSummaryJob do
+      assert_no_enqueued_jobs only: ModerateMessageJob do
+        post import_account_chats_path(@account), params: { messages: messages }, as: :json
+      end
+    end
+
+    assert_equal 20, Chat.last.messages.count
+    assert_equal 20, AuditLog.last.data["message_count"]
+  end
+
+  test "create requires a resident" do
+    assert_no_difference "Chat.count" do
+      post import_account_chats_path(@account), params: { messages: [ { content: "Hello" } ] }, as: :json
+    end
+
+    assert_redirected_to import_account_chats_path(@account)
+    assert_equal "Choose a resident for at least one speaker", flash[:alert]
+  end
+
+  test "create rejects residents from other accounts" do
+    assert_no_difference "Chat.count" do
+      post import_account_chats_path(@account), params: {
+        messages: [ { content: "Hello", agent_id: agents(:other_account_agent).to_param } ]
+      }, as: :json
+    end
+
+    assert_equal "Choose residents from this account", flash[:alert]
+  end
+
+  test "requires authentication" do
+    delete logout_path
+
+    get import_account_chats_path(@account)
+    assert_response :redirect
+  end
+
+end
@@ -0,0 +1,67 @@
+require "test_helper"
+
+class Chats::WhiteboardsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(
+      model_id: "openrouter/auto",
+      title: "Test Conversation"
+    )
+    @plan = whiteboards(:project_notes)
+    @log = whiteboards(:meeting_notes)
+
+    Setting.instance.update!(allow_agents: true)
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "create attaches the board and makes the first one active" do
+    post account_chat_whiteboards_path(@account, @chat), params: { whiteboard_id: @plan.to_param }
+    post account_chat_whiteboards_path(@account, @chat), params: { whiteboard_id: @log.to_param }
+
+    assert_redirected_to account_chat_path(@account, @chat)
+    @chat.reload
+    assert_equal [ @plan, @log ], @chat.attached_whiteboards.to_a
+    assert_equal @plan, @chat.active_whiteboard
+  end
+
+  test "create creates audit log" do
+    assert_difference "AuditLog.count" do
+      post account_chat_whiteboards_path(@account, @chat), params: { whiteboard_id: @plan.to_param }
+    end
+
+    assert_equal "attach_whiteboard", AuditLog.last.action
+  end
+
+  test "destroy detaches the board and moves the active one along" do
+    @chat.attach_whiteboard!(@plan)
+    @chat.attach_whiteboard!(@log)
+
+    delete account_chat_whiteboard_path(@account, @chat, @plan)
+
+    assert_redirected_to account_chat_path(@account, @chat)
+    @chat.reload
+    assert_equal [ @log ], @chat.attached_whiteboards.to_a
+    assert_equal @log, @chat.active_whiteboard
+  end
+
+  test "cannot attach another account's board" do
+    post account_chat_whiteboards_path(@account, @chat), params: { whiteboard_id: whiteboards(:other_account_whiteboard).to_param }
+
+    assert_response :not_found
+    assert_empty @chat.reload.chat_whiteboards
+  end
+
+  test "cannot attach a deleted board" do
+    post account_chat_whiteboards_path(@account, @chat), params: { whiteboard_id: whiteboards(:deleted_whiteboard).to_param }
+
+    assert_response :not_found
+  end
+
+end
@@ -0,0 +1,57 @@
+require "test_helper"
+
+class Messages::ReactionsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    Setting.instance.update!(allow_chats: true)
+
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(model_id: "openrouter/auto", title: "Test Conversation")
+    @message = @chat.messages.create!(role: "assistant", content: "All done")
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "toggles the current user's reaction" do
+    post message_reaction_path(@message), params: { emoji: "👍" }, as: :json
+
+    assert_response :success
+    assert response.parsed_body["reacted"]
+    assert_equal @user, @message.reactions.sole.user
+
+    post message_reaction_path(@message), params: { emoji: "👍" }, as: :json
+
+    assert_not response.parsed_body["reacted"]
+    assert_empty @message.reactions.reload
+  end
+
+  test "rejects anything that isn't an emoji" do
+    post message_reaction_path(@message), params: { emoji: "lol" }, as: :json
+
+    assert_response :unprocessable_entity
+  end
+
+  test "scopes to the current account" do
+    other_user = User.create!(email_address: "reactionother@example.com")
+    other_message = other_user.personal_account.chats.create!(model_id: "gpt-4o")
+      .messages.create!(role: "assistant", content: "Elsewhere")
+
+    post message_reaction_path(other_message), params: { emoji: "👍" }, as: :json
+
+    assert_response :not_found
+  end
+
+  test "rejects reactions in archived chats" do
+    @chat.archive!
+
+    post message_reaction_path(@message), params: { emoji: "👍" }, as: :json
+
+    assert_response :unprocessable_entity
+  end
+
+end
@@ -0,0 +1,48 @@
+require "test_helper"
+
+class Messages::RegenerationsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    Setting.instance.update!(allow_chats: true)
+
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(model_id: "openrouter/auto", title: "Test Conversation")
+    @chat.messages.create!(role: "user", user: @user, content: "Name the project")
+    @message = @chat.messages.create!(role: "assistant", content: "Helix")
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "queues another answer on the chosen model" do
+    post message_regeneration_path(@message), params: { model_id: "openai/gpt-5.6-sol" }, as: :json
+
+    assert_response :accepted
+    assert_enqueued_with(job: AiResponseJob, args: [ @chat, { regenerating: @message, model_id: "openai/gpt-5.6-sol" } ])
+  end
+
+  test "explains why an answer can't be regenerated" do
+    @chat.messages.create!(role: "user", user: @user, content: "Shorter?")
+
+    post message_regeneration_path(@message), as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal "Only the latest answers can be regenerated", response.parsed_body["error"]
+    assert_no_enqueued_jobs only: AiResponseJob
+  end
+
+  test "scopes to the current account" do
+    other_user = User.create!(email_address: "regenerationother@example.com")
+    other_message = other_user.personal_account.chats.create!(model_id: "gpt-4o")
+      .messages.create!(role: "assistant", content: "Elsewhere")
+
+    post message_regeneration_path(other_message), as: :json
+
+    assert_response :not_found
+  end
+
+end
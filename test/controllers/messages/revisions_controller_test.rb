@@ -0,0 +1,38 @@
+require "test_helper"
+
+class Messages::RevisionsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    Setting.instance.update!(allow_chats: true)
+
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(model_id: "openrouter/auto", title: "Test Conversation")
+    @message = @chat.messages.create!(user: @user, role: "user", content: "Original")
+    @message.revise("Edited", editor: @user)
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "lists every version of the message" do
+    get message_revisions_path(@message), as: :json
+
+    assert_response :success
+    assert_equal [ "Original", "Edited" ], response.parsed_body["revisions"].map { |version| version["content"] }
+  end
+
+  test "scopes to the current account" do
+    other_user = User.create!(email_address: "revisionother@example.com")
+    other_message = other_user.personal_account.chats.create!(model_id: "gpt-4o")
+      .messages.create!(role: "user", user: other_user, content: "Elsewhere")
+
+    get message_revisions_path(other_message), as: :json
+
+    assert_response :not_found
+  end
+
+end
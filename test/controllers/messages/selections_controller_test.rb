@@ -0,0 +1,39 @@
+require "test_helper"
+
+class Messages::SelectionsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    Setting.instance.update!(allow_chats: true)
+
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(model_id: "openrouter/auto", title: "Test Conversation")
+    @original = @chat.messages.create!(role: "assistant", content: "Helix")
+    @alternate = @chat.messages.create!(role: "assistant", content: "Strand", alternate_of: @original)
+    @alternate.select_alternate!
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "displays the chosen version" do
+    post message_selection_path(@original), as: :json
+
+    assert_response :success
+    assert_not @original.reload.alternate_hidden?
+    assert @alternate.reload.alternate_hidden?
+  end
+
+  test "rejects switching versions in archived chats" do
+    @chat.archive!
+
+    post message_selection_path(@original), as: :json
+
+    assert_response :unprocessable_entity
+    assert @original.reload.alternate_hidden?
+  end
+
+end
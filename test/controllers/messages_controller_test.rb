@@ -52,6 +52,63 @@ class MessagesControllerTest < ActionDispatch::IntegrationTest
     assert_equal "0.00225", response_message.dig("interaction_cost", "amount_usd")
   end
 
+  test "index with around_id returns the page around a message" do
+    messages = 40.times.map { |i| @chat.messages.create!(role: "user", user: @user, content: "Message #{i}") }
+
+    get account_chat_messages_path(@account, @chat, around_id: messages[20].to_param), as: :json
+
+    assert_response :success
+    body = response.parsed_body
+    assert_equal messages[6].to_param, body["oldest_id"]
+    assert_equal messages[35].to_param, body["newest_id"]
+    assert body["has_more"]
+    assert body["has_newer"]
+  end
+
+  test "index with after_id pages forward toward the newest message" do
+    messages = 5.times.map { |i| @chat.messages.create!(role: "user", user: @user, content: "Message #{i}") }
+
+    get account_chat_messages_path(@account, @chat, after_id: messages[1].to_param), as: :json
+
+    assert_response :success
+    body = response.parsed_body
+    assert_equal messages[2..].map(&:to_param), body["messages"].map { |row| row["id"] }
+    assert_equal messages[4].to_param, body["newest_id"]
+    assert_not body["has_newer"]
+  end
+
+  test "index with around_id for another chat's message returns nothing" do
+    other_chat = @account.chats.create!(model_id: "openrouter/auto")
+    message = other_chat.messages.create!(role: "user", user: @user, content: "Elsewhere")
+
+    get account_chat_messages_path(@account, @chat, around_id: message.to_param), as: :json
+
+    assert_response :success
+    assert_empty response.parsed_body["messages"]
+    assert_not response.parsed_body["has_newer"]
+  end
+
+  test "show returns a single message as json" do
+    message = @chat.messages.create!(role: "assistant", content: "Streamed so far", streaming: true)
+
+    get message_path(message), as: :json
+
+    assert_response :success
+    assert_equal message.to_param, response.parsed_body["id"]
+    assert_equal "Streamed so far", response.parsed_body["content"]
+  end
+
+  test "show scopes to current account" do
+    other_user = User.create!(email_address: "showother@example.com")
+    other_user.profile.update!(first_name: "Other", last_name: "User")
+    other_chat = other_user.personal_account.chats.create!(model_id: "gpt-4o")
+    other_message = other_chat.messages.create!(user: other_user, role: "user", content: "Their message")
+
+    get message_path(other_message), as: :json
+
+    assert_response :not_found
+  end
+
   test "should create message and trigger AI response" do
     assert_difference "Message.count" do
       post account_chat_messages_path(@account, @chat), params: {
@@ -68,6 +125,30 @@ class MessagesControllerTest < ActionDispatch::IntegrationTest
     assert_redirected_to account_chat_path(@account, @chat)
   end
 
+  test "should create a reply to an earlier message" do
+    original = @chat.messages.create!(role: "user", user: @user, content: "Which plan?")
+
+    post account_chat_messages_path(@account, @chat), params: {
+      message: { content: "The second one", reply_to_id: original.to_param }
+    }, as: :json
+
+    assert_response :created
+    assert_equal original, Message.last.reply_to
+  end
+
+  test "should reject replies to messages in another chat" do
+    other_chat = @account.chats.create!(model_id: "openrouter/auto")
+    original = other_chat.messages.create!(role: "user", user: @user, content: "Elsewhere")
+
+    assert_no_difference "Message.count" do
+      post account_chat_messages_path(@account, @chat), params: {
+        message: { content: "Replying", reply_to_id: original.to_param }
+      }, as: :json
+    end
+
+    assert_response :unprocessable_entity
+  end
+
   test "should trigger AI response job when message is created" do
     perform_enqueued_jobs do
       post account_chat_messages_path(@account, @chat), params: {
@@ -317,6 +398,17 @@ class MessagesControllerTest < ActionDispatch::IntegrationTest
     assert_equal "Updated content", message.reload.content
   end
 
+  test "editing keeps the previous content as a revision" do
+    message = @chat.messages.create!(user: @user, role: "user", content: "Original")
+
+    patch message_path(message), params: { message: { content: "Updated" } }, as: :json
+
+    assert_response :ok
+    assert response.parsed_body["edited_at"].present?
+    assert_equal [ "Original" ], message.revisions.pluck(:content)
+    assert_equal @user, message.revisions.sole.user
+  end
+
   test "can edit message even with subsequent messages" do
     message = @chat.messages.create!(user: @user, role: "user", content: "Original")
     @chat.messages.create!(role: "assistant", content: "Response")
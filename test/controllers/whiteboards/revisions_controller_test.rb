@@ -0,0 +1,55 @@
+require "test_helper"
+
+class Whiteboards::RevisionsControllerTest < ActionDispatch::IntegrationTest
+
+  setup do
+    Setting.instance.update!(allow_agents: true)
+
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @agent = agents(:research_assistant)
+    @whiteboard = @account.whiteboards.create!(name: "Plans", summary: "Plans", content: "First draft")
+    @whiteboard.update!(content: "Rewritten by a resident", last_edited_by: @agent)
+
+    post login_path, params: {
+      email_address: @user.email_address,
+      password: "password123"
+    }
+    assert_redirected_to root_path
+  end
+
+  test "lists revisions newest first with their authors" do
+    get account_whiteboard_revisions_path(@account, @whiteboard), as: :json
+
+    assert_response :success
+    revisions = response.parsed_body["revisions"]
+    assert_equal [ "Rewritten by a resident", "First draft" ], revisions.map { |entry| entry["content"] }
+    assert_equal [ "agent", nil ], revisions.map { |entry| entry["author_type"] }
+    assert_equal @agent.name, revisions.first["author_name"]
+    assert_equal @whiteboard.revisions.reverse.map(&:to_param), revisions.map { |entry| entry["id"] }
+  end
+
+  test "restoring a revision makes a new one with its text" do
+    original = @whiteboard.revisions.first
+
+    assert_difference -> { @whiteboard.revisions.count }, 1 do
+      post account_whiteboard_revision_restoration_path(@account, @whiteboard, original), as: :json
+    end
+
+    assert_response :success
+    @whiteboard.reload
+    assert_equal "First draft", @whiteboard.content
+    assert_equal @user, @whiteboard.last_edited_by
+    assert_equal original.revision, @whiteboard.revisions.last.restored_from_revision
+    assert_equal @whiteboard.revision, response.parsed_body["revision"]
+  end
+
+  test "scopes to the current account" do
+    other = whiteboards(:other_account_whiteboard)
+
+    get account_whiteboard_revisions_path(@account, other), as: :json
+
+    assert_response :not_found
+  end
+
+end
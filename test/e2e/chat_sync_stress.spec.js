@@ -44,6 +44,35 @@ async function appendMessages(request, chatId, options = {}) {
   return response.json();
 }
 
+async function streamMessage(request, chatId, options = {}) {
+  const response = await request.post('/test/e2e/stream_message', {
+    data: {
+      chat_id: chatId,
+      message_id: options.messageId,
+      chunks: options.chunks ?? [],
+      finish: options.finish ?? false,
+    },
+  });
+  expect(response.ok()).toBe(true);
+  return response.json();
+}
+
+// Proxies the ActionCable socket so a test can drop it from the browser side
+// and let the consumer's connection monitor reconnect on its own.
+async function controlCableSockets(page) {
+  const sockets = [];
+  await page.routeWebSocket(/\/cable/, (ws) => {
+    ws.connectToServer();
+    sockets.push(ws);
+  });
+
+  return {
+    async kill() {
+      await Promise.all(sockets.splice(0).map((ws) => ws.close()));
+    },
+  };
+}
+
 async function openChat(page, setup, chatId) {
   await login(page, setup.primary_user, setup.password);
   await page.goto(`/accounts/${setup.account_id}/chats/${chatId}`);
@@ -142,4 +171,29 @@ test.describe('long conversation synchronization', () => {
 
     await secondContext.close();
   });
+
+  test('recovers chunks streamed while the socket was down', async ({ page, request }) => {
+    const conversation = await seedConversation(request, setup, { count: 5 });
+    const cable = await controlCableSockets(page);
+    await openChat(page, setup, conversation.chat_id);
+    await expect(page.getByText('History message 004', { exact: true })).toBeVisible();
+
+    const stream = await streamMessage(request, conversation.chat_id, { chunks: ['Before the drop. '] });
+    await expect(page.getByText('Before the drop.')).toBeVisible({ timeout: 15_000 });
+
+    await cable.kill();
+    await streamMessage(request, conversation.chat_id, {
+      messageId: stream.message_id,
+      chunks: ['Missed while offline. ', 'Still missing.'],
+      finish: true,
+    });
+
+    // The consumer reconnects once it notices the stale connection; catch-up
+    // then reloads messages because the streamed message changed meanwhile.
+    await expect(page.getByText('Before the drop. Missed while offline. Still missing.')).toBeVisible({
+      timeout: 20_000,
+    });
+    await appendMessages(request, conversation.chat_id, { prefix: 'After reconnect' });
+    await expect(page.getByText('After reconnect 000', { exact: true })).toBeVisible();
+  });
 });
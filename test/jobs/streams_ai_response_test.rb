@@ -8,7 +8,7 @@ class StreamsAiResponseTest < ActiveSupport::TestCase
 
     include StreamsAiResponse
 
-    attr_accessor :ai_message, :message_finalized
+    attr_accessor :ai_message, :message_finalized, :regenerating
 
     def initialize
       setup_streaming_state
@@ -18,6 +18,8 @@ class StreamsAiResponseTest < ActiveSupport::TestCase
     def call_setup_streaming_state       = setup_streaming_state
     def call_cleanup_partial_message     = cleanup_partial_message
     def call_cleanup_streaming           = cleanup_streaming
+    def call_adopt_regenerated_message   = adopt_regenerated_message!
+    def call_release_regenerated_message = release_regenerated_message!
     def message_finalized?               = @message_finalized
 
   end
@@ -158,4 +160,30 @@ class StreamsAiResponseTest < ActiveSupport::TestCase
     assert_not message.streaming?
   end
 
+  # ── regeneration ───────────────────────────────────────────────────
+
+  test "adopting a regenerated message displays it in place of the answer" do
+    answer = @chat.messages.create!(role: "assistant", content: "Call it Helix.")
+    @harness.regenerating = answer
+    @harness.ai_message = @chat.messages.create!(role: "assistant", content: "", streaming: true)
+
+    @harness.call_adopt_regenerated_message
+
+    assert_equal answer.id, @harness.ai_message.alternate_of_id
+    assert answer.reload.alternate_hidden?
+  end
+
+  test "releasing a tool round message takes it back out of the versions" do
+    answer = @chat.messages.create!(role: "assistant", content: "Call it Helix.")
+    @harness.regenerating = answer
+    @harness.ai_message = @chat.messages.create!(role: "assistant", content: "", streaming: true)
+    @harness.call_adopt_regenerated_message
+
+    @harness.call_release_regenerated_message
+
+    assert_nil @harness.ai_message.reload.alternate_of_id
+    assert_not @harness.ai_message.alternate_hidden?
+    assert_equal [ answer ], answer.alternate_group.to_a
+  end
+
 end
@@ -409,4 +409,41 @@ class ExternalAgentResponseRequestTest < ActiveSupport::TestCase
     assert_includes request.send(:request_delta_text), "Conversation notice"
   end
 
+  test "transcript lines carry message ids and reactions" do
+    agent = agents(:research_assistant)
+    chat = agent.account.chats.create!(model_id: "openrouter/auto", title: "Reactions")
+    message = chat.messages.create!(role: "user", content: "Ship it?")
+    message.toggle_reaction!("👍", agent: agent)
+
+    text = ExternalAgentResponseRequest.new(agent: agent, chat: chat).send(:request_text)
+
+    assert_includes text, "user (message #{message.to_param}): Ship it?"
+    assert_includes text, "Reactions: 👍 #{agent.name}"
+  end
+
+  test "transcript lines say which message a reply answers" do
+    agent = agents(:research_assistant)
+    chat = agent.account.chats.create!(model_id: "openrouter/auto", title: "Replies")
+    original = chat.messages.create!(role: "user", content: "Should we **ship** on Friday?")
+    chat.messages.create!(role: "user", content: "Thinking about it more, no.", reply_to: original)
+
+    text = ExternalAgentResponseRequest.new(agent: agent, chat: chat).send(:request_text)
+
+    assert_includes text, "In reply to message #{original.to_param}: \"Should we ship on Friday?\""
+  end
+
+  test "transcript leaves out hidden versions of regenerated answers" do
+    agent = agents(:research_assistant)
+    chat = agent.account.chats.create!(model_id: "openrouter/auto", title: "Versions")
+    chat.messages.create!(role: "user", content: "Name the project")
+    answer = chat.messages.create!(role: "assistant", content: "Call it Helix.")
+    chat.messages.create!(role: "assistant", content: "Call it Strand.", alternate_of: answer).select_alternate!
+
+    text = ExternalAgentResponseRequest.new(agent: agent, chat: chat).send(:request_text)
+
+    assert_includes text, "Call it Strand."
+    refute_includes text, "Call it Helix."
+    assert_includes text, "message_count_included: 2"
+  end
+
 end
@@ -0,0 +1,81 @@
+require "test_helper"
+require "open3"
+require "socket"
+
+class HelixkitReactMessageTest < ActiveSupport::TestCase
+
+  SCRIPT = Rails.root.join("agent-runtime/helixkit-react-message")
+
+  test "help points at the canonical runtime manual" do
+    stdout, stderr, status = Open3.capture3("python3", SCRIPT.to_s, "--help")
+
+    assert status.success?, stderr
+    assert_includes stdout, "/usr/local/share/helixkit-agent/helixkit-api.md"
+  end
+
+  test "posts the emoji to the message's reaction endpoint" do
+    request = capture_request do |url|
+      stdout, stderr, status = Open3.capture3(
+        {
+          "HELIXKIT_APP_URL" => url,
+          "HELIXKIT_BEARER_TOKEN" => "hx_test"
+        },
+        "python3",
+        SCRIPT.to_s,
+        "chat-123",
+        "msg-456",
+        "👍"
+      )
+
+      assert status.success?, stderr
+      assert_includes stdout, "\"ok\":true"
+    end
+
+    assert_equal "POST /api/v1/conversations/chat-123/messages/msg-456/reaction HTTP/1.1", request[:request_line]
+    assert_equal "Bearer hx_test", request[:headers]["authorization"]
+    assert_equal({ "emoji" => "👍" }, JSON.parse(request[:body].force_encoding("UTF-8")))
+  end
+
+  test "fails without credentials" do
+    _stdout, stderr, status = Open3.capture3(
+      { "HELIXKIT_APP_URL" => "http://127.0.0.1:1", "HELIXKIT_BEARER_TOKEN" => nil },
+      "python3", SCRIPT.to_s, "chat-123", "msg-456", "👍"
+    )
+
+    assert_equal 65, status.exitstatus
+    assert_includes stderr, "HELIXKIT_BEARER_TOKEN is missing"
+  end
+
+  private
+
+  def capture_request
+    server = TCPServer.new("127.0.0.1", 0)
+    port = server.addr[1]
+    captured = Queue.new
+    thread = Thread.new do
+      socket = server.accept
+      request_line = socket.gets&.strip
+      headers = {}
+      while (line = socket.gets)
+        line = line.strip
+        break if line.empty?
+        name, value = line.split(":", 2)
+        headers[name.downcase] = value.to_s.strip
+      end
+      body = socket.read(headers.fetch("content-length", "0").to_i)
+      captured << { request_line: request_line, headers: headers, body: body }
+      payload = '{"ok":true}'
+      socket.write("HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nContent-Length: #{payload.bytesize}\r\nConnection: close\r\n\r\n#{payload}")
+      socket.close
+    ensure
+      server.close
+    end
+
+    yield "http://127.0.0.1:#{port}"
+    captured.pop
+  ensure
+    thread&.join(2)
+    server&.close unless server&.closed?
+  end
+
+end
@@ -0,0 +1,38 @@
+require "test_helper"
+
+class Chat::ExportableTest < ActiveSupport::TestCase
+
+  setup do
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(model_id: "openrouter/auto", title: "Naming")
+    @question = @chat.messages.create!(role: "user", user: @user, content: "What should we call the project?")
+    @answer = @chat.messages.create!(role: "assistant", content: "Call it Helix.")
+  end
+
+  test "exports the displayed version of each answer" do
+    alternate = @chat.messages.create!(role: "assistant", content: "Call it Strand.", alternate_of: @answer)
+    alternate.select_alternate!
+
+    contents = @chat.transcript_json["messages"].map { |message| message["content"] }
+
+    assert_equal [ @question.content, alternate.content ], contents
+  end
+
+  test "exporting leaves the regeneration context without the regenerated answer" do
+    @chat.prepare_regeneration(@answer, model_id: "openai/gpt-5.6-sol")
+
+    assert_equal 2, @chat.transcript_json["messages"].size
+    assert_equal [ @question ], @chat.send(:transcript_messages).to_a
+  end
+
+  test "exports each message rendered as it is shown in the chat" do
+    @answer.update!(content: "Call it **Helix**.")
+
+    exported = @chat.transcript_json["messages"].last
+
+    assert_equal "Call it **Helix**.", exported["content"]
+    assert_includes exported["content_html"], "<strong>Helix</strong>"
+  end
+
+end
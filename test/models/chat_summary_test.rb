@@ -74,6 +74,16 @@ class ChatSummaryTest < ActiveSupport::TestCase
     assert_equal "Test Agent", transcript.first[:author]
   end
 
+  test "transcript_for_api includes the message a reply answers" do
+    original = @chat.messages.create!(content: "Should we ship on Friday?", role: "user", user: @user)
+    @chat.messages.create!(content: "Not this week.", role: "assistant", reply_to: original)
+
+    first, reply = @chat.transcript_for_api
+
+    assert_nil first[:reply_to]
+    assert_equal({ id: original.to_param, excerpt: "Should we ship on Friday?" }, reply[:reply_to])
+  end
+
   test "transcript_for_api includes authenticated attachment metadata" do
     message = @chat.messages.create!(content: "Please review this", role: "user", user: @user)
     message.attachments.attach(
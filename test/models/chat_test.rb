@@ -499,6 +499,15 @@ class ChatTest < ActiveSupport::TestCase
     assert_empty page
   end
 
+  test "messages_page with after_id returns the next newer messages" do
+    chat = Chat.create!(account: @account)
+    messages = 10.times.map { |i| chat.messages.create!(content: "Message #{i}", role: "user", user: @user) }
+
+    page = chat.messages_page(after_id: messages[2].to_param, limit: 3)
+
+    assert_equal [ "Message 3", "Message 4", "Message 5" ], page.map(&:content)
+  end
+
   test "messages_page default limit is 30" do
     chat = Chat.create!(account: @account)
     50.times { |i| chat.messages.create!(content: "Message #{i}", role: "user", user: @user) }
@@ -511,6 +520,32 @@ class ChatTest < ActiveSupport::TestCase
     assert_equal "Message 49", page.last.content
   end
 
+  test "messages_around centres the page on the target message" do
+    chat = Chat.create!(account: @account)
+    messages = 20.times.map { |i| chat.messages.create!(content: "Message #{i}", role: "user", user: @user) }
+
+    page = chat.messages_around(messages[10].to_param, limit: 6)
+
+    assert_equal (8..13).map { |i| "Message #{i}" }, page.map(&:content)
+  end
+
+  test "messages_around fills the page from older messages near the end" do
+    chat = Chat.create!(account: @account)
+    messages = 20.times.map { |i| chat.messages.create!(content: "Message #{i}", role: "user", user: @user) }
+
+    page = chat.messages_around(messages[19].to_param, limit: 6)
+
+    assert_equal (14..19).map { |i| "Message #{i}" }, page.map(&:content)
+  end
+
+  test "messages_around is empty for a message in another chat" do
+    chat = Chat.create!(account: @account)
+    other = Chat.create!(account: @account)
+    message = other.messages.create!(content: "Elsewhere", role: "user", user: @user)
+
+    assert_empty chat.messages_around(message.to_param)
+  end
+
 test "cost_tokens sums input and output tokens separately" do
   chat = Chat.create!(account: @account)
   chat.messages.create!(content: "Hello", role: "user", user: @user, input_tokens: 10, output_tokens: 0)
@@ -116,6 +116,16 @@ class ChatTimestampTest < ActiveSupport::TestCase
     assert_match(/\[\d{4}-\d{2}-\d{2} \d{2}:\d{2}\] \[Other Agent\]: Hello from other/, formatted[:content])
   end
 
+  test "format_message_for_context tells residents which message a reply answers" do
+    original = @chat.messages.create!(role: "assistant", content: "Friday works", agent: @agent)
+    reply = @chat.messages.create!(role: "user", content: "Agreed", user: @user, reply_to: original)
+    tz = ActiveSupport::TimeZone["UTC"]
+
+    formatted = @chat.send(:format_message_for_context, reply, @agent, tz, provider: :openrouter)
+
+    assert_match(/\]: \(replying to message #{original.obfuscated_id} from #{@agent.name}: "Friday works"\) Agreed\z/, formatted[:content])
+  end
+
   test "messages_context_for includes timestamps on all messages" do
     @chat.messages.create!(role: "user", content: "Question", user: @user)
     @chat.messages.create!(role: "assistant", content: "Answer", agent: @agent)
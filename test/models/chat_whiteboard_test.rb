@@ -72,4 +72,68 @@ class ChatWhiteboardTest < ActiveSupport::TestCase
     assert_includes envelope[:content], board.content
   end
 
+  test "attaching the first board makes it active" do
+    board = whiteboards(:project_notes)
+
+    @chat.attach_whiteboard!(board)
+
+    assert_equal board, @chat.reload.active_whiteboard
+    assert @chat.whiteboard_attached?(board)
+  end
+
+  test "attaching more boards keeps the active one and adds tabs in order" do
+    @chat.attach_whiteboard!(whiteboards(:project_notes))
+    @chat.attach_whiteboard!(whiteboards(:meeting_notes))
+    @chat.attach_whiteboard!(whiteboards(:project_notes))
+
+    assert_equal whiteboards(:project_notes), @chat.reload.active_whiteboard
+    assert_equal [ whiteboards(:project_notes), whiteboards(:meeting_notes) ], @chat.attached_whiteboards.to_a
+  end
+
+  test "setting the active board attaches it" do
+    @chat.update!(active_whiteboard: whiteboards(:meeting_notes))
+
+    assert @chat.whiteboard_attached?(whiteboards(:meeting_notes))
+  end
+
+  test "detaching the active board makes the next one active" do
+    @chat.attach_whiteboard!(whiteboards(:project_notes))
+    @chat.attach_whiteboard!(whiteboards(:meeting_notes))
+
+    @chat.detach_whiteboard!(whiteboards(:project_notes))
+    assert_equal whiteboards(:meeting_notes), @chat.reload.active_whiteboard
+
+    @chat.detach_whiteboard!(whiteboards(:meeting_notes))
+    assert_nil @chat.reload.active_whiteboard
+    assert_empty @chat.attached_whiteboards
+  end
+
+  test "deleted boards stay attached but are not shown" do
+    @chat.attach_whiteboard!(whiteboards(:project_notes))
+    @chat.attach_whiteboard!(whiteboards(:deleted_whiteboard))
+
+    assert @chat.whiteboard_attached?(whiteboards(:deleted_whiteboard))
+    assert_equal [ whiteboards(:project_notes).id ], @chat.attached_whiteboards_json.map { |board| board[:id] }
+  end
+
+  test "boards from another account cannot be attached" do
+    assert_raises(ActiveRecord::RecordInvalid) do
+      @chat.attach_whiteboard!(whiteboards(:other_account_whiteboard))
+    end
+  end
+
+  test "system context includes the other attached boards" do
+    @chat.attach_whiteboard!(whiteboards(:project_notes))
+    @chat.attach_whiteboard!(whiteboards(:meeting_notes))
+
+    context = @chat.build_context_for_agent(@agent, provider: :openrouter)
+    envelope = context.find do |message|
+      message[:role] == "user" && message[:content].to_s.start_with?("<helixkit_context>")
+    end
+
+    assert_includes envelope[:content], "Active Whiteboard: Project Notes"
+    assert_includes envelope[:content], "# Other Whiteboards In This Conversation"
+    assert_includes envelope[:content], whiteboards(:meeting_notes).content
+  end
+
 end
@@ -50,4 +50,71 @@ class BroadcastableTest < ActiveSupport::TestCase
     end
   end
 
+  test "patch broadcasting models send upserts to self and targets instead of refresh markers" do
+    chat = Chat.create!(account: @account)
+    message = chat.messages.create!(user: users(:user_1), role: "user", content: "Original")
+
+    broadcasts = capture_broadcasts("Chat:#{chat.obfuscated_id}") do
+      assert_broadcasts("Message:#{message.obfuscated_id}", 1) do
+        message.update!(content: "Edited")
+      end
+    end
+
+    patch = broadcasts.find { |data| data["action"] == "patch" }
+    assert_equal "messages", patch["prop"]
+    assert_equal "upsert", patch["op"]
+    assert_equal message.to_param, patch["id"]
+    assert_equal "Edited", patch["record"]["content"]
+    assert_not broadcasts.any? { |data| data["action"] == "refresh" && data["prop"].nil? }
+  end
+
+  test "patch records leave out viewer-specific attributes" do
+    chat = Chat.create!(account: @account)
+
+    broadcasts = capture_broadcasts("Chat:#{chat.obfuscated_id}") do
+      chat.messages.create!(user: users(:user_1), role: "user", content: "Hello")
+    end
+
+    record = broadcasts.find { |data| data["action"] == "patch" }["record"]
+    assert_not record.key?("editable")
+    assert_not record.key?("deletable")
+  end
+
+  test "patch broadcasting models send remove patches on destroy" do
+    chat = Chat.create!(account: @account)
+    message = chat.messages.create!(user: users(:user_1), role: "user", content: "Short lived")
+
+    broadcasts = capture_broadcasts("Chat:#{chat.obfuscated_id}") do
+      message.destroy!
+    end
+
+    assert_includes broadcasts.map { |data| data.except("at") },
+                    { "action" => "patch", "prop" => "messages", "op" => "remove", "id" => message.to_param, "collection" => "messages" }
+  end
+
+  test "markers carry the server time they were broadcast at" do
+    broadcasts = capture_broadcasts("Account:#{@account.obfuscated_id}") do
+      @account.update!(name: "Stamped")
+    end
+
+    assert broadcasts.any?
+    assert broadcasts.all? { |data| data["at"].is_a?(Float) }
+  end
+
+  test "child changes are tagged with their collection and sent to the collection-scoped channel" do
+    team = accounts(:team_account)
+    user = User.create!(email_address: "collectionscoped@example.com")
+
+    membership = nil
+    scoped_broadcasts = nil
+    parent_broadcasts = capture_broadcasts("Account:#{team.obfuscated_id}") do
+      scoped_broadcasts = capture_broadcasts("Account:#{team.obfuscated_id}/memberships") do
+        membership = team.memberships.create!(user: user, role: "member", skip_confirmation: true)
+      end
+    end
+
+    assert_equal [ "memberships" ], parent_broadcasts.map { |data| data["collection"] }
+    assert_equal [ membership.to_param ], scoped_broadcasts.map { |data| data["id"] }
+  end
+
 end
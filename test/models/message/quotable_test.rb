@@ -0,0 +1,51 @@
+require "test_helper"
+
+class Message::QuotableTest < ActiveSupport::TestCase
+
+  setup do
+    @user = users(:user_1)
+    @chat = accounts(:personal_account).chats.create!(model_id: "openrouter/auto")
+    @original = @chat.messages.create!(role: "user", user: @user, content: "Should we ship **on Friday**?")
+  end
+
+  test "serializes a compact quote of the replied-to message" do
+    reply = @chat.messages.create!(role: "user", user: @user, content: "Yes", reply_to: @original)
+
+    quote = reply.as_json["reply_to_json"]
+
+    assert_equal @original.to_param, quote["id"]
+    assert_equal @original.author_name, quote["author_name"]
+    assert_equal "Should we ship on Friday?", quote["excerpt"]
+    assert_nil @original.as_json["reply_to_json"]
+  end
+
+  test "truncates long excerpts" do
+    @original.update!(content: "word " * 100)
+
+    assert_operator @original.quote_excerpt.length, :<=, Message::Quotable::QUOTE_EXCERPT_LENGTH
+  end
+
+  test "rejects replies to messages in another chat" do
+    other_chat = accounts(:personal_account).chats.create!(model_id: "openrouter/auto")
+    reply = other_chat.messages.build(role: "user", user: @user, content: "Yes", reply_to: @original)
+
+    assert_not reply.valid?
+    assert_includes reply.errors[:reply_to], "must be a message in this conversation"
+  end
+
+  test "replies lose their quote when the original is deleted" do
+    reply = @chat.messages.create!(role: "user", user: @user, content: "Yes", reply_to: @original)
+
+    @original.destroy!
+
+    assert_nil reply.reload.reply_to_id
+  end
+
+  test "describes the replied-to message for residents" do
+    reply = @chat.messages.create!(role: "user", user: @user, content: "Yes", reply_to: @original)
+
+    assert_equal "(replying to message #{@original.obfuscated_id} from #{@original.author_name}: \"Should we ship on Friday?\")",
+                 reply.reply_context_for_llm
+  end
+
+end
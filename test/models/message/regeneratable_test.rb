@@ -0,0 +1,108 @@
+require "test_helper"
+
+class Message::RegeneratableTest < ActiveSupport::TestCase
+
+  setup do
+    @user = users(:user_1)
+    @account = accounts(:personal_account)
+    @chat = @account.chats.create!(model_id: "openrouter/auto")
+    @question = @chat.messages.create!(role: "user", user: @user, content: "What should we call the project?")
+    @answer = @chat.messages.create!(role: "assistant", content: "Call it Helix.")
+  end
+
+  test "regenerating queues a response on the requested model" do
+    assert_enqueued_with(job: AiResponseJob, args: [ @chat, { regenerating: @answer, model_id: "openai/gpt-5.6-sol" } ]) do
+      @answer.regenerate!(model_id: "openai/gpt-5.6-sol")
+    end
+  end
+
+  test "regenerating queues the resident for group chats" do
+    agent = @account.agents.create!(name: "Namer", system_prompt: "You name things.")
+    chat = @account.chats.new(model_id: "openrouter/auto", manual_responses: true)
+    chat.agent_ids = [ agent.id ]
+    chat.save!
+    chat.messages.create!(role: "user", user: @user, content: "Name it")
+    answer = chat.messages.create!(role: "assistant", agent: agent, content: "Helix")
+
+    assert_enqueued_with(job: ManualAgentResponseJob, args: [ chat, agent, { regenerating: answer, model_id: nil } ]) do
+      answer.regenerate!
+    end
+  end
+
+  test "only the latest answers can be regenerated" do
+    @chat.messages.create!(role: "user", user: @user, content: "Something shorter?")
+
+    error = assert_raises(ArgumentError) { @answer.regenerate! }
+    assert_equal "Only the latest answers can be regenerated", error.message
+  end
+
+  test "rejects unknown models and residents outside the conversation" do
+    assert_raises(ArgumentError) { @answer.regenerate!(model_id: "nobody/nothing") }
+    assert_raises(ArgumentError) { @answer.regenerate!(agent: agents(:research_assistant)) }
+    assert_raises(ArgumentError) { @question.regenerate! }
+  end
+
+  test "selecting a version hides the others" do
+    alternate = @chat.messages.create!(role: "assistant", content: "Call it Strand.", alternate_of: @answer)
+
+    alternate.select_alternate!
+
+    assert @answer.reload.alternate_hidden?
+    assert_not alternate.reload.alternate_hidden?
+    assert_equal [ @question, alternate ], @chat.messages_page
+
+    @answer.select_alternate!
+
+    assert alternate.reload.alternate_hidden?
+    assert_equal [ @question, @answer ], @chat.messages_page
+  end
+
+  test "lists every version for the bubble" do
+    assert_nil @answer.alternates_json
+
+    alternate = @chat.messages.create!(role: "assistant", content: "Call it Strand.", alternate_of: @answer,
+      model_id_string: "openai/gpt-5.6-sol")
+
+    versions = alternate.alternates_json
+
+    assert_equal [ @answer.to_param, alternate.to_param ], versions.map { |version| version["id"] }
+    assert_equal "GPT-5.6 Sol", versions.last["label"]
+    assert_equal versions, @answer.reload.alternates_json
+  end
+
+  test "leaves the regenerated answer and its versions out of the transcript" do
+    alternate = @chat.messages.create!(role: "assistant", content: "Call it Strand.", alternate_of: @answer)
+    alternate.select_alternate!
+
+    assert_equal [ @question, alternate ], @chat.send(:transcript_messages).order(:id).to_a
+
+    @chat.prepare_regeneration(alternate, model_id: "openai/gpt-5.6-sol")
+
+    assert_equal [ @question ], @chat.send(:transcript_messages).to_a
+    assert_equal "openai/gpt-5.6-sol", @chat.response_model_id
+  end
+
+  test "deleting the displayed version displays the newest remaining one" do
+    second = @chat.messages.create!(role: "assistant", content: "Call it Strand.", alternate_of: @answer)
+    third = @chat.messages.create!(role: "assistant", content: "Call it Braid.", alternate_of: @answer)
+    third.select_alternate!
+
+    third.destroy!
+
+    assert_not second.reload.alternate_hidden?
+    assert @answer.reload.alternate_hidden?
+  end
+
+  test "deleting the original hands its versions to the oldest remaining one" do
+    second = @chat.messages.create!(role: "assistant", content: "Call it Strand.", alternate_of: @answer)
+    third = @chat.messages.create!(role: "assistant", content: "Call it Braid.", alternate_of: @answer)
+    third.select_alternate!
+
+    @answer.destroy!
+
+    assert_nil second.reload.alternate_of_id
+    assert_equal second.id, third.reload.alternate_of_id
+    assert_not third.alternate_hidden?
+  end
+
+end
@@ -0,0 +1,45 @@
+require "test_helper"
+
+class Message::RevisableTest < ActiveSupport::TestCase
+
+  setup do
+    @user = users(:user_1)
+    @chat = accounts(:personal_account).chats.create!(model_id: "openrouter/auto")
+    @message = @chat.messages.create!(role: "user", user: @user, content: "First draft")
+  end
+
+  test "revising keeps each earlier version" do
+    assert @message.revise("Second draft", editor: @user)
+    assert @message.revise("Final draft", editor: @user)
+
+    assert @message.reload.edited?
+    assert_equal "Final draft", @message.content
+    assert_equal [ "First draft", "Second draft" ], @message.revisions.map(&:content)
+  end
+
+  test "unchanged content is not a revision" do
+    assert @message.revise("First draft", editor: @user)
+
+    assert_not @message.reload.edited?
+    assert_empty @message.revisions
+  end
+
+  test "invalid content leaves the message and its history alone" do
+    assert_not @message.revise("", editor: @user)
+
+    assert_equal "First draft", @message.reload.content
+    assert_empty @message.revisions
+  end
+
+  test "history lists versions oldest first and ends with the current content" do
+    @message.revise("Second draft", editor: @user)
+
+    history = @message.history_json
+
+    assert_equal [ "First draft", "Second draft" ], history.map { |version| version["content"] }
+    assert_equal @message.revisions.first.to_param, history.first["id"]
+    assert_equal "current", history.last["id"]
+    assert history.first["replaced_at"].present?
+  end
+
+end
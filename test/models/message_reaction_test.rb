@@ -0,0 +1,66 @@
+require "test_helper"
+require "action_cable/test_helper"
+
+class MessageReactionTest < ActiveSupport::TestCase
+
+  include ActionCable::TestHelper
+
+  setup do
+    @user = users(:user_1)
+    @agent = agents(:research_assistant)
+    @chat = accounts(:personal_account).chats.create!(model_id: "openrouter/auto")
+    @message = @chat.messages.create!(role: "assistant", content: "Done", agent: @agent)
+  end
+
+  test "toggling adds a reaction and then takes it back" do
+    assert @message.toggle_reaction!("👍", user: @user)
+    assert_equal 1, @message.reactions.count
+
+    assert_not @message.toggle_reaction!("👍", user: @user)
+    assert_equal 0, @message.reactions.count
+  end
+
+  test "a toggle that loses a race to the same reaction counts as reacted" do
+    reactions = @message.reactions
+
+    reactions.stub(:find_by, nil) do
+      reactions.stub(:create!, ->(**) { raise ActiveRecord::RecordNotUnique }) do
+        assert @message.toggle_reaction!("👍", user: @user)
+      end
+    end
+  end
+
+  test "groups reactions by emoji with their reactors" do
+    @message.toggle_reaction!("👍", user: @user)
+    @message.toggle_reaction!("👍", agent: @agent)
+    @message.toggle_reaction!("🎉", user: @user)
+
+    reactions = @message.reload.as_json["reactions_json"]
+
+    assert_equal [ "👍", "🎉" ], reactions.map { |group| group["emoji"] }
+    assert_equal 2, reactions.first["count"]
+    assert_equal [ @user.to_param ], reactions.first["user_ids"]
+    assert_equal [ @agent.to_param ], reactions.first["agent_ids"]
+    assert_includes reactions.first["names"], @agent.name
+  end
+
+  test "needs exactly one reactor and an emoji" do
+    assert_not @message.reactions.build(emoji: "👍").valid?
+    assert_not @message.reactions.build(emoji: "👍", user: @user, agent: @agent).valid?
+    assert_not @message.reactions.build(emoji: "ok", user: @user).valid?
+  end
+
+  test "rebroadcasts the message so open chats update live" do
+    assert_broadcasts("Chat:#{@chat.obfuscated_id}/messages", 1) do
+      @message.toggle_reaction!("👀", user: @user)
+    end
+  end
+
+  test "does not start a new turn" do
+    assert_no_enqueued_jobs do
+      @message.toggle_reaction!("👍", user: @user)
+    end
+    assert_equal 1, @chat.messages.count
+  end
+
+end
@@ -1,8 +1,11 @@
 require "test_helper"
 require "zip"
+require "action_cable/test_helper"
 
 class MessageTest < ActiveSupport::TestCase
 
+  include ActionCable::TestHelper
+
   def setup
     @user = User.create!(
       email_address: "test#{SecureRandom.hex(4)}@example.com",
@@ -351,6 +354,44 @@ class MessageTest < ActiveSupport::TestCase
     assert message.streaming?  # Should still be streaming
   end
 
+  test "stream chunks carry their offset in the streamed text" do
+    message = @chat.messages.create!(role: "assistant", content: "Hi 👋", streaming: true)
+
+    broadcasts = capture_broadcasts("Chat:#{@chat.obfuscated_id}/messages") do
+      message.stream_content(" there")
+      message.stream_content("!")
+      message.stream_thinking("Pondering")
+    end
+
+    assert_equal [ 5, 11 ], broadcasts.select { |data| data["action"] == "streaming_update" }.map { |data| data["offset"] }
+    assert_equal 0, broadcasts.find { |data| data["action"] == "thinking_update" }["offset"]
+  end
+
+  test "stream offsets carry on across chunks and recount when the content is replaced" do
+    message = @chat.messages.create!(role: "assistant", content: "", streaming: true)
+
+    broadcasts = capture_broadcasts("Chat:#{@chat.obfuscated_id}/messages") do
+      message.stream_content("👋")
+      message.stream_content("🎉")
+      message.update_columns(content: "Reset")
+      message.stream_content("!")
+      message.stop_streaming
+    end
+
+    assert_equal [ 0, 2, 5 ], broadcasts.select { |data| data["action"] == "streaming_update" }.map { |data| data["offset"] }
+    assert_equal 6, broadcasts.find { |data| data["action"] == "streaming_end" }["content_length"]
+  end
+
+  test "stream end carries the final content length" do
+    message = @chat.messages.create!(role: "assistant", content: "Done 👋", streaming: true)
+
+    broadcasts = capture_broadcasts("Chat:#{@chat.obfuscated_id}/messages") do
+      message.stop_streaming
+    end
+
+    assert_equal 7, broadcasts.find { |data| data["action"] == "streaming_end" }["content_length"]
+  end
+
   test "stop_streaming sets streaming to false" do
     message = @chat.messages.create!(
       role: "assistant",
@@ -1186,6 +1227,15 @@ class MessageTest < ActiveSupport::TestCase
     assert_includes results.map(&:content), "The quick brown fox"
   end
 
+  test "search_in_account skips hidden versions of regenerated answers" do
+    chat = @account.chats.create!(model_id: "openrouter/auto")
+    chat.messages.create!(content: "Name it", role: "user", user: @user)
+    answer = chat.messages.create!(content: "Call it Helix", role: "assistant")
+    chat.messages.create!(content: "Call it Helix Prime", role: "assistant", alternate_of: answer).select_alternate!
+
+    assert_equal [ "Call it Helix Prime" ], Message.search_in_account(@account, "call it helix").map(&:content)
+  end
+
   test "search_in_account is case insensitive" do
     chat = @account.chats.create!(model_id: "openrouter/auto")
     chat.messages.create!(content: "Hello World", role: "user", user: @user)
@@ -0,0 +1,74 @@
+require "test_helper"
+
+class Whiteboard::BlocksTest < ActiveSupport::TestCase
+
+  Blocks = Whiteboard::Blocks
+
+  BOARD = [
+    "# Launch",
+    "",
+    "- [ ] Write the post",
+    "- [x] Book the venue",
+    "  1. [ ] Nested step",
+    "> - [X] Quoted task",
+    "",
+    "```md",
+    "- [ ] Not a task, just an example",
+    "| not | a table |",
+    "| --- | --- |",
+    "```",
+    "",
+    "| Item | Owner | Status |",
+    "| :--- | --- | ---: |",
+    "| Venue | Ada | done |",
+    "|Catering|Grace|",
+    "",
+    "Closing words"
+  ].join("\n")
+
+  test "finds task items outside code blocks, nested and quoted ones included" do
+    tasks = Blocks.new(BOARD).tasks
+
+    assert_equal [ [ "Write the post", false ], [ "Book the venue", true ], [ "Nested step", false ], [ "Quoted task", true ] ],
+                 tasks.map { |task| [ task.text, task.checked ] }
+    assert_empty Blocks.new("- [ ]\n- [] nope\n-[ ] nope").tasks
+  end
+
+  test "ticks a task by changing only its box" do
+    ticked = Blocks.new(BOARD).set_task(0, true)
+
+    assert Blocks.new(ticked).tasks.first.checked
+    assert_equal [ 13, "x", -1, BOARD.length - 14 ], Whiteboard::TextOperation.diff(BOARD, ticked).to_a
+    assert_equal ticked, Blocks.new(ticked).set_task(0, true)
+    assert_raises(Blocks::Missing) { Blocks.new(BOARD).set_task(9, true) }
+  end
+
+  test "finds tables with their alignment, padding short rows" do
+    tables = Blocks.new(BOARD).tables
+
+    assert_equal 1, tables.size
+    assert_equal [ 13, 17 ], [ tables.first.start, tables.first.finish ]
+    assert_equal [ "Item", "Owner", "Status" ], tables.first.header
+    assert_equal [ "left", nil, "right" ], tables.first.align
+    assert_equal [ [ "Venue", "Ada", "done" ], [ "Catering", "Grace", "" ] ], tables.first.rows
+  end
+
+  test "changes one cell, rewriting only its row" do
+    updated = Blocks.new(BOARD).set_table_cell(0, 2, 2, "booked | paid")
+    lines = updated.split("\n")
+
+    assert_equal "| Catering | Grace | booked \\| paid |", lines[16]
+    assert_equal BOARD.split("\n").values_at(13, 14, 15, 18), lines.values_at(13, 14, 15, 18)
+    assert_equal [ "Catering", "Grace", "booked | paid" ], Blocks.new(updated).tables.first.rows.last
+  end
+
+  test "changes a heading with row zero and leaves matching cells alone" do
+    blocks = Blocks.new(BOARD)
+
+    assert_equal "| Thing | Owner | Status |", blocks.set_table_cell(0, 0, 0, "Thing").split("\n")[13]
+    assert_equal BOARD, blocks.set_table_cell(0, 1, 0, "Venue")
+    assert_raises(Blocks::Missing) { blocks.set_table_cell(0, 3, 0, "x") }
+    assert_raises(Blocks::Missing) { blocks.set_table_cell(1, 1, 0, "x") }
+  end
+
+end
@@ -0,0 +1,70 @@
+require "test_helper"
+
+class Whiteboard::CollaborativeTest < ActiveSupport::TestCase
+
+  include ActionCable::TestHelper
+
+  setup do
+    @board = whiteboards(:project_notes)
+    @user = users(:user_1)
+    @agent = agents(:research_assistant)
+    @board.update!(content: "alpha\nbeta")
+  end
+
+  test "logs whole-text saves as the smallest edit" do
+    @board.update!(content: "alpha\nbeta\ngamma", last_edited_by: @agent)
+
+    operation = @board.operations.find_by!(revision: @board.revision)
+    assert_equal [ 10, "\ngamma" ], operation.operation
+    assert_equal @agent, operation.author
+  end
+
+  test "applies an operation made against the current revision" do
+    revision = @board.revision
+
+    @board.apply_operation!([ 5, "!", 5 ], base_revision: revision, author: @user, client_id: "tab-1")
+
+    assert_equal "alpha!\nbeta", @board.reload.content
+    assert_equal revision + 1, @board.revision
+    assert_equal @user, @board.last_edited_by
+    assert_equal "tab-1", @board.operations.find_by!(revision: @board.revision).client_id
+  end
+
+  test "moves an operation past changes saved since its revision" do
+    revision = @board.revision
+    @board.update!(content: "ALPHA\nbeta", last_edited_by: @agent)
+
+    applied = @board.apply_operation!([ 6, "gamma ", 4 ], base_revision: revision, author: @user)
+
+    assert_equal "ALPHA\ngamma beta", @board.reload.content
+    assert_equal [ 6, "gamma ", 4 ], applied.to_a
+  end
+
+  test "an operation that ends up empty still makes a revision" do
+    revision = @board.revision
+    @board.update!(content: "alpha", last_edited_by: @agent)
+
+    @board.apply_operation!([ 5, -5 ], base_revision: revision, author: @user, client_id: "tab-1")
+
+    assert_equal "alpha", @board.reload.content
+    assert_equal revision + 2, @board.revision
+    assert_equal [ 5 ], @board.operations.find_by!(revision: @board.revision).operation
+  end
+
+  test "rejects operations older than the log" do
+    assert_raises(Whiteboard::Collaborative::StaleRevision) do
+      @board.apply_operation!([ 10 ], base_revision: 0, author: @user)
+    end
+  end
+
+  test "broadcasts applied operations instead of a refresh" do
+    broadcasts = capture_broadcasts("Whiteboard:#{@board.obfuscated_id}") do
+      @board.apply_operation!([ 10, "!" ], base_revision: @board.revision, author: @user, client_id: "tab-1")
+    end
+
+    assert_equal [ "whiteboard_op" ], broadcasts.map { |message| message["action"] }
+    assert_equal [ 10, "!" ], broadcasts.first["operation"]
+    assert_equal "tab-1", broadcasts.first["client_id"]
+  end
+
+end
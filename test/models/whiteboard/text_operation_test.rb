@@ -0,0 +1,66 @@
+require "test_helper"
+
+class Whiteboard::TextOperationTest < ActiveSupport::TestCase
+
+  TextOperation = Whiteboard::TextOperation
+
+  test "diff produces the single edit between two texts" do
+    operation = TextOperation.diff("Hello world", "Hello big world")
+
+    assert_equal [ 6, "big ", 5 ], operation.to_a
+    assert_equal "Hello big world", operation.apply("Hello world")
+  end
+
+  test "counts lengths in UTF-16 code units like the browser" do
+    operation = TextOperation.diff("a😀b", "a😀cb")
+
+    assert_equal [ 3, "c", 1 ], operation.to_a
+    assert_equal 4, operation.base_length
+  end
+
+  test "diff never splits an emoji between two code units" do
+    operation = TextOperation.diff("😀", "😃")
+
+    assert_equal [ "😃", -2 ], operation.to_a
+    assert_equal "😃", operation.apply("😀")
+  end
+
+  test "transformed operations converge whichever is applied first" do
+    base = "The plan:\n- step one\n- step two"
+    mine = TextOperation.diff(base, "The plan:\n- step one\n- step 1.5\n- step two")
+    theirs = TextOperation.diff(base, "Our plan:\n- step one\n- step two")
+
+    mine_prime, theirs_prime = TextOperation.transform(mine, theirs)
+
+    assert_equal theirs_prime.apply(mine.apply(base)), mine_prime.apply(theirs.apply(base))
+    assert_equal "Our plan:\n- step one\n- step 1.5\n- step two", mine_prime.apply(theirs.apply(base))
+  end
+
+  test "concurrent inserts at the same place keep the first operation's text first" do
+    mine = TextOperation.from_a([ 2, "X", 1 ])
+    theirs = TextOperation.from_a([ 2, "Y", 1 ])
+
+    mine_prime, theirs_prime = TextOperation.transform(mine, theirs)
+
+    assert_equal "abXYc", mine_prime.apply(theirs.apply("abc"))
+    assert_equal "abXYc", theirs_prime.apply(mine.apply("abc"))
+  end
+
+  test "a deletion overlapping another is only applied once" do
+    mine = TextOperation.from_a([ 1, -3, 1 ])
+    theirs = TextOperation.from_a([ 2, -3 ])
+
+    mine_prime, theirs_prime = TextOperation.transform(mine, theirs)
+
+    assert_equal "a", mine_prime.apply(theirs.apply("abcde"))
+    assert_equal "a", theirs_prime.apply(mine.apply("abcde"))
+  end
+
+  test "rejects operations that don't fit the text" do
+    assert_raises(TextOperation::Invalid) { TextOperation.from_a([ 5 ]).apply("abc") }
+    assert_raises(TextOperation::Invalid) { TextOperation.from_a([ 0 ]) }
+    assert_raises(TextOperation::Invalid) { TextOperation.from_a([ { "retain" => 1 } ]) }
+    assert_raises(TextOperation::Invalid) { TextOperation.from_a("abc") }
+  end
+
+end
@@ -104,4 +104,38 @@ class WhiteboardTest < ActiveSupport::TestCase
     assert_not whiteboards(:project_notes).deleted?
   end
 
+
+  test "keeps the text before the first change to an existing board" do
+    board = whiteboards(:project_notes)
+    before = board.content
+
+    board.update!(content: "Replaced", last_edited_by: users(:user_1))
+
+    assert_equal [ before, "Replaced" ], board.revisions.map(&:content)
+    assert_equal "Agent", board.revisions.first.author_type
+  end
+
+  test "folds one person's live typing into a single history entry" do
+    board = whiteboards(:project_notes)
+    user = users(:user_1)
+    board.update!(content: "a", last_edited_by: agents(:research_assistant))
+
+    board.apply_operation!([ 1, "b" ], base_revision: board.revision, author: user)
+    board.apply_operation!([ 2, "c" ], base_revision: board.revision, author: user)
+
+    assert_equal [ "a", "abc" ], board.revisions.last(2).map(&:content)
+    assert_equal board.revision, board.revisions.last.revision
+  end
+
+  test "restore_revision! puts earlier text back as a new revision" do
+    board = whiteboards(:project_notes)
+    board.update!(content: "Bad rewrite", last_edited_by: agents(:research_assistant))
+    original = board.revisions.first
+
+    board.restore_revision!(original, editor: users(:user_1))
+
+    assert_equal original.content, board.reload.content
+    assert_equal original.revision, board.revisions.last.restored_from_revision
+  end
+
 end
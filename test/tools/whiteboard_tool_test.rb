@@ -443,6 +443,101 @@ class WhiteboardToolTest < ActiveSupport::TestCase
     assert_not WhiteboardTool.recoverable_from?(json)
   end
 
+  test "set_task ticks a task by number or text, changing only its box" do
+    board = whiteboards(:project_notes)
+    board.update!(content: "# Launch\n\n- [ ] Write the post\n- [ ] Book the venue")
+
+    result = @tool.execute(action: "set_task", board_id: board.obfuscated_id, item: "book the")
+
+    assert_equal "task_updated", result[:type]
+    assert_equal 2, result[:task]
+    assert result[:checked]
+    assert_equal "# Launch\n\n- [ ] Write the post\n- [x] Book the venue", board.reload.content
+    assert_equal [ 34, "x", -1, 16 ], board.operations.find_by!(revision: board.revision).operation
+    assert_equal @agent, board.last_edited_by
+
+    result = @tool.execute(action: "set_task", board_id: board.obfuscated_id, item: "2", checked: false)
+    assert_not result[:checked]
+    assert_includes board.reload.content, "- [ ] Book the venue"
+  end
+
+  test "set_task reports a missing task" do
+    board = whiteboards(:project_notes)
+
+    result = @tool.execute(action: "set_task", board_id: board.obfuscated_id, item: "3")
+
+    assert_equal "error", result[:type]
+    assert_match(/No task 3/, result[:error])
+  end
+
+  test "set_cell changes one table cell by column heading" do
+    board = whiteboards(:project_notes)
+    board.update!(content: "| Item | Status |\n| --- | --- |\n| Venue | open |\n| Catering | open |")
+
+    result = @tool.execute(action: "set_cell", board_id: board.obfuscated_id, row: 2, column: "status", value: "booked")
+
+    assert_equal "cell_updated", result[:type]
+    assert_equal 2, result[:column]
+    assert_equal "| Item | Status |\n| --- | --- |\n| Venue | open |\n| Catering | booked |", board.reload.content
+  end
+
+  test "set_cell rejects cells outside the table" do
+    board = whiteboards(:project_notes)
+    board.update!(content: "| Item | Status |\n| --- | --- |\n| Venue | open |")
+
+    result = @tool.execute(action: "set_cell", board_id: board.obfuscated_id, row: 5, column: "1", value: "x")
+    assert_match(/No row 5/, result[:error])
+
+    result = @tool.execute(action: "set_cell", board_id: board.obfuscated_id, table: 2, row: 1, column: "1", value: "x")
+    assert_match(/No column/, result[:error])
+  end
+
+  test "get lists a board's tasks and tables" do
+    board = whiteboards(:project_notes)
+    board.update!(content: "- [x] Done\n- [ ] Next\n\n| A | B |\n| - | - |\n| 1 | 2 |")
+
+    result = @tool.execute(action: "get", board_id: board.obfuscated_id)
+
+    assert_equal [ { number: 1, text: "Done", checked: true }, { number: 2, text: "Next", checked: false } ], result[:tasks]
+    assert_equal [ { number: 1, header: [ "A", "B" ], rows: 1 } ], result[:tables]
+  end
+
+  test "attach adds a board alongside the active one" do
+    @chat.attach_whiteboard!(whiteboards(:project_notes))
+
+    result = @tool.execute(action: "attach", board_id: whiteboards(:meeting_notes).obfuscated_id)
+
+    assert_equal "board_attached", result[:type]
+    assert_equal [ whiteboards(:project_notes), whiteboards(:meeting_notes) ].map(&:obfuscated_id), result[:attached_board_ids]
+    assert_equal whiteboards(:project_notes), @chat.reload.active_whiteboard
+  end
+
+  test "detach removes a board and reports the new active one" do
+    @chat.attach_whiteboard!(whiteboards(:project_notes))
+    @chat.attach_whiteboard!(whiteboards(:meeting_notes))
+
+    result = @tool.execute(action: "detach", board_id: whiteboards(:project_notes).obfuscated_id)
+
+    assert_equal "board_detached", result[:type]
+    assert_equal whiteboards(:meeting_notes).obfuscated_id, result[:active_board_id]
+    assert_not @chat.whiteboard_attached?(whiteboards(:project_notes))
+  end
+
+  test "detach rejects a board that is not attached" do
+    result = @tool.execute(action: "detach", board_id: whiteboards(:meeting_notes).obfuscated_id)
+
+    assert_equal "error", result[:type]
+    assert_match(/not attached/, result[:error])
+  end
+
+  test "list reports attached boards" do
+    @chat.attach_whiteboard!(whiteboards(:meeting_notes))
+
+    result = @tool.execute(action: "list")
+
+    assert_equal [ whiteboards(:meeting_notes).obfuscated_id ], result[:attached_board_ids]
+  end
+
   test "recover_from_hallucination executes update action" do
     board = whiteboards(:project_notes)
     json = {